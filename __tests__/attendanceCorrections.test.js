@@ -0,0 +1,144 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../services/mailer', () => ({ sendMail: jest.fn().mockResolvedValue({}) }));
+
+// Requests are made as this user (and, if set, with these token abilities)
+let mockAuth = {};
+jest.mock('../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        Object.assign(req, mockAuth);
+        next();
+    }
+}));
+
+const express = require('express');
+const pool = require('../config/database');
+const { sendMail } = require('../services/mailer');
+const correctionRoutes = require('../routes/attendanceCorrections');
+const { validateCorrectionTimes } = require('../services/attendanceCorrections');
+
+describe('validateCorrectionTimes', () => {
+    it('accepts a day with breaks in any order', () => {
+        expect(validateCorrectionTimes({
+            checkin_time: '08:00',
+            checkout_time: '17:00',
+            breaks: [{ start: '15:00', end: '15:15' }, { start: '12:00', end: '12:30' }]
+        })).toBeNull();
+    });
+
+    it('accepts a shift running past midnight', () => {
+        expect(validateCorrectionTimes({
+            checkin_time: '22:00',
+            checkout_time: '06:00',
+            breaks: [{ start: '01:00', end: '01:30' }]
+        })).toBeNull();
+    });
+
+    it('requires start and end on every break, whatever the order', () => {
+        const message = 'Every break needs a start and an end time';
+
+        expect(validateCorrectionTimes({
+            checkin_time: '08:00',
+            checkout_time: '17:00',
+            breaks: [{ start: '12:00', end: '12:30' }, { end: '15:00' }]
+        })).toBe(message);
+        expect(validateCorrectionTimes({
+            checkin_time: '08:00',
+            checkout_time: '17:00',
+            breaks: [{ start: '12:00' }]
+        })).toBe(message);
+    });
+
+    it('rejects malformed times', () => {
+        expect(validateCorrectionTimes({ checkin_time: '8am', checkout_time: null, breaks: [] }))
+            .toBe('Times must use the HH:MM format');
+    });
+
+    it('rejects checkout equal to checkin', () => {
+        expect(validateCorrectionTimes({ checkin_time: '08:00', checkout_time: '08:00', breaks: [] }))
+            .toBe('Checkout time must be after checkin time');
+    });
+
+    it('rejects inverted, overlapping and late breaks', () => {
+        const day = { checkin_time: '08:00', checkout_time: '17:00' };
+
+        expect(validateCorrectionTimes({ ...day, breaks: [{ start: '12:30', end: '12:00' }] }))
+            .toBe('Break end must be after break start');
+        expect(validateCorrectionTimes({
+            ...day,
+            breaks: [{ start: '12:00', end: '12:30' }, { start: '12:15', end: '12:45' }]
+        })).toBe('Breaks must not overlap');
+        expect(validateCorrectionTimes({ ...day, breaks: [{ start: '16:45', end: '17:15' }] }))
+            .toBe('Breaks must end before checkout');
+    });
+});
+
+describe('reviewing corrections', () => {
+    const correction = {
+        id: 1,
+        user_id: 5,
+        approver_id: 2,
+        status: 'pending',
+        checkin_date: '2026-03-02',
+        employee_email: 'employee@example.com'
+    };
+    let server;
+
+    const reject = async () => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api/attendance-corrections/1/reject`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: '{}'
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeAll(() => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api', correctionRoutes);
+        server = app.listen(0);
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        pool.query.mockReset().mockResolvedValue({ rows: [{ ...correction }], rowCount: 1 });
+        sendMail.mockClear();
+    });
+
+    it('is limited to the assigned approver', async () => {
+        mockAuth = { user: { id: 3, name: 'Other Manager', role: 'manager' } };
+
+        const response = await reject();
+
+        expect(response.status).toBe(403);
+        expect(pool.query.mock.calls.some(([sql]) => sql.includes('UPDATE'))).toBe(false);
+    });
+
+    it('is open to the assigned approver', async () => {
+        mockAuth = { user: { id: 2, name: 'Manager', role: 'manager' } };
+
+        await expect(reject()).resolves.toEqual({ status: 200, body: { message: 'Correction rejected' } });
+        expect(sendMail).toHaveBeenCalledTimes(1);
+    });
+
+    it('is open to HR unless the token lacks corrections:manage', async () => {
+        mockAuth = { user: { id: 9, name: 'HR', role: 'hr' }, tokenAbilities: ['corrections:approve'] };
+        expect((await reject()).status).toBe(403);
+
+        mockAuth = { user: { id: 9, name: 'HR', role: 'hr' } };
+        expect((await reject()).status).toBe(200);
+    });
+
+    it('does not report a rejection when the correction was reviewed meanwhile', async () => {
+        mockAuth = { user: { id: 2, name: 'Manager', role: 'manager' } };
+        pool.query.mockImplementation(async (sql) => (sql.includes('UPDATE')
+            ? { rows: [], rowCount: 0 }
+            : { rows: [{ ...correction }], rowCount: 1 }));
+
+        const response = await reject();
+
+        expect(response.status).toBe(400);
+        expect(sendMail).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,43 @@
+const { escapeCsvValue, toCsvRow, parseCsv } = require('../services/csv');
+
+describe('parseCsv', () => {
+    it('parses comma separated rows and skips empty lines', () => {
+        expect(parseCsv('first_name,last_name\r\nAnna,Schmidt\n\nBen,Meyer')).toEqual([
+            ['first_name', 'last_name'],
+            ['Anna', 'Schmidt'],
+            ['Ben', 'Meyer']
+        ]);
+    });
+
+    it('detects semicolons and strips a byte order mark', () => {
+        expect(parseCsv('\uFEFFname;salary\nAnna;1.234,50\n')).toEqual([
+            ['name', 'salary'],
+            ['Anna', '1.234,50']
+        ]);
+    });
+
+    it('handles quoted separators, quotes and line breaks', () => {
+        expect(parseCsv('name,address\n"Meyer, Ben","Main St. 1\nBerlin"\n"Say ""hi""",\n')).toEqual([
+            ['name', 'address'],
+            ['Meyer, Ben', 'Main St. 1\nBerlin'],
+            ['Say "hi"', '']
+        ]);
+    });
+
+    it('uses the given delimiter', () => {
+        expect(parseCsv('a;b,c', ',')).toEqual([['a;b', 'c']]);
+    });
+
+    it('reads back what toCsvRow writes', () => {
+        const values = ['Anna', 'Meyer, Ben', 'He said "no"', 'line\nbreak', ''];
+        expect(parseCsv(toCsvRow(values) + toCsvRow(values))).toEqual([values, values]);
+    });
+});
+
+describe('escapeCsvValue', () => {
+    it('neutralises formulas but keeps negative numbers', () => {
+        expect(escapeCsvValue('=SUM(A1)')).toBe("'=SUM(A1)");
+        expect(escapeCsvValue('-12.5')).toBe('-12.5');
+        expect(escapeCsvValue(null)).toBe('');
+    });
+});
@@ -0,0 +1,99 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../services/audit', () => ({ recordAudit: jest.fn() }));
+jest.mock('../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { id: 1, name: 'Admin', role: 'admin' };
+        next();
+    }
+}));
+
+const express = require('express');
+const pool = require('../config/database');
+const { recordAudit } = require('../services/audit');
+const departmentRoutes = require('../routes/departments');
+
+describe('moving employees between departments and teams', () => {
+    let server;
+    let client;
+
+    const request = async (method, path, body) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api${path}`, {
+            method,
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    // Employees 4 and 5 are in Sales/North until an UPDATE users moves them
+    const fakeClient = (movedTo) => {
+        let moved = false;
+
+        return {
+            query: jest.fn(async (sql) => {
+                if (sql.includes('FOR UPDATE')) {
+                    return { rows: [{ id: '4', department: 'Sales', team: 'North' }, { id: '5', department: 'Sales', team: 'North' }] };
+                }
+                if (sql.includes('UPDATE users')) {
+                    moved = true;
+                    return { rowCount: 2 };
+                }
+                if (sql.includes('WHERE id = ANY($1)')) {
+                    return { rows: ['4', '5'].map(id => ({ id, ...(moved ? movedTo : { department: 'Sales', team: 'North' }) })) };
+                }
+                return { rows: [] };
+            }),
+            release: jest.fn()
+        };
+    };
+
+    beforeAll(() => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api', departmentRoutes);
+        server = app.listen(0);
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        recordAudit.mockClear();
+    });
+
+    it('audits every employee of a renamed department', async () => {
+        client = fakeClient({ department: 'Revenue', team: 'North' });
+        pool.connect.mockResolvedValue(client);
+        pool.query.mockReset().mockImplementation(async (sql) => (sql.includes('FROM departments d')
+            ? { rows: [{ id: 2, name: 'Sales', description: null, manager_id: null }] }
+            : { rows: [] }));
+
+        const response = await request('PUT', '/departments/2', { name: 'Revenue' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.body.updated_employees).toBe(2);
+        expect(recordAudit).toHaveBeenCalledTimes(2);
+        expect(recordAudit).toHaveBeenCalledWith(expect.anything(), {
+            action: 'update',
+            entityType: 'employee',
+            entityId: '4',
+            subjectUserId: '4',
+            before: { id: '4', department: 'Sales', team: 'North' },
+            after: { id: '4', department: 'Revenue', team: 'North' }
+        });
+    });
+
+    it('audits every employee of a merged team', async () => {
+        client = fakeClient({ department: 'Sales', team: 'South' });
+        pool.connect.mockResolvedValue(client);
+        pool.query.mockReset().mockImplementation(async (sql, params) => (sql.includes('FROM teams t')
+            ? { rows: [{ id: params[0], name: String(params[0]) === '3' ? 'North' : 'South', department: 'Sales' }] }
+            : { rows: [] }));
+
+        const response = await request('POST', '/teams/3/merge', { target_team_id: 6 });
+
+        expect(response.status).toBe(200);
+        expect(response.body.body.moved_employees).toBe(2);
+        expect(recordAudit.mock.calls.map(([, entry]) => [entry.entityId, entry.before.team, entry.after.team]))
+            .toEqual([['4', 'North', 'South'], ['5', 'North', 'South']]);
+    });
+});
@@ -0,0 +1,74 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../services/hierarchy', () => ({
+    ...jest.requireActual('../services/hierarchy'),
+    wouldCreateCycle: jest.fn()
+}));
+
+const pool = require('../config/database');
+const { wouldCreateCycle } = require('../services/hierarchy');
+const { ImportError, importRows } = require('../services/employeeImport');
+
+describe('importRows', () => {
+    let client;
+
+    // Two existing employees who name each other as their manager
+    const results = [
+        { row: 2, email: 'anna@example.com', id: 10, managerId: 11 },
+        { row: 3, email: 'ben@example.com', id: 11, managerId: 10 }
+    ].map(({ row, email, managerId }) => ({
+        row,
+        data: { email, first_name: 'Test', last_name: 'Employee', reporting_manager_id: managerId },
+        fields: ['email', 'first_name', 'last_name', 'reporting_manager_id'],
+        errors: [],
+        references: { unit: { department: null, team: null }, manager: { id: managerId, name: `Manager ${managerId}` } }
+    }));
+
+    beforeEach(() => {
+        client = {
+            query: jest.fn(async (sql, params) => {
+                if (sql.includes('LOWER(email) = LOWER($1)')) {
+                    return { rows: [{ id: params[0] === 'anna@example.com' ? 10 : 11 }] };
+                }
+                return { rows: [{ id: 1 }] };
+            }),
+            release: jest.fn()
+        };
+        pool.connect.mockResolvedValue(client);
+        wouldCreateCycle.mockReset();
+    });
+
+    it('updates existing employees when their managers form no cycle', async () => {
+        wouldCreateCycle.mockResolvedValue(false);
+
+        const { updated } = await importRows(results, 1);
+
+        expect(updated).toHaveLength(2);
+        expect(wouldCreateCycle).toHaveBeenCalledWith(10, 11, client);
+        expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('aborts when rows of the file form a reporting cycle', async () => {
+        // The second row closes the cycle opened by the first, within the transaction
+        wouldCreateCycle.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+        const error = await importRows(results, 1).catch(caught => caught);
+
+        expect(error).toBeInstanceOf(ImportError);
+        expect(error.message).toMatch(/^Row 3: /);
+        expect(wouldCreateCycle).toHaveBeenLastCalledWith(11, 10, client);
+        expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+        expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+        expect(client.release).toHaveBeenCalled();
+    });
+
+    it('leaves managers alone when the file has no manager column', async () => {
+        const withoutManagers = results.map(result => ({
+            ...result,
+            fields: result.fields.filter(field => field !== 'reporting_manager_id')
+        }));
+
+        await importRows(withoutManagers, 1);
+
+        expect(wouldCreateCycle).not.toHaveBeenCalled();
+    });
+});
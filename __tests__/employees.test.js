@@ -0,0 +1,32 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+
+const { validationResult } = require('express-validator');
+const { EMPLOYEE_UPDATE_FIELDS, updateEmployeeRules } = require('../services/employees');
+
+const validateUpdate = async (body) => {
+    const req = { body };
+    for (const rule of updateEmployeeRules) {
+        await rule.run(req);
+    }
+    return validationResult(req).array().map(error => error.path);
+};
+
+describe('employee updates', () => {
+    it('do not allow login, status or role columns', () => {
+        ['email', 'password', 'employee_status', 'role', 'contract_end_at', 'employee_id']
+            .forEach(field => expect(EMPLOYEE_UPDATE_FIELDS).not.toContain(field));
+    });
+
+    it('accept valid partial data', async () => {
+        await expect(validateUpdate({ base_salary: 55000.5, phone: '+49 30 123', married: 'true' })).resolves.toEqual([]);
+    });
+
+    it('reject invalid values', async () => {
+        await expect(validateUpdate({
+            base_salary: 'a lot',
+            weekly_hours: 60,
+            dob: 'yesterday',
+            employment_type: 'freelancer'
+        })).resolves.toEqual(['employment_type', 'dob', 'base_salary', 'weekly_hours']);
+    });
+});
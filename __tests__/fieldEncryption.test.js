@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const {
+    reloadKeys,
+    isEncrypted,
+    keyIdOf,
+    encrypt,
+    decrypt,
+    needsReencryption,
+    maskValue,
+    encryptEmployeeFields,
+    presentEmployeeFields,
+    reencryptEmployees
+} = require('../services/fieldEncryption');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+
+describe('fieldEncryption', () => {
+    const originalEnv = { ...process.env };
+    const oldKey = key();
+    const newKey = key();
+
+    const useKeys = (keys, activeKeyId) => {
+        process.env.FIELD_ENCRYPTION_KEYS = keys;
+        if (activeKeyId) {
+            process.env.FIELD_ENCRYPTION_ACTIVE_KEY = activeKeyId;
+        } else {
+            delete process.env.FIELD_ENCRYPTION_ACTIVE_KEY;
+        }
+        reloadKeys();
+    };
+
+    beforeEach(() => {
+        useKeys(`old:${oldKey}`);
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    it('round-trips values and uses a fresh IV each time', () => {
+        const first = encrypt('DE89370400440532013000');
+        const second = encrypt('DE89370400440532013000');
+
+        expect(isEncrypted(first)).toBe(true);
+        expect(keyIdOf(first)).toBe('old');
+        expect(first).not.toBe(second);
+        expect(decrypt(first)).toBe('DE89370400440532013000');
+        expect(encrypt(55000)).toMatch(/^enc:v1:old:/);
+    });
+
+    it('leaves empty values and plaintext alone', () => {
+        expect(encrypt(null)).toBeNull();
+        expect(encrypt('')).toBeNull();
+        expect(decrypt('plain')).toBe('plain');
+        expect(decrypt(null)).toBeNull();
+    });
+
+    it('refuses tampered ciphertext', () => {
+        const parts = encrypt('12/345/67890').split(':');
+        parts[parts.length - 1] = Buffer.from('tampered').toString('base64');
+
+        expect(() => decrypt(parts.join(':'))).toThrow();
+    });
+
+    it('rejects malformed key configuration', () => {
+        expect(() => useKeys('old:short')).toThrow('must be 32 bytes');
+        expect(() => useKeys(`old:${oldKey}`, 'missing')).toThrow('is not listed');
+    });
+
+    it('decrypts old values after rotation and marks them for re-encryption', () => {
+        const stored = encrypt('12345678901');
+        useKeys(`old:${oldKey},new:${newKey}`);
+
+        expect(decrypt(stored)).toBe('12345678901');
+        expect(needsReencryption(stored)).toBe(true);
+        expect(needsReencryption('plaintext')).toBe(true);
+        expect(needsReencryption(encrypt('12345678901'))).toBe(false);
+        expect(needsReencryption(null)).toBe(false);
+    });
+
+    it('re-encrypts outdated rows with the active key', async () => {
+        const row = { id: 7, tax_id: encrypt('12/345/67890'), social_security_number: null, iban: 'DE00', bic: null, base_salary: null };
+        useKeys(`old:${oldKey},new:${newKey}`);
+
+        const updates = [];
+        const db = {
+            query: jest.fn(async (sql, params) => {
+                if (sql.trim().startsWith('SELECT')) {
+                    return { rows: params[1] === 0 ? [row] : [] };
+                }
+                updates.push(params);
+                return { rowCount: 1 };
+            })
+        };
+
+        await expect(reencryptEmployees(db)).resolves.toBe(1);
+
+        const [taxId, ssn, iban, , , id] = updates[0];
+        expect(id).toBe(7);
+        expect(keyIdOf(taxId)).toBe('new');
+        expect(decrypt(taxId)).toBe('12/345/67890');
+        expect(ssn).toBeNull();
+        expect(decrypt(iban)).toBe('DE00');
+    });
+
+    it('encrypts and presents employee fields', () => {
+        const stored = encryptEmployeeFields({ first_name: 'Anna', iban: 'DE89370400440532013000', base_salary: 55000 });
+
+        expect(stored.first_name).toBe('Anna');
+        expect(isEncrypted(stored.iban)).toBe(true);
+
+        expect(presentEmployeeFields(stored, true)).toMatchObject({ iban: 'DE89370400440532013000', base_salary: '55000' });
+        expect(presentEmployeeFields(stored, false)).toMatchObject({ iban: 'DE89 **** **** 3000', base_salary: '****' });
+    });
+
+    it('masks values', () => {
+        expect(maskValue('bic', 'COBADEFFXXX')).toBe('COBA****');
+        expect(maskValue('tax_id', '1234567')).toBe('****567');
+        expect(maskValue('tax_id', null)).toBeNull();
+    });
+});
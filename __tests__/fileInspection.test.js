@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectFileType, findActiveContent, inspectUpload } = require('../services/fileInspection');
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const OLE2_HEADER = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+
+const pdf = (body = '') => Buffer.from(`%PDF-1.4\n1 0 obj<</Type/Catalog${body}>>endobj\n%%EOF`);
+const docx = (...parts) => Buffer.concat([
+    Buffer.from([0x50, 0x4B, 0x03, 0x04]),
+    Buffer.from(['[Content_Types].xml', 'word/document.xml', ...parts].join('\0'))
+]);
+const doc = (...storages) => Buffer.concat([
+    OLE2_HEADER,
+    ...['WordDocument', ...storages].map(name => Buffer.from(name, 'utf16le'))
+]);
+
+describe('detectFileType', () => {
+    it('recognises supported types by their magic bytes', () => {
+        expect(detectFileType(pdf())).toBe('pdf');
+        expect(detectFileType(docx())).toBe('docx');
+        expect(detectFileType(doc())).toBe('doc');
+        expect(detectFileType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]))).toBe('jpeg');
+        expect(detectFileType(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))).toBe('png');
+    });
+
+    it('allows a BOM and whitespace before the PDF header', () => {
+        expect(detectFileType(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('\r\n'), pdf()]))).toBe('pdf');
+    });
+
+    it('rejects a PDF header that is not at the start', () => {
+        expect(detectFileType(Buffer.concat([Buffer.from('junk'), pdf()]))).toBeNull();
+    });
+
+    it('rejects executables carrying a PDF header further in', () => {
+        const exe = Buffer.alloc(300);
+        exe.write('MZ', 0, 'latin1');
+        exe.write('%PDF-1.4', 204, 'latin1');
+        expect(detectFileType(exe)).toBeNull();
+
+        expect(detectFileType(Buffer.concat([Buffer.from([0x7F, 0x45, 0x4C, 0x46]), pdf()]))).toBeNull();
+        expect(detectFileType(Buffer.from('#!/bin/sh\n%PDF-1.4'))).toBeNull();
+    });
+
+    it('rejects ZIP and OLE2 files that are not Word documents', () => {
+        expect(detectFileType(Buffer.concat([Buffer.from([0x50, 0x4B, 0x03, 0x04]), Buffer.from('xl/workbook.xml')]))).toBeNull();
+        expect(detectFileType(Buffer.concat([OLE2_HEADER, Buffer.from('Workbook', 'utf16le')]))).toBeNull();
+    });
+});
+
+describe('findActiveContent', () => {
+    it('finds scripts and embedded files in PDFs, also behind name escapes', () => {
+        expect(findActiveContent('pdf', pdf())).toEqual([]);
+        expect(findActiveContent('pdf', pdf('/OpenAction<</S/J#61vaScript/JS(app.alert(1))>>'))).toEqual(['javascript']);
+        expect(findActiveContent('pdf', pdf('/Launch<<>>/EmbeddedFiles<<>>'))).toEqual(['launch_action', 'embedded_file']);
+    });
+
+    it('finds macros and embedded objects in Word documents', () => {
+        expect(findActiveContent('docx', docx())).toEqual([]);
+        expect(findActiveContent('docx', docx('word/vbaProject.bin', 'word/embeddings/oleObject1.bin')))
+            .toEqual(['macros', 'embedded_object']);
+        expect(findActiveContent('doc', doc('Macros', '_VBA_PROJECT'))).toEqual(['macros']);
+    });
+});
+
+describe('inspectUpload', () => {
+    let dir;
+
+    const upload = (name, mimetype, content) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, content);
+        return { path: filePath, originalname: name, mimetype };
+    };
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inspect-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('returns the type, checksum and warnings of an accepted file', async () => {
+        const result = await inspectUpload(upload('macro.docx', DOCX_MIME, docx('word/vbaProject.bin')), 'other');
+
+        expect(result.fileType).toBe('docx');
+        expect(result.mimeType).toBe(DOCX_MIME);
+        expect(result.checksum).toMatch(/^[0-9a-f]{64}$/);
+        expect(result.contentWarnings).toEqual(['macros']);
+    });
+
+    it('rejects content that does not match the declared type or name', async () => {
+        await expect(inspectUpload(upload('file.docx', DOCX_MIME, pdf()), 'other'))
+            .rejects.toMatchObject({ status: 415 });
+        await expect(inspectUpload(upload('file.pdf', 'application/pdf', Buffer.from('MZ\0\0%PDF-1.4')), 'other'))
+            .rejects.toMatchObject({ status: 415 });
+    });
+
+    it('rejects file types not allowed for the document type', async () => {
+        await expect(inspectUpload(upload('contract.docx', DOCX_MIME, docx()), 'contract'))
+            .rejects.toMatchObject({ status: 415, message: 'Documents of type "contract" must be one of: pdf' });
+    });
+});
@@ -0,0 +1,184 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../services/mailer', () => ({ sendMail: jest.fn().mockResolvedValue({}) }));
+
+// Requests are made as this user (and, if set, with these token abilities)
+let mockAuth = {};
+jest.mock('../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        Object.assign(req, mockAuth);
+        next();
+    }
+}));
+
+const express = require('express');
+const pool = require('../config/database');
+const leaveRoutes = require('../routes/leave');
+const {
+    expandLeaveDays,
+    countLeaveDays,
+    daysInYear,
+    computeEntitlement,
+    getLeaveBalance
+} = require('../services/leave');
+
+describe('leave days', () => {
+    it('counts working days and half days', () => {
+        const leave = { start_date: '2026-03-06', end_date: '2026-03-10', start_half_day: true, end_half_day: false };
+
+        expect([...expandLeaveDays(leave).entries()]).toEqual([
+            ['2026-03-06', 0.5],
+            ['2026-03-09', 1],
+            ['2026-03-10', 1]
+        ]);
+        expect(countLeaveDays(leave)).toBe(2.5);
+        expect(countLeaveDays({ start_date: '2026-03-07', end_date: '2026-03-08' })).toBe(0);
+    });
+
+    it('splits leave across years', () => {
+        const leave = { start_date: '2025-12-29', end_date: '2026-01-02', start_half_day: false, end_half_day: true };
+
+        expect(daysInYear([leave], 2025)).toBe(3);
+        expect(daysInYear([leave], 2026)).toBe(1.5);
+    });
+});
+
+describe('computeEntitlement', () => {
+    it('grants the full entitlement for a whole year', () => {
+        expect(computeEntitlement({ paid_vacation: '30', contract_start: '2020-05-01' }, 2026)).toBe(30);
+    });
+
+    it('pro-rates by full months under contract', () => {
+        expect(computeEntitlement({ paid_vacation: 30, contract_start: '2026-04-01' }, 2026)).toBe(22.5);
+        expect(computeEntitlement({ paid_vacation: 30, contract_start: '2026-04-15' }, 2026)).toBe(20);
+        expect(computeEntitlement({ paid_vacation: 30, contract_end: '2026-06-30' }, 2026)).toBe(15);
+        expect(computeEntitlement({ paid_vacation: 30, contract_end: '2026-06-29' }, 2026)).toBe(12.5);
+    });
+
+    it('rounds to half days', () => {
+        expect(computeEntitlement({ paid_vacation: 25, contract_start: '2026-06-01' }, 2026)).toBe(14.5);
+    });
+
+    it('grants nothing outside the contract or without vacation days', () => {
+        expect(computeEntitlement({ paid_vacation: 30, contract_start: '2027-01-01' }, 2026)).toBe(0);
+        expect(computeEntitlement({ paid_vacation: null }, 2026)).toBe(0);
+    });
+});
+
+describe('getLeaveBalance', () => {
+    const fakeDb = (employee, requests) => ({
+        query: jest.fn(async (sql) => {
+            if (sql.includes('FROM leave_entitlements')) {
+                return { rows: [] };
+            }
+            if (sql.includes('FROM leave_requests')) {
+                return { rows: requests };
+            }
+            return { rows: employee ? [employee] : [] };
+        })
+    });
+
+    it('subtracts approved leave and holds back pending leave', async () => {
+        const db = fakeDb({ id: 4, paid_vacation: '30', contract_start: '2026-04-01', contract_end: null }, [
+            { status: 'approved', start_date: '2026-05-04', end_date: '2026-05-08', start_half_day: false, end_half_day: false },
+            { status: 'pending', start_date: '2026-07-06', end_date: '2026-07-07', start_half_day: false, end_half_day: true }
+        ]);
+
+        await expect(getLeaveBalance(4, 2026, db)).resolves.toMatchObject({
+            user_id: 4,
+            annual_days: 30,
+            entitled_days: 22.5,
+            carried_over_days: 0,
+            taken_days: 5,
+            pending_days: 1.5,
+            remaining_days: 17.5,
+            available_days: 16
+        });
+    });
+
+    it('returns null for unknown employees', async () => {
+        await expect(getLeaveBalance(99, 2026, fakeDb(null, []))).resolves.toBeNull();
+    });
+});
+
+describe('leave routes with personal access tokens', () => {
+    const hr = { id: 9, name: 'Hanna HR', role: 'hr' };
+    const leaveRequest = {
+        id: 1,
+        user_id: 5,
+        approver_id: 2,
+        status: 'pending',
+        leave_type: 'sick',
+        start_date: '2099-03-02',
+        end_date: '2099-03-06',
+        start_half_day: false,
+        end_half_day: false,
+        employee_email: 'employee@example.com'
+    };
+    let server;
+
+    const post = async (path, body = {}) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api${path}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeAll(() => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api', leaveRoutes);
+        server = app.listen(0);
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        pool.query.mockReset().mockResolvedValue({ rows: [{ ...leaveRequest }] });
+        pool.connect.mockReset().mockResolvedValue({
+            query: jest.fn().mockResolvedValue({ rows: [{ id: leaveRequest.id }], rowCount: 1 }),
+            release: jest.fn()
+        });
+    });
+
+    it('does not let a token without leave:manage request leave for others', async () => {
+        mockAuth = { user: hr, tokenAbilities: ['leave:request'] };
+
+        const response = await post('/leave-requests', {
+            user_id: 5,
+            leave_type: 'vacation',
+            start_date: '2099-03-02',
+            end_date: '2099-03-06'
+        });
+
+        expect(response.status).toBe(403);
+        expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('does not let a token without leave:manage decide requests of another approver', async () => {
+        mockAuth = { user: hr, tokenAbilities: ['leave:approve'] };
+
+        const response = await post('/leave-requests/1/reject');
+
+        expect(response.status).toBe(403);
+        expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('does not let a token without leave:manage cancel leave of others', async () => {
+        mockAuth = { user: hr, tokenAbilities: ['leave:request'] };
+
+        const response = await post('/leave-requests/1/cancel');
+
+        expect(response.status).toBe(403);
+        expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('lets HR decide any request when the token has leave:manage', async () => {
+        mockAuth = { user: hr, tokenAbilities: ['leave:approve', 'leave:manage'] };
+
+        const response = await post('/leave-requests/1/reject');
+
+        expect(response).toEqual({ status: 200, body: { message: 'Leave request rejected' } });
+    });
+});
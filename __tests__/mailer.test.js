@@ -0,0 +1,61 @@
+describe('mailer', () => {
+    const originalEnv = { ...process.env };
+    let mailer;
+
+    beforeEach(() => {
+        jest.resetModules();
+        process.env = { ...originalEnv };
+        delete process.env.MAIL_TRANSPORT;
+        delete process.env.SMTP_HOST;
+        mailer = require('../services/mailer');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    it('refuses to send without a configured transport', async () => {
+        await expect(mailer.sendMail({ to: 'a@example.com', subject: 'Hi', text: 'Hi' }))
+            .rejects.toThrow('No mail transport configured');
+    });
+
+    it('sends through a plugged-in transport without any configuration', async () => {
+        const transport = { sendMail: jest.fn().mockResolvedValue({ messageId: '1' }) };
+        mailer.setTransport(transport);
+
+        await expect(mailer.sendMail({ to: 'a@example.com', subject: 'Hi', text: 'Hi' }))
+            .resolves.toEqual({ messageId: '1' });
+        expect(transport.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'a@example.com' }));
+    });
+
+    it('keeps using the transport it was set up with', async () => {
+        process.env.MAIL_TRANSPORT = 'json';
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await mailer.sendMail({ to: 'a@example.com', subject: 'Hi', text: 'Hi' });
+        delete process.env.MAIL_TRANSPORT;
+        await mailer.sendMail({ to: 'a@example.com', subject: 'Hi', text: 'Hi' });
+
+        expect(log).toHaveBeenCalledTimes(2);
+    });
+
+    it('redacts links when logging with the json transport', async () => {
+        process.env.MAIL_TRANSPORT = 'json';
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await mailer.sendMail({
+            to: 'a@example.com',
+            subject: 'Reset your password',
+            text: 'Open https://kistr.example/reset?token=secret-token to continue',
+            html: '<a href="https://kistr.example/reset?token=secret-token">Reset</a>'
+        });
+
+        const logged = log.mock.calls[0][1];
+        expect(logged).not.toContain('secret-token');
+        expect(JSON.parse(logged).text).toBe('Open [link redacted] to continue');
+    });
+});
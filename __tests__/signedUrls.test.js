@@ -0,0 +1,63 @@
+const { DOWNLOAD_URL_TTL_SECONDS, signDownload, verifyDownload } = require('../services/signedUrls');
+
+describe('signed download URLs', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+        process.env.DOWNLOAD_URL_SECRET = 'test-download-secret';
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    it('accepts a link for the document it was issued for', () => {
+        const params = signDownload(12, 34);
+
+        expect(params.uid).toBe('34');
+        expect(verifyDownload(12, params)).toBe(true);
+        expect(verifyDownload('12', params)).toBe(true);
+    });
+
+    it('rejects links for another document, user or secret', () => {
+        const params = signDownload(12, 34);
+
+        expect(verifyDownload(13, params)).toBe(false);
+        expect(verifyDownload(12, { ...params, uid: '35' })).toBe(false);
+
+        process.env.DOWNLOAD_URL_SECRET = 'another-secret';
+        expect(verifyDownload(12, params)).toBe(false);
+    });
+
+    it('rejects tampered and incomplete parameters', () => {
+        const params = signDownload(12, 34);
+
+        expect(verifyDownload(12, { ...params, signature: `${params.signature}x` })).toBe(false);
+        expect(verifyDownload(12, { ...params, expires: String(Number(params.expires) + 60) })).toBe(false);
+        expect(verifyDownload(12, { ...params, expires: '1e12' })).toBe(false);
+        expect(verifyDownload(12, { ...params, signature: [params.signature] })).toBe(false);
+        expect(verifyDownload(12, { uid: params.uid, expires: params.expires })).toBe(false);
+        expect(verifyDownload(12, {})).toBe(false);
+    });
+
+    it('rejects expired links', () => {
+        const now = Date.now();
+        const params = signDownload(12, 34);
+
+        jest.spyOn(Date, 'now').mockReturnValue(now + (DOWNLOAD_URL_TTL_SECONDS + 1) * 1000);
+        expect(verifyDownload(12, params)).toBe(false);
+    });
+
+    it('falls back to JWT_SECRET and refuses to sign without a secret', () => {
+        delete process.env.DOWNLOAD_URL_SECRET;
+        process.env.JWT_SECRET = 'jwt-secret';
+        expect(verifyDownload(12, signDownload(12, 34))).toBe(true);
+
+        delete process.env.JWT_SECRET;
+        expect(() => signDownload(12, 34)).toThrow('must be set');
+    });
+});
@@ -0,0 +1,21 @@
+// File types (see FILE_TYPES in services/fileInspection) accepted for each
+// document `type`. Types without an entry accept DEFAULT_ALLOWED_FILE_TYPES.
+// DOCUMENT_ALLOWED_FILE_TYPES can override or extend the map with JSON in the
+// same shape, e.g. {"photo": ["jpeg", "png"], "contract": ["pdf"]}.
+const DEFAULT_ALLOWED_FILE_TYPES = ['pdf', 'doc', 'docx'];
+
+const ALLOWED_FILE_TYPES = {
+    contract: ['pdf'],
+    payslip: ['pdf'],
+    id_document: ['pdf', 'jpeg', 'png'],
+    photo: ['jpeg', 'png'],
+    ...JSON.parse(process.env.DOCUMENT_ALLOWED_FILE_TYPES || '{}')
+};
+
+const allowedFileTypesFor = (documentType) => ALLOWED_FILE_TYPES[documentType] || DEFAULT_ALLOWED_FILE_TYPES;
+
+module.exports = {
+    DEFAULT_ALLOWED_FILE_TYPES,
+    ALLOWED_FILE_TYPES,
+    allowedFileTypesFor
+};
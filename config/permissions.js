@@ -0,0 +1,85 @@
+// Roles known to the application, from most to least privileged
+const ROLES = ['admin', 'hr', 'manager', 'employee'];
+
+// Role used when users.role is empty or holds a value we don't recognise
+const DEFAULT_ROLE = 'employee';
+
+// Roles that may see and act on every employee's records
+const UNSCOPED_ROLES = ['admin', 'hr'];
+
+// Permission matrix: permission => roles allowed to use it.
+// Access to employee-owned records is additionally scoped for roles outside
+// UNSCOPED_ROLES (managers see themselves and their direct and indirect reports,
+// employees only themselves).
+const PERMISSIONS = {
+    // Employees
+    'employees:read': ['admin', 'hr', 'manager', 'employee'],
+    'employees:create': ['admin', 'hr'],
+    'employees:update': ['admin', 'hr'],
+    'employees:read_sensitive': ['admin', 'hr'],
+
+    // Onboarding (tasks are further limited to their owner)
+    'onboarding:read': ['admin', 'hr', 'manager', 'employee'],
+    'onboarding:manage': ['admin', 'hr'],
+
+    // Offboarding
+    'offboarding:read': ['admin', 'hr', 'manager'],
+    'offboarding:manage': ['admin', 'hr'],
+
+    // Change history and audit log
+    'audit:read_employee': ['admin', 'hr'],
+    'audit:read': ['admin'],
+
+    // Departments and teams
+    'departments:read': ['admin', 'hr', 'manager', 'employee'],
+    'departments:manage': ['admin', 'hr'],
+
+    // Personal access tokens (own tokens only)
+    'tokens:manage': ['admin', 'hr', 'manager', 'employee'],
+
+    // Roles
+    'roles:read': ['admin', 'hr'],
+    'roles:assign': ['admin'],
+
+    // Check-ins
+    'checkins:read': ['admin', 'hr', 'manager', 'employee'],
+    'checkins:write': ['admin', 'hr', 'manager', 'employee'],
+
+    // Attendance corrections
+    'corrections:request': ['admin', 'hr', 'manager', 'employee'],
+    'corrections:approve': ['admin', 'hr', 'manager'],
+    'corrections:manage': ['admin', 'hr'],
+
+    // Timesheet exports
+    'timesheets:export': ['admin', 'hr', 'manager', 'employee'],
+    'timesheets:export_bulk': ['admin', 'hr', 'manager'],
+
+    // Working-time account
+    'time_account:read': ['admin', 'hr', 'manager', 'employee'],
+    'time_account:adjust': ['admin', 'hr'],
+
+    // Leave
+    'leave:read': ['admin', 'hr', 'manager', 'employee'],
+    'leave:request': ['admin', 'hr', 'manager', 'employee'],
+    'leave:approve': ['admin', 'hr', 'manager'],
+    'leave:manage': ['admin', 'hr'],
+
+    // Documents
+    'documents:read': ['admin', 'hr', 'manager', 'employee'],
+    'documents:write': ['admin', 'hr'],
+    'documents:delete': ['admin', 'hr'],
+
+    // Document templates (generating documents needs documents:write)
+    'document_templates:manage': ['admin', 'hr'],
+
+    // Feedback
+    'feedback:read': ['admin', 'hr', 'manager', 'employee'],
+    'feedback:write': ['admin', 'hr', 'manager', 'employee']
+};
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    UNSCOPED_ROLES,
+    PERMISSIONS
+};
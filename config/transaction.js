@@ -0,0 +1,22 @@
+const pool = require('./database');
+
+// Run the callback in a transaction and release the client afterwards
+const inTransaction = async (callback) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = {
+    inTransaction
+};
@@ -0,0 +1,6 @@
+// ISO weekdays (1 = Monday) on which contracted hours are worked
+const WORKING_DAYS = [1, 2, 3, 4, 5];
+
+module.exports = {
+    WORKING_DAYS
+};
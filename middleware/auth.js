@@ -1,5 +1,25 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const { normalizeRole } = require('./authorize');
+const { isSessionActive } = require('../services/sessions');
+const { isPersonalAccessToken, findToken, touchToken } = require('../services/personalAccessTokens');
+
+// Check if user still exists and is active
+const loadActiveUser = async (userId) => {
+    const result = await pool.query(
+        'SELECT id, email, name, role, employee_status FROM users WHERE id = $1 AND employee_status = $2',
+        [userId, 'active']
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    return {
+        ...result.rows[0],
+        role: normalizeRole(result.rows[0].role)
+    };
+};
 
 const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
@@ -10,19 +30,43 @@ const authenticateToken = async (req, res, next) => {
     }
 
     try {
+        // Personal access tokens used by integrations
+        if (isPersonalAccessToken(token)) {
+            const accessToken = await findToken(token);
+
+            if (!accessToken) {
+                return res.status(401).json({ message: 'Invalid or expired access token' });
+            }
+
+            const user = await loadActiveUser(accessToken.tokenable_id);
+
+            if (!user) {
+                return res.status(401).json({ message: 'Invalid token or user deactivated' });
+            }
+
+            await touchToken(accessToken.id);
+
+            req.user = user;
+            req.sessionId = null;
+            req.tokenAbilities = accessToken.abilities;
+            return next();
+        }
+
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        // Check if user still exists and is active
-        const result = await pool.query(
-            'SELECT id, email, employee_status FROM users WHERE id = $1 AND employee_status = $2',
-            [decoded.userId, 'active']
-        );
-
-        if (result.rows.length === 0) {
+
+        const user = await loadActiveUser(decoded.userId);
+
+        if (!user) {
             return res.status(401).json({ message: 'Invalid token or user deactivated' });
         }
 
-        req.user = result.rows[0];
+        // Tokens issued for a session stop working once that session is revoked
+        if (decoded.sid && !(await isSessionActive(decoded.sid, decoded.userId))) {
+            return res.status(401).json({ message: 'Session has been revoked' });
+        }
+
+        req.user = user;
+        req.sessionId = decoded.sid || null;
         next();
     } catch (error) {
         console.error('Auth middleware error:', error);
@@ -30,4 +74,4 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
-module.exports = { authenticateToken };
\ No newline at end of file
+module.exports = { authenticateToken };
@@ -0,0 +1,107 @@
+const pool = require('../config/database');
+const { ROLES, DEFAULT_ROLE, UNSCOPED_ROLES, PERMISSIONS } = require('../config/permissions');
+const { tokenCan } = require('../services/personalAccessTokens');
+const { reportsSubquery } = require('../services/hierarchy');
+
+// Map the free-text users.role value onto one of the known roles
+const normalizeRole = (role) => {
+    const normalized = (role || '').toString().trim().toLowerCase();
+    return ROLES.includes(normalized) ? normalized : DEFAULT_ROLE;
+};
+
+const hasPermission = (role, permission) => {
+    const allowedRoles = PERMISSIONS[permission] || [];
+    return allowedRoles.includes(normalizeRole(role));
+};
+
+// Whether the user may act on every employee's records
+const isUnscoped = (user) => UNSCOPED_ROLES.includes(normalizeRole(user.role));
+
+// Require every listed permission for the authenticated user. Requests made
+// with a personal access token additionally need a matching token ability.
+const authorize = (...permissions) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ message: 'Access token required' });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+
+    if (missing.length > 0) {
+        return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    if (req.tokenAbilities) {
+        const missingAbilities = permissions.filter(permission => !tokenCan(req.tokenAbilities, permission));
+
+        if (missingAbilities.length > 0) {
+            return res.status(403).json({
+                message: `Access token is missing the required abilities: ${missingAbilities.join(', ')}`
+            });
+        }
+    }
+
+    next();
+};
+
+// Whether the request may use a permission: the role grants it and, for
+// personal access tokens, the token has the ability
+const canUse = (req, permission) => hasPermission(req.user.role, permission)
+    && (!req.tokenAbilities || tokenCan(req.tokenAbilities, permission));
+
+// Account management (sessions, tokens) requires an interactive login
+const denyTokenAccess = (req, res, next) => {
+    if (req.tokenAbilities) {
+        return res.status(403).json({ message: 'Not available when using a personal access token' });
+    }
+
+    next();
+};
+
+// Build a WHERE fragment restricting `column` (a users.id reference) to the
+// employees the user may see: managers see their direct and indirect reports.
+// Returns an empty clause for unscoped roles.
+const scopeFilter = (user, column, paramIndex) => {
+    if (isUnscoped(user)) {
+        return { clause: '', params: [], paramIndex };
+    }
+
+    if (normalizeRole(user.role) === 'manager') {
+        return {
+            clause: ` AND ${column} IN (${reportsSubquery(paramIndex)})`,
+            params: [user.id],
+            paramIndex: paramIndex + 1
+        };
+    }
+
+    return {
+        clause: ` AND ${column} = $${paramIndex}`,
+        params: [user.id],
+        paramIndex: paramIndex + 1
+    };
+};
+
+// Check whether the user may see records belonging to the given employee
+const canAccessUser = async (user, targetUserId) => {
+    if (isUnscoped(user) || String(user.id) === String(targetUserId)) {
+        return true;
+    }
+
+    const scope = scopeFilter(user, 'id', 2);
+    const result = await pool.query(
+        `SELECT id FROM users WHERE id = $1${scope.clause}`,
+        [targetUserId, ...scope.params]
+    );
+
+    return result.rows.length > 0;
+};
+
+module.exports = {
+    normalizeRole,
+    hasPermission,
+    isUnscoped,
+    authorize,
+    canUse,
+    denyTokenAccess,
+    scopeFilter,
+    canAccessUser
+};
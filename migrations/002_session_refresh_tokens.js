@@ -0,0 +1,34 @@
+// Turn the sessions table into refresh token families: one session per
+// login/device, with every refresh token issued for it kept for reuse detection
+async function up(client) {
+    await client.query(`
+        ALTER TABLE sessions
+            ADD COLUMN created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            ADD COLUMN expires_at TIMESTAMP NULL,
+            ADD COLUMN revoked_at TIMESTAMP NULL,
+            ADD COLUMN revoked_reason VARCHAR(50);
+
+        ALTER TABLE sessions ALTER COLUMN payload SET DEFAULT '';
+
+        CREATE INDEX idx_sessions_user_revoked ON sessions(user_id, revoked_at);
+
+        -- ============================================================================
+        -- REFRESH TOKENS
+        -- ============================================================================
+        CREATE TABLE refresh_tokens (
+            id BIGSERIAL PRIMARY KEY,
+            session_id VARCHAR(255) NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+            token_hash VARCHAR(64) UNIQUE NOT NULL,
+            expires_at TIMESTAMP NOT NULL,
+            used_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+    `);
+}
+
+module.exports = {
+    name: '002_session_refresh_tokens',
+    up
+};
@@ -0,0 +1,159 @@
+// Record every break as its own interval and compute working/break totals from them
+async function up(client) {
+    await client.query(`
+        -- ============================================================================
+        -- CHECK-IN BREAKS
+        -- ============================================================================
+        CREATE TABLE checkin_breaks (
+            id BIGSERIAL PRIMARY KEY,
+            checkin_id BIGINT NOT NULL REFERENCES employee_checkins(id) ON DELETE CASCADE,
+            started_at TIMESTAMP NOT NULL,
+            ended_at TIMESTAMP NULL,
+
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            CHECK (ended_at IS NULL OR ended_at >= started_at)
+        );
+
+        CREATE INDEX idx_checkin_breaks_checkin ON checkin_breaks(checkin_id, started_at);
+
+        -- At most one open break per check-in
+        CREATE UNIQUE INDEX idx_checkin_breaks_open ON checkin_breaks(checkin_id) WHERE ended_at IS NULL;
+
+        CREATE TRIGGER update_checkin_breaks_updated_at BEFORE UPDATE ON checkin_breaks
+            FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+    `);
+
+    // Recompute break, daily and working minutes of a check-in from its break intervals
+    await client.query(`
+        CREATE OR REPLACE FUNCTION recalculate_checkin_totals(p_checkin_id BIGINT)
+        RETURNS VOID AS $$
+        DECLARE
+            v_checkin employee_checkins%ROWTYPE;
+            v_start TIMESTAMP;
+            v_end TIMESTAMP;
+            v_break_minutes INTEGER;
+            v_daily_minutes INTEGER;
+        BEGIN
+            SELECT * INTO v_checkin FROM employee_checkins WHERE id = p_checkin_id;
+
+            IF NOT FOUND THEN
+                RETURN;
+            END IF;
+
+            SELECT COALESCE(FLOOR(SUM(EXTRACT(EPOCH FROM (ended_at - started_at))) / 60), 0)
+            INTO v_break_minutes
+            FROM checkin_breaks
+            WHERE checkin_id = p_checkin_id AND ended_at IS NOT NULL;
+
+            IF v_checkin.checkout_time IS NULL THEN
+                UPDATE employee_checkins
+                SET total_break_minutes = v_break_minutes
+                WHERE id = p_checkin_id;
+                RETURN;
+            END IF;
+
+            v_start := v_checkin.checkin_date + v_checkin.checkin_time;
+            v_end := v_checkin.checkin_date + v_checkin.checkout_time;
+
+            -- Shifts running past midnight check out on the next day
+            IF v_end < v_start THEN
+                v_end := v_end + INTERVAL '1 day';
+            END IF;
+
+            v_daily_minutes := FLOOR(EXTRACT(EPOCH FROM (v_end - v_start)) / 60);
+
+            UPDATE employee_checkins
+            SET
+                total_daily_minutes = v_daily_minutes,
+                total_break_minutes = v_break_minutes,
+                total_working_minutes = GREATEST(v_daily_minutes - v_break_minutes, 0)
+            WHERE id = p_checkin_id;
+        END;
+        $$ LANGUAGE plpgsql;
+    `);
+
+    // Allowed transitions: checkin -> break, break -> checkin, checkin/break -> checkout.
+    // Anything else raises an exception (SQLSTATE P0001) with a readable message.
+    await client.query(`
+        CREATE OR REPLACE FUNCTION update_checkin_status(
+            p_checkin_id BIGINT,
+            p_new_status VARCHAR(20)
+        )
+        RETURNS VOID AS $$
+        DECLARE
+            v_status VARCHAR(20);
+            v_now TIMESTAMP := LOCALTIMESTAMP(0);
+        BEGIN
+            SELECT status INTO v_status
+            FROM employee_checkins
+            WHERE id = p_checkin_id
+            FOR UPDATE;
+
+            IF NOT FOUND THEN
+                RAISE EXCEPTION 'Check-in not found';
+            END IF;
+
+            IF v_status = 'checkout' THEN
+                RAISE EXCEPTION 'Already checked out for this day';
+            END IF;
+
+            IF p_new_status = v_status THEN
+                IF v_status = 'break' THEN
+                    RAISE EXCEPTION 'Break already started';
+                END IF;
+                RAISE EXCEPTION 'Not on a break';
+            END IF;
+
+            IF p_new_status = 'break' THEN
+                INSERT INTO checkin_breaks (checkin_id, started_at)
+                VALUES (p_checkin_id, v_now);
+
+                UPDATE employee_checkins
+                SET status = 'break', on_break = TRUE, updated_at = CURRENT_TIMESTAMP
+                WHERE id = p_checkin_id;
+            ELSIF p_new_status = 'checkin' THEN
+                UPDATE checkin_breaks SET ended_at = v_now
+                WHERE checkin_id = p_checkin_id AND ended_at IS NULL;
+
+                UPDATE employee_checkins
+                SET status = 'checkin', on_break = FALSE, updated_at = CURRENT_TIMESTAMP
+                WHERE id = p_checkin_id;
+            ELSIF p_new_status = 'checkout' THEN
+                -- Checking out during a break ends the break
+                UPDATE checkin_breaks SET ended_at = v_now
+                WHERE checkin_id = p_checkin_id AND ended_at IS NULL;
+
+                UPDATE employee_checkins
+                SET
+                    checkout_time = v_now::TIME,
+                    status = 'checkout',
+                    on_break = FALSE,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = p_checkin_id;
+            ELSE
+                RAISE EXCEPTION 'Invalid status type %', p_new_status;
+            END IF;
+
+            PERFORM recalculate_checkin_totals(p_checkin_id);
+        END;
+        $$ LANGUAGE plpgsql;
+    `);
+
+    // Check-ins currently on a break get an open interval starting at their last update
+    await client.query(`
+        INSERT INTO checkin_breaks (checkin_id, started_at)
+        SELECT id, updated_at FROM employee_checkins WHERE status = 'break';
+    `);
+
+    // Fill in working minutes for past check-ins
+    await client.query(`
+        SELECT recalculate_checkin_totals(id) FROM employee_checkins WHERE checkout_time IS NOT NULL;
+    `);
+}
+
+module.exports = {
+    name: '003_checkin_breaks',
+    up
+};
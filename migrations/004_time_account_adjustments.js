@@ -0,0 +1,32 @@
+// Manual changes to an employee's working-time account: one opening balance
+// per employee plus any number of dated corrections, all in minutes
+async function up(client) {
+    await client.query(`
+        -- ============================================================================
+        -- TIME ACCOUNT ADJUSTMENTS
+        -- ============================================================================
+        CREATE TABLE time_account_adjustments (
+            id BIGSERIAL PRIMARY KEY,
+            user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            type VARCHAR(20) NOT NULL DEFAULT 'correction' CHECK (type IN ('opening_balance', 'correction')),
+            effective_date DATE NOT NULL,
+            minutes INTEGER NOT NULL,
+            reason TEXT,
+            created_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_time_account_adjustments_user_date ON time_account_adjustments(user_id, effective_date);
+        CREATE UNIQUE INDEX idx_time_account_adjustments_opening ON time_account_adjustments(user_id) WHERE type = 'opening_balance';
+
+        CREATE TRIGGER update_time_account_adjustments_updated_at BEFORE UPDATE ON time_account_adjustments
+            FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+    `);
+}
+
+module.exports = {
+    name: '004_time_account_adjustments',
+    up
+};
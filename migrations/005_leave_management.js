@@ -0,0 +1,65 @@
+// Leave requests (vacation, sick, unpaid, special) and per-year entitlement overrides
+async function up(client) {
+    await client.query(`
+        -- ============================================================================
+        -- LEAVE REQUESTS
+        -- ============================================================================
+        CREATE TABLE leave_requests (
+            id BIGSERIAL PRIMARY KEY,
+            user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            leave_type VARCHAR(20) NOT NULL CHECK (leave_type IN ('vacation', 'sick', 'unpaid', 'special')),
+            start_date DATE NOT NULL,
+            end_date DATE NOT NULL,
+
+            -- Half days: the first day starts at midday / the last day ends at midday
+            start_half_day BOOLEAN DEFAULT FALSE,
+            end_half_day BOOLEAN DEFAULT FALSE,
+            days NUMERIC(5,1) NOT NULL,
+
+            reason TEXT,
+            status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+
+            approver_id BIGINT REFERENCES users(id) ON DELETE SET NULL,
+            decided_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+            decided_at TIMESTAMP NULL,
+            decision_note TEXT,
+
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            CHECK (end_date >= start_date)
+        );
+
+        CREATE INDEX idx_leave_requests_user_dates ON leave_requests(user_id, start_date, end_date);
+        CREATE INDEX idx_leave_requests_status_dates ON leave_requests(status, start_date, end_date);
+        CREATE INDEX idx_leave_requests_approver_status ON leave_requests(approver_id, status);
+
+        -- ============================================================================
+        -- LEAVE ENTITLEMENTS (HR overrides of the computed yearly values)
+        -- ============================================================================
+        CREATE TABLE leave_entitlements (
+            id BIGSERIAL PRIMARY KEY,
+            user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            year INTEGER NOT NULL,
+            entitled_days NUMERIC(5,1) NULL,
+            carried_over_days NUMERIC(5,1) NULL,
+            note TEXT,
+
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            UNIQUE(user_id, year)
+        );
+
+        CREATE TRIGGER update_leave_requests_updated_at BEFORE UPDATE ON leave_requests
+            FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+        CREATE TRIGGER update_leave_entitlements_updated_at BEFORE UPDATE ON leave_entitlements
+            FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+    `);
+}
+
+module.exports = {
+    name: '005_leave_management',
+    up
+};
@@ -0,0 +1,44 @@
+// Employee-submitted corrections of check-in data, applied on manager approval.
+// original_values keeps the check-in and its breaks as they were before approval.
+async function up(client) {
+    await client.query(`
+        -- ============================================================================
+        -- ATTENDANCE CORRECTIONS
+        -- ============================================================================
+        CREATE TABLE attendance_corrections (
+            id BIGSERIAL PRIMARY KEY,
+            user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            checkin_id BIGINT NULL REFERENCES employee_checkins(id) ON DELETE SET NULL,
+            checkin_date DATE NOT NULL,
+
+            -- Requested values; breaks as [{ "start": "HH:MM", "end": "HH:MM" }]
+            checkin_time TIME NOT NULL,
+            checkout_time TIME NULL,
+            breaks JSONB NOT NULL DEFAULT '[]',
+            reason TEXT NOT NULL,
+
+            status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+            approver_id BIGINT REFERENCES users(id) ON DELETE SET NULL,
+            reviewed_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+            reviewed_at TIMESTAMP NULL,
+            review_note TEXT,
+
+            -- Snapshot of the check-in before the correction was applied (NULL for missing days)
+            original_values JSONB NULL,
+
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_attendance_corrections_user_date ON attendance_corrections(user_id, checkin_date);
+        CREATE INDEX idx_attendance_corrections_approver_status ON attendance_corrections(approver_id, status);
+
+        CREATE TRIGGER update_attendance_corrections_updated_at BEFORE UPDATE ON attendance_corrections
+            FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+    `);
+}
+
+module.exports = {
+    name: '006_attendance_corrections',
+    up
+};
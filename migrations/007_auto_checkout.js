@@ -0,0 +1,18 @@
+// Flag check-ins closed by the auto-checkout job so they can be reviewed
+async function up(client) {
+    await client.query(`
+        ALTER TABLE employee_checkins
+            ADD COLUMN auto_closed BOOLEAN NOT NULL DEFAULT FALSE,
+            ADD COLUMN auto_closed_at TIMESTAMP NULL;
+
+        CREATE INDEX idx_employee_checkins_auto_closed ON employee_checkins(user_id, checkin_date) WHERE auto_closed;
+
+        -- Open check-ins, scanned by the auto-checkout job
+        CREATE INDEX idx_employee_checkins_open ON employee_checkins(checkin_date) WHERE status <> 'checkout';
+    `);
+}
+
+module.exports = {
+    name: '007_auto_checkout',
+    up
+};
@@ -0,0 +1,45 @@
+// Departments and teams become the source of truth for users.department/team.
+// Register every value already used on employees so existing data stays valid.
+async function up(client) {
+    await client.query(`
+        INSERT INTO departments (name)
+        SELECT DISTINCT TRIM(department) FROM users
+        WHERE department IS NOT NULL AND TRIM(department) <> ''
+          AND NOT EXISTS (SELECT 1 FROM departments d WHERE LOWER(d.name) = LOWER(TRIM(users.department)))
+        ON CONFLICT (name) DO NOTHING;
+    `);
+
+    // Align the spelling on employees with the department record
+    await client.query(`
+        UPDATE users u SET department = d.name
+        FROM departments d
+        WHERE LOWER(d.name) = LOWER(TRIM(u.department)) AND u.department <> d.name;
+    `);
+
+    await client.query(`
+        INSERT INTO teams (name, department_id)
+        SELECT DISTINCT TRIM(u.team), d.id
+        FROM users u
+        JOIN departments d ON d.name = u.department
+        WHERE u.team IS NOT NULL AND TRIM(u.team) <> ''
+          AND NOT EXISTS (
+              SELECT 1 FROM teams t
+              WHERE t.department_id = d.id AND LOWER(t.name) = LOWER(TRIM(u.team))
+          )
+        ON CONFLICT (name, department_id) DO NOTHING;
+    `);
+
+    await client.query(`
+        UPDATE users u SET team = t.name
+        FROM departments d, teams t
+        WHERE d.name = u.department AND t.department_id = d.id
+          AND LOWER(t.name) = LOWER(TRIM(u.team)) AND u.team <> t.name;
+    `);
+
+    await client.query('CREATE INDEX idx_teams_department ON teams(department_id)');
+}
+
+module.exports = {
+    name: '008_organization_units',
+    up
+};
@@ -0,0 +1,69 @@
+// Replace the free-text reporting manager with a reference to the manager's user.
+// users.reporting_manager is kept (and kept in sync) for clients still reading it.
+async function up(client) {
+    await client.query(`
+        ALTER TABLE users
+            ADD COLUMN reporting_manager_id BIGINT NULL REFERENCES users(id) ON DELETE SET NULL,
+            ADD CONSTRAINT users_reporting_manager_not_self CHECK (reporting_manager_id <> id);
+
+        CREATE INDEX idx_users_reporting_manager ON users(reporting_manager_id);
+    `);
+
+    // Resolve existing names or emails, preferring active users (same rule as before)
+    const resolved = await client.query(`
+        UPDATE users u
+        SET reporting_manager_id = (
+            SELECT m.id FROM users m
+            WHERE LOWER(TRIM(u.reporting_manager)) IN (LOWER(m.name), LOWER(m.email))
+              AND m.id <> u.id
+            ORDER BY m.employee_status = 'active' DESC, m.id ASC
+            LIMIT 1
+        )
+        WHERE u.reporting_manager IS NOT NULL AND TRIM(u.reporting_manager) <> ''
+    `);
+
+    const unresolved = await client.query(`
+        SELECT id, reporting_manager FROM users
+        WHERE reporting_manager IS NOT NULL AND TRIM(reporting_manager) <> '' AND reporting_manager_id IS NULL
+    `);
+
+    console.log(`   Resolved reporting managers for ${resolved.rowCount - unresolved.rows.length} employee(s)`);
+    unresolved.rows.forEach(row => {
+        console.log(`   ⚠️  Could not resolve reporting manager "${row.reporting_manager}" of user ${row.id}`);
+    });
+
+    // Free text could describe circular reporting lines; break each cycle at
+    // its lowest user id so the hierarchy is a proper tree
+    for (;;) {
+        const cycle = await client.query(`
+            WITH RECURSIVE chain AS (
+                SELECT id as start_id, reporting_manager_id as current_id, ARRAY[id] as path
+                FROM users
+                WHERE reporting_manager_id IS NOT NULL
+                UNION ALL
+                SELECT c.start_id, u.reporting_manager_id, c.path || u.id
+                FROM chain c
+                JOIN users u ON u.id = c.current_id
+                WHERE u.reporting_manager_id IS NOT NULL AND NOT u.id = ANY(c.path)
+            )
+            SELECT MIN(u) as user_id
+            FROM chain, unnest(path) u
+            WHERE current_id = start_id
+            GROUP BY path[1]
+            ORDER BY 1
+            LIMIT 1
+        `);
+
+        if (cycle.rows.length === 0) {
+            break;
+        }
+
+        await client.query('UPDATE users SET reporting_manager_id = NULL WHERE id = $1', [cycle.rows[0].user_id]);
+        console.log(`   ⚠️  Removed circular reporting manager of user ${cycle.rows[0].user_id}`);
+    }
+}
+
+module.exports = {
+    name: '009_reporting_manager_id',
+    up
+};
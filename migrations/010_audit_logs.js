@@ -0,0 +1,37 @@
+// Field-level change history of employee, document, check-in and feedback records
+async function up(client) {
+    await client.query(`
+        -- ============================================================================
+        -- AUDIT LOGS
+        -- ============================================================================
+        CREATE TABLE audit_logs (
+            id BIGSERIAL PRIMARY KEY,
+
+            -- NULL for changes made by background jobs
+            actor_id BIGINT NULL REFERENCES users(id) ON DELETE SET NULL,
+            action VARCHAR(50) NOT NULL,
+            entity_type VARCHAR(50) NOT NULL,
+            entity_id BIGINT NULL,
+
+            -- Employee the record belongs to, for the per-employee history
+            subject_user_id BIGINT NULL REFERENCES users(id) ON DELETE SET NULL,
+
+            -- { field: { "old": ..., "new": ... } }, sensitive values masked
+            changes JSONB NOT NULL DEFAULT '{}',
+
+            ip_address VARCHAR(45),
+            user_agent VARCHAR(500),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_audit_logs_entity ON audit_logs(entity_type, entity_id, created_at);
+        CREATE INDEX idx_audit_logs_subject ON audit_logs(subject_user_id, created_at);
+        CREATE INDEX idx_audit_logs_actor ON audit_logs(actor_id, created_at);
+        CREATE INDEX idx_audit_logs_created ON audit_logs(created_at);
+    `);
+}
+
+module.exports = {
+    name: '010_audit_logs',
+    up
+};
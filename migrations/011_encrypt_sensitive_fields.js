@@ -0,0 +1,22 @@
+const { reencryptEmployees } = require('../services/fieldEncryption');
+
+// Store tax, social security, bank and salary data encrypted (see services/fieldEncryption.js).
+// Ciphertext doesn't fit the old column types, so the columns become TEXT.
+async function up(client) {
+    await client.query(`
+        ALTER TABLE users
+            ALTER COLUMN tax_id TYPE TEXT,
+            ALTER COLUMN social_security_number TYPE TEXT,
+            ALTER COLUMN iban TYPE TEXT,
+            ALTER COLUMN bic TYPE TEXT,
+            ALTER COLUMN base_salary TYPE TEXT USING base_salary::TEXT;
+    `);
+
+    const encrypted = await reencryptEmployees(client);
+    console.log(`   Encrypted sensitive fields of ${encrypted} employee(s)`);
+}
+
+module.exports = {
+    name: '011_encrypt_sensitive_fields',
+    up
+};
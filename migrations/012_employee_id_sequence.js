@@ -0,0 +1,18 @@
+// Employee IDs (EMP001, ...) come from a sequence so concurrent creates and
+// imports never hand out the same number
+async function up(client) {
+    await client.query(`
+        CREATE SEQUENCE employee_id_seq;
+
+        SELECT setval(
+            'employee_id_seq',
+            COALESCE((SELECT MAX(SUBSTRING(employee_id FROM '^EMP([0-9]+)$')::BIGINT) FROM users), 0) + 1,
+            false
+        );
+    `);
+}
+
+module.exports = {
+    name: '012_employee_id_sequence',
+    up
+};
@@ -0,0 +1,68 @@
+// Offboarding of leaving employees: one offboarding per termination with a
+// checklist of tasks. Access is revoked on the effective date; the exit
+// summary is stored when the offboarding is completed.
+async function up(client) {
+    await client.query(`
+        -- ============================================================================
+        -- OFFBOARDINGS
+        -- ============================================================================
+        CREATE TABLE offboardings (
+            id BIGSERIAL PRIMARY KEY,
+            user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            effective_date DATE NOT NULL,
+            reason TEXT,
+
+            status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'in_progress', 'completed', 'cancelled')),
+            initiated_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+
+            -- contract_end_at before the offboarding was started (restored on cancel)
+            previous_contract_end_at DATE NULL,
+
+            access_revoked_at TIMESTAMP NULL,
+            documents_archived_at TIMESTAMP NULL,
+            exit_summary JSONB NULL,
+            completed_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+            completed_at TIMESTAMP NULL,
+            cancelled_at TIMESTAMP NULL,
+
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- At most one open offboarding per employee
+        CREATE UNIQUE INDEX idx_offboardings_open_user ON offboardings(user_id) WHERE status IN ('scheduled', 'in_progress');
+        CREATE INDEX idx_offboardings_status_date ON offboardings(status, effective_date);
+
+        CREATE TRIGGER update_offboardings_updated_at BEFORE UPDATE ON offboardings
+            FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+        -- ============================================================================
+        -- OFFBOARDING TASKS
+        -- ============================================================================
+        CREATE TABLE offboarding_tasks (
+            id BIGSERIAL PRIMARY KEY,
+            offboarding_id BIGINT NOT NULL REFERENCES offboardings(id) ON DELETE CASCADE,
+            task_key VARCHAR(50) NOT NULL,
+            title VARCHAR(255) NOT NULL,
+            position INTEGER NOT NULL DEFAULT 0,
+
+            status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'done', 'skipped')),
+            note TEXT,
+            completed_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+            completed_at TIMESTAMP NULL,
+
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            UNIQUE (offboarding_id, task_key)
+        );
+
+        CREATE TRIGGER update_offboarding_tasks_updated_at BEFORE UPDATE ON offboarding_tasks
+            FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+    `);
+}
+
+module.exports = {
+    name: '013_offboarding',
+    up
+};
@@ -0,0 +1,100 @@
+// Onboarding checklists. Templates (per onboarding type and/or employment
+// type) hold the task definitions; each new employee gets a copy of the
+// matching template's tasks with due dates relative to the contract start.
+async function up(client) {
+    await client.query(`
+        -- ============================================================================
+        -- ONBOARDING TEMPLATES
+        -- ============================================================================
+        CREATE TABLE onboarding_templates (
+            id BIGSERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+
+            -- Which employees the template applies to; NULL matches any
+            onboarding_type VARCHAR(100) NULL,
+            employment_type VARCHAR(30) NULL,
+
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_onboarding_templates_match ON onboarding_templates(is_active, onboarding_type, employment_type);
+
+        CREATE TRIGGER update_onboarding_templates_updated_at BEFORE UPDATE ON onboarding_templates
+            FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+        CREATE TABLE onboarding_template_tasks (
+            id BIGSERIAL PRIMARY KEY,
+            template_id BIGINT NOT NULL REFERENCES onboarding_templates(id) ON DELETE CASCADE,
+            title VARCHAR(255) NOT NULL,
+            description TEXT,
+            owner VARCHAR(20) NOT NULL CHECK (owner IN ('hr', 'it', 'manager', 'employee')),
+
+            -- Due date in days relative to the contract start (negative = before)
+            due_offset_days INTEGER NOT NULL DEFAULT 0,
+
+            -- Document type the employee must have uploaded to complete the task
+            required_document_type VARCHAR(100) NULL,
+
+            position INTEGER NOT NULL DEFAULT 0
+        );
+
+        CREATE INDEX idx_onboarding_template_tasks_template ON onboarding_template_tasks(template_id, position);
+
+        -- ============================================================================
+        -- ONBOARDINGS
+        -- ============================================================================
+        CREATE TABLE onboardings (
+            id BIGSERIAL PRIMARY KEY,
+            user_id BIGINT NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+            template_id BIGINT REFERENCES onboarding_templates(id) ON DELETE SET NULL,
+            template_name VARCHAR(255) NOT NULL,
+            start_date DATE NOT NULL,
+
+            status VARCHAR(20) DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+            completed_at TIMESTAMP NULL,
+
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_onboardings_status ON onboardings(status);
+
+        CREATE TRIGGER update_onboardings_updated_at BEFORE UPDATE ON onboardings
+            FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+        CREATE TABLE onboarding_tasks (
+            id BIGSERIAL PRIMARY KEY,
+            onboarding_id BIGINT NOT NULL REFERENCES onboardings(id) ON DELETE CASCADE,
+            title VARCHAR(255) NOT NULL,
+            description TEXT,
+            owner VARCHAR(20) NOT NULL CHECK (owner IN ('hr', 'it', 'manager', 'employee')),
+            due_date DATE NOT NULL,
+            required_document_type VARCHAR(100) NULL,
+            document_id BIGINT REFERENCES employee_documents(id) ON DELETE SET NULL,
+            position INTEGER NOT NULL DEFAULT 0,
+
+            status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'done', 'skipped')),
+            note TEXT,
+            completed_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+            completed_at TIMESTAMP NULL,
+
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_onboarding_tasks_onboarding ON onboarding_tasks(onboarding_id, position);
+        CREATE INDEX idx_onboarding_tasks_owner_status ON onboarding_tasks(owner, status, due_date);
+
+        CREATE TRIGGER update_onboarding_tasks_updated_at BEFORE UPDATE ON onboarding_tasks
+            FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+    `);
+}
+
+module.exports = {
+    name: '014_onboarding',
+    up
+};
@@ -0,0 +1,34 @@
+// New employees are invited by email instead of getting a default password.
+// They stay pending_activation (without a password) until they accept the
+// invitation; only the SHA-256 hash of each invitation token is stored.
+async function up(client) {
+    await client.query(`
+        ALTER TABLE users DROP CONSTRAINT IF EXISTS users_employee_status_check;
+        ALTER TABLE users ADD CONSTRAINT users_employee_status_check
+            CHECK (employee_status IN ('pending_activation', 'active', 'inactive', 'terminated'));
+
+        ALTER TABLE users ALTER COLUMN password DROP NOT NULL;
+        ALTER TABLE users ADD COLUMN activated_at TIMESTAMP NULL;
+
+        -- ============================================================================
+        -- EMPLOYEE INVITATIONS
+        -- ============================================================================
+        CREATE TABLE employee_invitations (
+            id BIGSERIAL PRIMARY KEY,
+            user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            token_hash VARCHAR(64) UNIQUE NOT NULL,
+            expires_at TIMESTAMP NOT NULL,
+            invited_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+            accepted_at TIMESTAMP NULL,
+            revoked_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_employee_invitations_user ON employee_invitations(user_id, created_at);
+    `);
+}
+
+module.exports = {
+    name: '015_employee_invitations',
+    up
+};
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const { checksumFile } = require('../services/documentVersions');
+
+// Keep every uploaded file of a document as a version instead of replacing it.
+// employee_documents mirrors the current version; existing documents become
+// version 1 (checksum NULL when the file is missing on disk).
+async function up(client) {
+    await client.query(`
+        ALTER TABLE employee_documents
+            ADD COLUMN current_version INTEGER NOT NULL DEFAULT 1,
+            ADD COLUMN checksum VARCHAR(64) NULL;
+
+        -- ============================================================================
+        -- EMPLOYEE DOCUMENT VERSIONS
+        -- ============================================================================
+        CREATE TABLE employee_document_versions (
+            id BIGSERIAL PRIMARY KEY,
+            document_id BIGINT NOT NULL REFERENCES employee_documents(id) ON DELETE CASCADE,
+            version INTEGER NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            file_path VARCHAR(500) NOT NULL,
+            file_size BIGINT,
+            mime_type VARCHAR(100),
+            checksum VARCHAR(64) NULL,
+            uploaded_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+
+            -- Set when the version was created by restoring an older one
+            restored_from_version INTEGER NULL,
+
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            UNIQUE (document_id, version)
+        );
+    `);
+
+    const documents = await client.query('SELECT id, file_path FROM employee_documents');
+
+    for (const document of documents.rows) {
+        if (fs.existsSync(document.file_path)) {
+            const checksum = await checksumFile(document.file_path);
+            await client.query('UPDATE employee_documents SET checksum = $1 WHERE id = $2', [checksum, document.id]);
+        }
+    }
+
+    await client.query(`
+        INSERT INTO employee_document_versions (document_id, version, name, file_path, file_size, mime_type, checksum, created_at)
+        SELECT id, 1, name, file_path, file_size, mime_type, checksum, COALESCE(updated_at, created_at)
+        FROM employee_documents
+    `);
+}
+
+module.exports = {
+    name: '016_document_versions',
+    up
+};
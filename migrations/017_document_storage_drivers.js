@@ -0,0 +1,23 @@
+// Document files go through the storage abstraction (services/storage).
+// file_path now holds the storage key and storage_driver the backend it is
+// stored in. Existing files stay on local disk; their paths below ./uploads
+// become keys relative to the local storage root.
+async function up(client) {
+    await client.query(`
+        ALTER TABLE employee_documents ADD COLUMN storage_driver VARCHAR(20) NOT NULL DEFAULT 'local';
+        ALTER TABLE employee_document_versions ADD COLUMN storage_driver VARCHAR(20) NOT NULL DEFAULT 'local';
+
+        UPDATE employee_documents SET file_path = regexp_replace(file_path, '^(\\./)?uploads/', '')
+        WHERE file_path ~ '^(\\./)?uploads/';
+
+        UPDATE employee_document_versions SET file_path = regexp_replace(file_path, '^(\\./)?uploads/', '')
+        WHERE file_path ~ '^(\\./)?uploads/';
+
+        CREATE INDEX idx_employee_document_versions_storage ON employee_document_versions(storage_driver, file_path);
+    `);
+}
+
+module.exports = {
+    name: '017_document_storage_drivers',
+    up
+};
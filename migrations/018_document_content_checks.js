@@ -0,0 +1,16 @@
+// Uploads are verified by content (services/fileInspection). Active content
+// found in a file (scripts, macros, embedded objects) is recorded per version
+// and mirrored on the document; checksums are indexed to detect duplicates.
+async function up(client) {
+    await client.query(`
+        ALTER TABLE employee_documents ADD COLUMN content_warnings JSONB NOT NULL DEFAULT '[]';
+        ALTER TABLE employee_document_versions ADD COLUMN content_warnings JSONB NOT NULL DEFAULT '[]';
+
+        CREATE INDEX idx_employee_documents_checksum ON employee_documents(user_id, checksum);
+    `);
+}
+
+module.exports = {
+    name: '018_document_content_checks',
+    up
+};
@@ -0,0 +1,35 @@
+// Optional validity period for documents such as work permits, certificates
+// and driving licences. services/documentExpiry sends renewal reminders and
+// archives documents once they have expired.
+async function up(client) {
+    await client.query(`
+        ALTER TABLE employee_documents
+            ADD COLUMN valid_from DATE NULL,
+            ADD COLUMN expires_at DATE NULL,
+            ADD CONSTRAINT employee_documents_validity_check
+                CHECK (valid_from IS NULL OR expires_at IS NULL OR expires_at >= valid_from);
+
+        CREATE INDEX idx_employee_documents_expires_at ON employee_documents(expires_at)
+            WHERE expires_at IS NOT NULL AND status <> 'archived';
+
+        -- ============================================================================
+        -- DOCUMENT EXPIRY REMINDERS
+        -- ============================================================================
+        -- One row per reminder sent, so each lead time is only mailed once per
+        -- expiry date (a renewed document with a new date is reminded again)
+        CREATE TABLE employee_document_reminders (
+            id BIGSERIAL PRIMARY KEY,
+            document_id BIGINT NOT NULL REFERENCES employee_documents(id) ON DELETE CASCADE,
+            expires_at DATE NOT NULL,
+            lead_days INTEGER NOT NULL,
+            sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            UNIQUE (document_id, expires_at, lead_days)
+        );
+    `);
+}
+
+module.exports = {
+    name: '019_document_expiry',
+    up
+};
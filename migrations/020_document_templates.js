@@ -0,0 +1,48 @@
+// Templates for HR documents (contracts, salary confirmations, work
+// certificates). Every change to a template's text is kept as a version;
+// generated documents record the template version they were rendered from.
+async function up(client) {
+    await client.query(`
+        -- ============================================================================
+        -- DOCUMENT TEMPLATES
+        -- ============================================================================
+        CREATE TABLE document_templates (
+            id BIGSERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+
+            -- employee_documents.type of the generated documents
+            document_type VARCHAR(100) NOT NULL,
+            current_version INTEGER NOT NULL DEFAULT 1,
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE document_template_versions (
+            id BIGSERIAL PRIMARY KEY,
+            template_id BIGINT NOT NULL REFERENCES document_templates(id) ON DELETE CASCADE,
+            version INTEGER NOT NULL,
+            title VARCHAR(255) NOT NULL,
+
+            -- Text with {{placeholder}} fields (services/documentTemplates)
+            body TEXT NOT NULL,
+            created_by BIGINT REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+            UNIQUE (template_id, version)
+        );
+
+        ALTER TABLE employee_documents
+            ADD COLUMN template_id BIGINT NULL REFERENCES document_templates(id) ON DELETE SET NULL,
+            ADD COLUMN template_version INTEGER NULL;
+
+        CREATE TRIGGER update_document_templates_updated_at BEFORE UPDATE ON document_templates
+            FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+    `);
+}
+
+module.exports = {
+    name: '020_document_templates',
+    up
+};
@@ -29,26 +29,28 @@ async function runMigrations() {
         );
 
         if (migrationCheck.rows.length > 0) {
-            console.log('✅ Migration already executed');
-            return;
-        }
+            console.log('✅ Initial schema already executed');
+        } else {
+            console.log('📝 Creating database schema...');
 
-        console.log('📝 Creating database schema...');
+            // Execute the main schema
+            await createSchema(client);
+            
+            // Insert sample data
+            await insertSampleData(client);
+            
+            // Create views and functions
+            await createViewsAndFunctions(client);
 
-        // Execute the main schema
-        await createSchema(client);
-        
-        // Insert sample data
-        await insertSampleData(client);
-        
-        // Create views and functions
-        await createViewsAndFunctions(client);
+            // Mark migration as completed
+            await client.query(
+                'INSERT INTO migrations (name) VALUES ($1)',
+                ['initial_schema']
+            );
+        }
 
-        // Mark migration as completed
-        await client.query(
-            'INSERT INTO migrations (name) VALUES ($1)',
-            ['initial_schema']
-        );
+        // Apply numbered migrations that haven't run yet
+        await runPendingMigrations(client);
 
         console.log('✅ Migration completed successfully!');
         
@@ -60,6 +62,41 @@ async function runMigrations() {
     }
 }
 
+// Numbered migration files (e.g. 002_sessions.js) exporting { name, up(client) }
+function loadMigrationFiles() {
+    return fs.readdirSync(__dirname)
+        .filter(file => /^\d{3}_.+\.js$/.test(file))
+        .sort()
+        .map(file => require(path.join(__dirname, file)));
+}
+
+async function runPendingMigrations(client) {
+    for (const migration of loadMigrationFiles()) {
+        const executed = await client.query(
+            'SELECT id FROM migrations WHERE name = $1',
+            [migration.name]
+        );
+
+        if (executed.rows.length > 0) {
+            continue;
+        }
+
+        console.log(`📝 Running migration ${migration.name}...`);
+
+        try {
+            await client.query('BEGIN');
+            await migration.up(client);
+            await client.query('INSERT INTO migrations (name) VALUES ($1)', [migration.name]);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+
+        console.log(`✅ Migration ${migration.name} applied`);
+    }
+}
+
 async function createSchema(client) {
     const schema = `
         -- ============================================================================
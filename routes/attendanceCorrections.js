@@ -0,0 +1,403 @@
+const express = require('express');
+const moment = require('moment');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, canUse, scopeFilter, canAccessUser } = require('../middleware/authorize');
+const { getManager } = require('../services/hierarchy');
+const { sendMail } = require('../services/mailer');
+const { validateCorrectionTimes, approveCorrection } = require('../services/attendanceCorrections');
+const { recordAudit } = require('../services/audit');
+const pool = require('../config/database');
+
+const router = express.Router();
+
+const CORRECTION_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const CORRECTION_COLUMNS = `
+    ac.id,
+    ac.user_id,
+    u.name as employee,
+    ac.checkin_id,
+    to_char(ac.checkin_date, 'YYYY-MM-DD') as checkin_date,
+    to_char(ac.checkin_time, 'HH24:MI') as checkin_time,
+    to_char(ac.checkout_time, 'HH24:MI') as checkout_time,
+    ac.breaks,
+    ac.reason,
+    ac.status,
+    ac.approver_id,
+    a.name as approver,
+    ac.reviewed_by,
+    ac.reviewed_at,
+    ac.review_note,
+    ac.original_values,
+    ac.created_at
+`;
+
+// Send a notification without failing the request if delivery fails
+const notify = (to, subject, text) => {
+    if (!to) return;
+    sendMail({ to, subject, text }).catch(error => console.error('Correction notification error:', error));
+};
+
+const findCorrection = async (id) => {
+    const result = await pool.query(`
+        SELECT ${CORRECTION_COLUMNS}, u.email as employee_email
+        FROM attendance_corrections ac
+        JOIN users u ON ac.user_id = u.id
+        LEFT JOIN users a ON ac.approver_id = a.id
+        WHERE ac.id = $1
+    `, [id]);
+
+    return result.rows[0] || null;
+};
+
+// Get attendance correction requests with pagination and filters
+router.get('/attendance-corrections', authenticateToken, authorize('checkins:read'), [
+    query('page').optional().isInt({ min: 1 }),
+    query('per_page').optional().isInt({ min: 1, max: 100 }),
+    query('user_id').optional().isInt({ min: 1 }),
+    query('status').optional().isIn(CORRECTION_STATUSES),
+    query('awaiting_my_approval').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const perPage = parseInt(req.query.per_page) || 10;
+        const offset = (page - 1) * perPage;
+
+        let whereClause = 'WHERE 1=1';
+        let queryParams = [];
+        let paramIndex = 1;
+
+        if (req.query.user_id) {
+            whereClause += ` AND ac.user_id = $${paramIndex++}`;
+            queryParams.push(req.query.user_id);
+        }
+
+        if (req.query.status) {
+            whereClause += ` AND ac.status = $${paramIndex++}`;
+            queryParams.push(req.query.status);
+        }
+
+        if (req.query.awaiting_my_approval === 'true') {
+            whereClause += ` AND ac.status = 'pending' AND ac.approver_id = $${paramIndex++}`;
+            queryParams.push(req.user.id);
+        }
+
+        // Restrict to corrections the caller may see
+        const scope = scopeFilter(req.user, 'ac.user_id', paramIndex);
+        whereClause += scope.clause;
+        queryParams.push(...scope.params);
+        paramIndex = scope.paramIndex;
+
+        const countResult = await pool.query(
+            `SELECT COUNT(*) as total FROM attendance_corrections ac ${whereClause}`,
+            queryParams
+        );
+        const total = parseInt(countResult.rows[0].total);
+
+        const corrections = await pool.query(`
+            SELECT ${CORRECTION_COLUMNS}
+            FROM attendance_corrections ac
+            JOIN users u ON ac.user_id = u.id
+            LEFT JOIN users a ON ac.approver_id = a.id
+            ${whereClause}
+            ORDER BY ac.created_at DESC
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+        `, [...queryParams, perPage, offset]);
+
+        res.json({
+            body: {
+                data: corrections.rows,
+                meta: {
+                    current_page: page,
+                    per_page: perPage,
+                    total: total,
+                    last_page: Math.ceil(total / perPage)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get attendance corrections error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get single attendance correction request
+router.get('/attendance-corrections/:id', authenticateToken, authorize('checkins:read'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const correction = await findCorrection(req.params.id);
+
+        if (!correction) {
+            return res.status(404).json({ message: 'Correction request not found' });
+        }
+
+        if (!(await canAccessUser(req.user, correction.user_id))) {
+            return res.status(403).json({ message: 'You do not have access to this correction request' });
+        }
+
+        delete correction.employee_email;
+
+        res.json({
+            body: correction
+        });
+    } catch (error) {
+        console.error('Get attendance correction error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Submit a correction for a missing or wrong check-in day
+router.post('/attendance-corrections', authenticateToken, authorize('corrections:request'), [
+    body('checkin_date').isISO8601({ strict: true }),
+    body('checkin_time').isString(),
+    body('checkout_time').optional({ nullable: true }).isString(),
+    body('breaks').optional().isArray({ max: 20 }),
+    body('breaks.*.start').optional().isString(),
+    body('breaks.*.end').optional().isString(),
+    body('reason').notEmpty().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const userId = req.user.id;
+        const checkinDate = moment(req.body.checkin_date).format('YYYY-MM-DD');
+        const today = moment().format('YYYY-MM-DD');
+
+        if (checkinDate > today) {
+            return res.status(400).json({ message: 'Cannot correct future days' });
+        }
+
+        const correction = {
+            checkin_time: req.body.checkin_time,
+            checkout_time: req.body.checkout_time || null,
+            breaks: (req.body.breaks || []).map(b => ({ start: b.start, end: b.end }))
+        };
+
+        if (!correction.checkout_time && checkinDate < today) {
+            return res.status(400).json({ message: 'Checkout time is required for past days' });
+        }
+
+        const timeError = validateCorrectionTimes(correction);
+        if (timeError) {
+            return res.status(400).json({ message: timeError });
+        }
+
+        const pending = await pool.query(
+            `SELECT id FROM attendance_corrections WHERE user_id = $1 AND checkin_date = $2 AND status = 'pending'`,
+            [userId, checkinDate]
+        );
+
+        if (pending.rows.length > 0) {
+            return res.status(400).json({ message: 'There is already a pending correction for this day' });
+        }
+
+        const checkin = await pool.query(
+            'SELECT id FROM employee_checkins WHERE user_id = $1 AND checkin_date = $2',
+            [userId, checkinDate]
+        );
+
+        const manager = await getManager(userId);
+
+        const result = await pool.query(`
+            INSERT INTO attendance_corrections (
+                user_id, checkin_id, checkin_date, checkin_time, checkout_time, breaks, reason, approver_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id
+        `, [
+            userId,
+            checkin.rows.length > 0 ? checkin.rows[0].id : null,
+            checkinDate,
+            correction.checkin_time,
+            correction.checkout_time,
+            JSON.stringify(correction.breaks),
+            req.body.reason,
+            manager ? manager.id : null
+        ]);
+
+        if (manager) {
+            notify(
+                manager.email,
+                `Attendance correction from ${req.user.name}`,
+                `${req.user.name} requested a correction of their attendance on ${checkinDate}.\n\n` +
+                `Reason: ${req.body.reason}\n\nPlease review it in Kistr.`
+            );
+        }
+
+        res.status(201).json({
+            message: 'Correction request submitted successfully',
+            body: {
+                id: result.rows[0].id,
+                approver_id: manager ? manager.id : null
+            }
+        });
+    } catch (error) {
+        console.error('Create attendance correction error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Check that the caller may review the correction; sends the error response otherwise
+const loadReviewableCorrection = async (req, res) => {
+    const correction = await findCorrection(req.params.id);
+
+    if (!correction) {
+        res.status(404).json({ message: 'Correction request not found' });
+        return null;
+    }
+
+    if (String(correction.user_id) === String(req.user.id)) {
+        res.status(403).json({ message: 'You cannot review your own correction request' });
+        return null;
+    }
+
+    if (!(await canAccessUser(req.user, correction.user_id))) {
+        res.status(403).json({ message: 'You do not have access to this correction request' });
+        return null;
+    }
+
+    // Managers review the corrections assigned to them; HR may review any
+    if (!canUse(req, 'corrections:manage') && String(correction.approver_id) !== String(req.user.id)) {
+        res.status(403).json({ message: 'Only the assigned approver can review this correction request' });
+        return null;
+    }
+
+    if (correction.status !== 'pending') {
+        res.status(400).json({ message: 'Only pending requests can be reviewed' });
+        return null;
+    }
+
+    return correction;
+};
+
+// Approve a correction and rewrite the check-in
+router.post('/attendance-corrections/:id/approve', authenticateToken, authorize('corrections:approve'), [
+    param('id').isInt({ min: 1 }),
+    body('note').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const correction = await loadReviewableCorrection(req, res);
+        if (!correction) return;
+
+        const applied = await approveCorrection(correction.id, req.user.id, req.body.note);
+
+        if (!applied) {
+            return res.status(400).json({ message: 'Only pending requests can be reviewed' });
+        }
+
+        await recordAudit(req, {
+            action: applied.before ? 'update' : 'create',
+            entityType: 'checkin',
+            entityId: applied.checkin_id,
+            subjectUserId: correction.user_id,
+            before: applied.before,
+            after: applied.after
+        });
+
+        notify(
+            correction.employee_email,
+            'Your attendance correction was approved',
+            `Your attendance correction for ${correction.checkin_date} was approved by ${req.user.name}.`
+        );
+
+        res.json({ message: 'Correction approved and applied' });
+    } catch (error) {
+        console.error('Approve attendance correction error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Reject a correction
+router.post('/attendance-corrections/:id/reject', authenticateToken, authorize('corrections:approve'), [
+    param('id').isInt({ min: 1 }),
+    body('note').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const correction = await loadReviewableCorrection(req, res);
+        if (!correction) return;
+
+        const result = await pool.query(`
+            UPDATE attendance_corrections
+            SET status = 'rejected', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, review_note = $2
+            WHERE id = $3 AND status = 'pending'
+        `, [req.user.id, req.body.note || null, correction.id]);
+
+        // Reviewed by someone else in the meantime
+        if (result.rowCount === 0) {
+            return res.status(400).json({ message: 'Only pending requests can be reviewed' });
+        }
+
+        notify(
+            correction.employee_email,
+            'Your attendance correction was rejected',
+            `Your attendance correction for ${correction.checkin_date} was rejected by ${req.user.name}.` +
+            (req.body.note ? `\n\nNote: ${req.body.note}` : '')
+        );
+
+        res.json({ message: 'Correction rejected' });
+    } catch (error) {
+        console.error('Reject attendance correction error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Withdraw own pending correction
+router.post('/attendance-corrections/:id/cancel', authenticateToken, authorize('corrections:request'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await pool.query(`
+            UPDATE attendance_corrections SET status = 'cancelled'
+            WHERE id = $1 AND user_id = $2 AND status = 'pending'
+        `, [req.params.id, req.user.id]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'Pending correction request not found' });
+        }
+
+        res.json({ message: 'Correction request cancelled' });
+    } catch (error) {
+        console.error('Cancel attendance correction error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
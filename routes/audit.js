@@ -0,0 +1,144 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { ENTITY_TYPES } = require('../services/audit');
+const pool = require('../config/database');
+
+const router = express.Router();
+
+const AUDIT_COLUMNS = `
+    al.id,
+    al.actor_id,
+    a.name as actor,
+    al.action,
+    al.entity_type,
+    al.entity_id,
+    al.subject_user_id,
+    s.name as subject,
+    al.changes,
+    al.ip_address,
+    al.user_agent,
+    al.created_at
+`;
+
+const listValidation = [
+    query('page').optional().isInt({ min: 1 }),
+    query('per_page').optional().isInt({ min: 1, max: 100 }),
+    query('entity_type').optional().isIn(ENTITY_TYPES),
+    query('from').optional().isISO8601({ strict: true }),
+    query('to').optional().isISO8601({ strict: true })
+];
+
+// Apply the shared filters, run the paginated query and send the result
+const sendAuditEntries = async (req, res, whereClause, queryParams) => {
+    const page = parseInt(req.query.page) || 1;
+    const perPage = parseInt(req.query.per_page) || 25;
+    const offset = (page - 1) * perPage;
+
+    let paramIndex = queryParams.length + 1;
+
+    if (req.query.entity_type) {
+        whereClause += ` AND al.entity_type = $${paramIndex++}`;
+        queryParams.push(req.query.entity_type);
+    }
+
+    if (req.query.from) {
+        whereClause += ` AND al.created_at >= $${paramIndex++}`;
+        queryParams.push(req.query.from);
+    }
+
+    // Dates without a time include the whole day
+    if (req.query.to) {
+        whereClause += req.query.to.length === 10
+            ? ` AND al.created_at < $${paramIndex++}::DATE + 1`
+            : ` AND al.created_at <= $${paramIndex++}`;
+        queryParams.push(req.query.to);
+    }
+
+    const countResult = await pool.query(
+        `SELECT COUNT(*) as total FROM audit_logs al ${whereClause}`,
+        queryParams
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const entries = await pool.query(`
+        SELECT ${AUDIT_COLUMNS}
+        FROM audit_logs al
+        LEFT JOIN users a ON al.actor_id = a.id
+        LEFT JOIN users s ON al.subject_user_id = s.id
+        ${whereClause}
+        ORDER BY al.created_at DESC, al.id DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...queryParams, perPage, offset]);
+
+    res.json({
+        body: {
+            data: entries.rows,
+            meta: {
+                current_page: page,
+                per_page: perPage,
+                total: total,
+                last_page: Math.ceil(total / perPage)
+            }
+        }
+    });
+};
+
+// Get the change history of an employee and their records
+router.get('/employees/:id/history', authenticateToken, authorize('audit:read_employee'), [
+    param('id').isInt({ min: 1 }),
+    ...listValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await sendAuditEntries(req, res, 'WHERE al.subject_user_id = $1', [req.params.id]);
+    } catch (error) {
+        console.error('Get employee history error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get the audit log across all records
+router.get('/audit-log', authenticateToken, authorize('audit:read'), [
+    ...listValidation,
+    query('actor_id').optional().isInt({ min: 1 }),
+    query('entity_id').optional().isInt({ min: 1 }),
+    query('action').optional().trim().isLength({ max: 50 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        let whereClause = 'WHERE 1=1';
+        let queryParams = [];
+
+        if (req.query.actor_id) {
+            queryParams.push(req.query.actor_id);
+            whereClause += ` AND al.actor_id = $${queryParams.length}`;
+        }
+
+        if (req.query.entity_id) {
+            queryParams.push(req.query.entity_id);
+            whereClause += ` AND al.entity_id = $${queryParams.length}`;
+        }
+
+        if (req.query.action) {
+            queryParams.push(req.query.action);
+            whereClause += ` AND al.action = $${queryParams.length}`;
+        }
+
+        await sendAuditEntries(req, res, whereClause, queryParams);
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
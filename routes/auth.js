@@ -1,11 +1,33 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
 const pool = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { normalizeRole, denyTokenAccess } = require('../middleware/authorize');
+const { generateToken, hashToken } = require('../services/tokens');
+const { sendMail } = require('../services/mailer');
+const { recordAudit } = require('../services/audit');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions
+} = require('../services/sessions');
 
 const router = express.Router();
 
+// Reset tokens are valid for this many minutes
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Stricter rate limiting for password reset requests
+const passwordResetLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // limit each IP to 5 requests per windowMs
+    message: 'Too many password reset attempts, please try again later.'
+});
+
 // Login
 router.post('/login', [
     body('email').isEmail().normalizeEmail(),
@@ -24,7 +46,7 @@ router.post('/login', [
 
         // Find user
         const result = await pool.query(
-            'SELECT id, email, password, name, employee_status FROM users WHERE email = $1',
+            'SELECT id, email, password, name, role, employee_status FROM users WHERE email = $1',
             [email]
         );
 
@@ -34,8 +56,13 @@ router.post('/login', [
 
         const user = result.rows[0];
 
+        // Invited employees first have to set a password through their activation link
+        if (user.employee_status === 'pending_activation') {
+            return res.status(401).json({ message: 'Account has not been activated yet, use the link in your invitation email' });
+        }
+
         // Check if user is active
-        if (user.employee_status !== 'active') {
+        if (user.employee_status !== 'active' || !user.password) {
             return res.status(401).json({ message: 'Account is not active' });
         }
 
@@ -45,21 +72,21 @@ router.post('/login', [
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
-        // Generate token
-        const token = jwt.sign(
-            { userId: user.id, email: user.email },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // Start a session and issue access + refresh tokens
+        const tokens = await createSession(user, {
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
 
         res.json({
             message: 'Login successful',
             body: {
-                token,
+                ...tokens,
                 user: {
                     id: user.id,
                     email: user.email,
-                    name: user.name
+                    name: user.name,
+                    role: normalizeRole(user.role)
                 }
             }
         });
@@ -69,4 +96,291 @@ router.post('/login', [
     }
 });
 
+// Request a password reset link
+router.post('/forgot-password', passwordResetLimiter, [
+    body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { email } = req.body;
+
+        // Same response whether or not the account exists
+        const response = {
+            message: 'If an account exists for this email, a password reset link has been sent'
+        };
+
+        const result = await pool.query(
+            'SELECT id, email, name FROM users WHERE email = $1 AND employee_status = $2',
+            [email, 'active']
+        );
+
+        if (result.rows.length === 0) {
+            return res.json(response);
+        }
+
+        const user = result.rows[0];
+        const token = generateToken();
+
+        // One outstanding token per email; issuing a new one replaces the old
+        await pool.query(`
+            INSERT INTO password_reset_tokens (email, token, created_at)
+            VALUES ($1, $2, CURRENT_TIMESTAMP)
+            ON CONFLICT (email) DO UPDATE SET token = EXCLUDED.token, created_at = EXCLUDED.created_at
+        `, [user.email, hashToken(token)]);
+
+        const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${encodeURIComponent(token)}`;
+
+        // Don't await delivery so response timing doesn't reveal whether the email exists
+        sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hello ${user.name},\n\n` +
+                `Use the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n` +
+                `${resetUrl}\n\n` +
+                'If you did not request a password reset, you can ignore this email.'
+        }).catch(error => console.error('Password reset mail error:', error));
+
+        res.json(response);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Reset password using a token from the reset email
+router.post('/reset-password', passwordResetLimiter, [
+    body('token').notEmpty().isString(),
+    body('password').isLength({ min: 8, max: 128 })
+], async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { token, password } = req.body;
+
+        await client.query('BEGIN');
+
+        // Consume the token so it can only be used once
+        const tokenResult = await client.query(`
+            DELETE FROM password_reset_tokens
+            WHERE token = $1
+            RETURNING email, created_at > CURRENT_TIMESTAMP - $2 * INTERVAL '1 minute' AS valid
+        `, [hashToken(token), PASSWORD_RESET_TTL_MINUTES]);
+
+        if (tokenResult.rows.length === 0 || !tokenResult.rows[0].valid) {
+            await client.query('COMMIT');
+            return res.status(400).json({ message: 'Invalid or expired reset token' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        const updateResult = await client.query(
+            'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE email = $2 AND employee_status = $3 RETURNING id',
+            [hashedPassword, tokenResult.rows[0].email, 'active']
+        );
+
+        if (updateResult.rowCount === 0) {
+            await client.query('COMMIT');
+            return res.status(400).json({ message: 'Invalid or expired reset token' });
+        }
+
+        // Sign out everywhere once the password has changed
+        await revokeUserSessions(updateResult.rows[0].id, 'password_reset', client);
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Password has been reset successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Reset password error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Activate an invited account by choosing a password
+router.post('/activate', passwordResetLimiter, [
+    body('token').notEmpty().isString(),
+    body('password').isLength({ min: 8, max: 128 })
+], async (req, res) => {
+    const client = await pool.connect();
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { token, password } = req.body;
+
+        await client.query('BEGIN');
+
+        const invitationResult = await client.query(`
+            SELECT i.id, i.user_id
+            FROM employee_invitations i
+            JOIN users u ON i.user_id = u.id
+            WHERE i.token_hash = $1
+              AND i.accepted_at IS NULL
+              AND i.revoked_at IS NULL
+              AND i.expires_at > CURRENT_TIMESTAMP
+              AND u.employee_status = 'pending_activation'
+            FOR UPDATE OF i, u
+        `, [hashToken(token)]);
+
+        if (invitationResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: 'Invalid or expired activation link' });
+        }
+
+        const invitation = invitationResult.rows[0];
+        const before = await client.query('SELECT * FROM users WHERE id = $1', [invitation.user_id]);
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        const updateResult = await client.query(`
+            UPDATE users
+            SET password = $1,
+                employee_status = 'active',
+                activated_at = CURRENT_TIMESTAMP,
+                email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING *
+        `, [hashedPassword, invitation.user_id]);
+
+        await client.query(
+            'UPDATE employee_invitations SET accepted_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [invitation.id]
+        );
+
+        await client.query('COMMIT');
+
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'employee',
+            entityId: invitation.user_id,
+            subjectUserId: invitation.user_id,
+            before: before.rows[0],
+            after: updateResult.rows[0]
+        });
+
+        res.json({ message: 'Account activated successfully, you can now log in' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Activate account error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+    body('refresh_token').notEmpty().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await rotateRefreshToken(req.body.refresh_token, {
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+
+        if (result.error === 'reused') {
+            return res.status(401).json({ message: 'Refresh token reuse detected, session revoked' });
+        }
+
+        if (result.error) {
+            return res.status(401).json({ message: 'Invalid or expired refresh token' });
+        }
+
+        res.json({
+            message: 'Token refreshed',
+            body: result.tokens
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Logout (revokes the current session)
+router.post('/logout', authenticateToken, denyTokenAccess, async (req, res) => {
+    try {
+        if (req.sessionId) {
+            await revokeSession(req.sessionId, 'logout', req.user.id);
+        }
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// List the current user's active sessions (devices)
+router.get('/sessions', authenticateToken, denyTokenAccess, async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user.id);
+
+        res.json({
+            body: {
+                data: sessions.map(session => ({
+                    ...session,
+                    current: session.id === req.sessionId
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', authenticateToken, denyTokenAccess, [
+    param('id').isUUID()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const revoked = await revokeSession(req.params.id, 'user_revoked', req.user.id);
+
+        if (!revoked) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        res.json({ message: 'Session revoked successfully' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
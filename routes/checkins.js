@@ -1,17 +1,27 @@
 const express = require('express');
-const { query, param } = require('express-validator');
+const { query, param, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { authorize, scopeFilter, isUnscoped } = require('../middleware/authorize');
+const { isOnFullDayLeave } = require('../services/leave');
+const { recordAudit } = require('../services/audit');
 const pool = require('../config/database');
 
 const router = express.Router();
 
 // Get check-in history with pagination
-router.get('/employee-checkins', authenticateToken, [
+router.get('/employee-checkins', authenticateToken, authorize('checkins:read'), [
     query('page').optional().isInt({ min: 1 }),
     query('per_page').optional().isInt({ min: 1, max: 100 }),
-    query('user_id').optional().isInt({ min: 1 })
+    query('user_id').optional().isInt({ min: 1 }),
+    query('include_breaks').optional().isBoolean(),
+    query('auto_closed').optional().isBoolean()
 ], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         const page = parseInt(req.query.page) || 1;
         const perPage = parseInt(req.query.per_page) || 10;
         const offset = (page - 1) * perPage;
@@ -27,6 +37,18 @@ router.get('/employee-checkins', authenticateToken, [
             paramIndex++;
         }
 
+        // Check-ins closed by the auto-checkout job, for review
+        if (req.query.auto_closed !== undefined) {
+            whereClause += ` AND ec.auto_closed = $${paramIndex++}`;
+            queryParams.push(req.query.auto_closed === 'true');
+        }
+
+        // Restrict to check-ins the caller may see
+        const scope = scopeFilter(req.user, 'ec.user_id', paramIndex);
+        whereClause += scope.clause;
+        queryParams.push(...scope.params);
+        paramIndex = scope.paramIndex;
+
         // Get total count
         const countQuery = `
             SELECT COUNT(*) as total 
@@ -50,6 +72,8 @@ router.get('/employee-checkins', authenticateToken, [
                 ec.total_working_hours,
                 ec.total_break_hours,
                 ec.total_daily_hours,
+                ec.auto_closed,
+                ec.auto_closed_at,
                 ec.created_at
             FROM employee_checkins ec
             JOIN users u ON ec.user_id = u.id
@@ -60,6 +84,25 @@ router.get('/employee-checkins', authenticateToken, [
 
         const checkins = await pool.query(dataQuery, [...queryParams, perPage, offset]);
 
+        // Optionally attach the individual break intervals
+        if (req.query.include_breaks === 'true' && checkins.rows.length > 0) {
+            const breaks = await pool.query(`
+                SELECT
+                    id,
+                    checkin_id,
+                    started_at,
+                    ended_at,
+                    FLOOR(EXTRACT(EPOCH FROM (ended_at - started_at)) / 60)::INTEGER as duration_minutes
+                FROM checkin_breaks
+                WHERE checkin_id = ANY($1)
+                ORDER BY started_at ASC
+            `, [checkins.rows.map(checkin => checkin.id)]);
+
+            checkins.rows.forEach(checkin => {
+                checkin.breaks = breaks.rows.filter(b => String(b.checkin_id) === String(checkin.id));
+            });
+        }
+
         const totalPages = Math.ceil(total / perPage);
 
         res.json({
@@ -80,7 +123,7 @@ router.get('/employee-checkins', authenticateToken, [
 });
 
 // Create new check-in
-router.post('/employee-checkins', authenticateToken, async (req, res) => {
+router.post('/employee-checkins', authenticateToken, authorize('checkins:write'), async (req, res) => {
     try {
         const userId = req.user.id;
         const today = new Date().toISOString().split('T')[0];
@@ -97,10 +140,27 @@ router.post('/employee-checkins', authenticateToken, async (req, res) => {
             });
         }
 
+        // No check-ins on a day of approved full-day leave
+        if (await isOnFullDayLeave(userId, today)) {
+            return res.status(400).json({
+                message: 'You are on approved leave today'
+            });
+        }
+
         // Create new check-in using function
         const result = await pool.query('SELECT * FROM create_checkin($1)', [userId]);
         const checkinId = result.rows[0].checkin_id;
 
+        const created = await pool.query('SELECT * FROM employee_checkins WHERE id = $1', [checkinId]);
+
+        await recordAudit(req, {
+            action: 'create',
+            entityType: 'checkin',
+            entityId: checkinId,
+            subjectUserId: userId,
+            after: created.rows[0]
+        });
+
         res.status(201).json({
             message: 'Check-in successful',
             body: {
@@ -116,8 +176,15 @@ router.post('/employee-checkins', authenticateToken, async (req, res) => {
 });
 
 // Update check-in status (break/checkout)
-router.put('/employee-checkins/:id', authenticateToken, async (req, res) => {
+router.put('/employee-checkins/:id', authenticateToken, authorize('checkins:write'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         const checkinId = req.params.id;
         const { type } = req.body;
 
@@ -125,9 +192,34 @@ router.put('/employee-checkins/:id', authenticateToken, async (req, res) => {
             return res.status(400).json({ message: 'Invalid status type' });
         }
 
+        // Only the owner (or an unscoped role) may change a check-in
+        const checkin = await pool.query(
+            'SELECT * FROM employee_checkins WHERE id = $1',
+            [checkinId]
+        );
+
+        if (checkin.rows.length === 0) {
+            return res.status(404).json({ message: 'Check-in not found' });
+        }
+
+        if (String(checkin.rows[0].user_id) !== String(req.user.id) && !isUnscoped(req.user)) {
+            return res.status(403).json({ message: 'You can only update your own check-ins' });
+        }
+
         // Use function to update checkin status
         await pool.query('SELECT update_checkin_status($1, $2)', [checkinId, type]);
 
+        const updated = await pool.query('SELECT * FROM employee_checkins WHERE id = $1', [checkinId]);
+
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'checkin',
+            entityId: checkinId,
+            subjectUserId: checkin.rows[0].user_id,
+            before: checkin.rows[0],
+            after: updated.rows[0]
+        });
+
         let message = '';
         switch (type) {
             case 'break':
@@ -143,13 +235,17 @@ router.put('/employee-checkins/:id', authenticateToken, async (req, res) => {
 
         res.json({ message });
     } catch (error) {
+        // Invalid transitions are rejected by update_checkin_status
+        if (error.code === 'P0001') {
+            return res.status(400).json({ message: error.message });
+        }
         console.error('Update checkin error:', error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
 // Get current user's check-in history
-router.get('/get-employee-checkin', authenticateToken, async (req, res) => {
+router.get('/get-employee-checkin', authenticateToken, authorize('checkins:read'), async (req, res) => {
     try {
         const userId = req.user.id;
         
@@ -161,7 +257,8 @@ router.get('/get-employee-checkin', authenticateToken, async (req, res) => {
                 total_working_hours,
                 total_break_hours,
                 total_daily_hours,
-                status
+                status,
+                auto_closed
             FROM employee_checkins 
             WHERE user_id = $1
             ORDER BY checkin_date DESC
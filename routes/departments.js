@@ -0,0 +1,774 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, scopeFilter } = require('../middleware/authorize');
+const { findDepartmentByName, findTeamByName, userExists } = require('../services/organization');
+const { recordAudit } = require('../services/audit');
+const pool = require('../config/database');
+const { inTransaction } = require('../config/transaction');
+
+const router = express.Router();
+
+// Employees who count towards headcounts and member lists
+const ACTIVE_MEMBER = `employee_status <> 'terminated'`;
+
+const findDepartment = async (id, db = pool) => {
+    const result = await db.query(`
+        SELECT
+            d.id,
+            d.name,
+            d.description,
+            d.manager_id,
+            m.name as manager,
+            (SELECT COUNT(*) FROM users u WHERE u.department = d.name AND u.${ACTIVE_MEMBER})::INTEGER as headcount,
+            d.created_at,
+            d.updated_at
+        FROM departments d
+        LEFT JOIN users m ON d.manager_id = m.id
+        WHERE d.id = $1
+    `, [id]);
+
+    return result.rows[0] || null;
+};
+
+const findTeam = async (id, db = pool) => {
+    const result = await db.query(`
+        SELECT
+            t.id,
+            t.name,
+            t.department_id,
+            d.name as department,
+            t.team_lead_id,
+            l.name as team_lead,
+            (SELECT COUNT(*) FROM users u WHERE u.department = d.name AND u.team = t.name AND u.${ACTIVE_MEMBER})::INTEGER as headcount,
+            t.created_at,
+            t.updated_at
+        FROM teams t
+        LEFT JOIN departments d ON t.department_id = d.id
+        LEFT JOIN users l ON t.team_lead_id = l.id
+        WHERE t.id = $1
+    `, [id]);
+
+    return result.rows[0] || null;
+};
+
+// Paginated member list, restricted to employees the caller may see
+const sendMembers = async (req, res, filters) => {
+    const page = parseInt(req.query.page) || 1;
+    const perPage = parseInt(req.query.per_page) || 25;
+    const offset = (page - 1) * perPage;
+
+    let whereClause = `WHERE ${ACTIVE_MEMBER}`;
+    let queryParams = [];
+    let paramIndex = 1;
+
+    Object.entries(filters).forEach(([column, value]) => {
+        whereClause += ` AND ${column} = $${paramIndex++}`;
+        queryParams.push(value);
+    });
+
+    const scope = scopeFilter(req.user, 'id', paramIndex);
+    whereClause += scope.clause;
+    queryParams.push(...scope.params);
+    paramIndex = scope.paramIndex;
+
+    const countResult = await pool.query(`SELECT COUNT(*) as total FROM users ${whereClause}`, queryParams);
+    const total = parseInt(countResult.rows[0].total);
+
+    const members = await pool.query(`
+        SELECT id, employee_id, name, email, position, department, team, employee_status
+        FROM users
+        ${whereClause}
+        ORDER BY name ASC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...queryParams, perPage, offset]);
+
+    res.json({
+        body: {
+            data: members.rows,
+            meta: {
+                current_page: page,
+                per_page: perPage,
+                total: total,
+                last_page: Math.ceil(total / perPage)
+            }
+        }
+    });
+};
+
+// Lock the employees of a department (or one of its teams) before a rename or
+// merge moves them, so the move can be audited per employee
+const lockMembers = async (client, department, team = null) => {
+    const result = await client.query(`
+        SELECT id, department, team FROM users
+        WHERE department = $1 AND ($2::VARCHAR IS NULL OR team = $2)
+        FOR UPDATE
+    `, [department, team]);
+
+    return result.rows;
+};
+
+// Department and team of locked employees before and after the move
+const readMoves = async (client, members) => {
+    if (members.length === 0) {
+        return [];
+    }
+
+    const result = await client.query('SELECT id, department, team FROM users WHERE id = ANY($1)', [members.map(member => member.id)]);
+    const after = new Map(result.rows.map(row => [String(row.id), row]));
+
+    return members.map(before => ({ before, after: after.get(String(before.id)) }));
+};
+
+const auditMoves = async (req, moves) => {
+    for (const { before, after } of moves) {
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'employee',
+            entityId: before.id,
+            subjectUserId: before.id,
+            before,
+            after
+        });
+    }
+};
+
+const membersValidation = [
+    param('id').isInt({ min: 1 }),
+    query('page').optional().isInt({ min: 1 }),
+    query('per_page').optional().isInt({ min: 1, max: 100 })
+];
+
+// ============================================================================
+// DEPARTMENTS
+// ============================================================================
+
+// Get all departments with team counts and headcounts
+router.get('/departments', authenticateToken, authorize('departments:read'), async (req, res) => {
+    try {
+        const departments = await pool.query(`
+            SELECT
+                d.id,
+                d.name,
+                d.description,
+                d.manager_id,
+                m.name as manager,
+                (SELECT COUNT(*) FROM teams t WHERE t.department_id = d.id)::INTEGER as team_count,
+                (SELECT COUNT(*) FROM users u WHERE u.department = d.name AND u.${ACTIVE_MEMBER})::INTEGER as headcount
+            FROM departments d
+            LEFT JOIN users m ON d.manager_id = m.id
+            ORDER BY d.name ASC
+        `);
+
+        res.json({
+            body: {
+                data: departments.rows
+            }
+        });
+    } catch (error) {
+        console.error('Get departments error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get single department with its teams
+router.get('/departments/:id', authenticateToken, authorize('departments:read'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const department = await findDepartment(req.params.id);
+
+        if (!department) {
+            return res.status(404).json({ message: 'Department not found' });
+        }
+
+        const teams = await pool.query(`
+            SELECT
+                t.id,
+                t.name,
+                t.team_lead_id,
+                l.name as team_lead,
+                (SELECT COUNT(*) FROM users u WHERE u.department = $2 AND u.team = t.name AND u.${ACTIVE_MEMBER})::INTEGER as headcount
+            FROM teams t
+            LEFT JOIN users l ON t.team_lead_id = l.id
+            WHERE t.department_id = $1
+            ORDER BY t.name ASC
+        `, [department.id, department.name]);
+
+        res.json({
+            body: {
+                ...department,
+                teams: teams.rows
+            }
+        });
+    } catch (error) {
+        console.error('Get department error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get members of a department
+router.get('/departments/:id/members', authenticateToken, authorize('departments:read', 'employees:read'), membersValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const department = await findDepartment(req.params.id);
+
+        if (!department) {
+            return res.status(404).json({ message: 'Department not found' });
+        }
+
+        await sendMembers(req, res, { department: department.name });
+    } catch (error) {
+        console.error('Get department members error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Create department
+router.post('/departments', authenticateToken, authorize('departments:manage'), [
+    body('name').notEmpty().trim().isLength({ max: 100 }),
+    body('description').optional({ nullable: true }).trim(),
+    body('manager_id').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (await findDepartmentByName(req.body.name)) {
+            return res.status(400).json({ message: 'A department with this name already exists' });
+        }
+
+        if (req.body.manager_id && !(await userExists(req.body.manager_id))) {
+            return res.status(400).json({ message: 'Manager not found' });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO departments (name, description, manager_id)
+            VALUES ($1, $2, $3)
+            RETURNING id
+        `, [req.body.name, req.body.description || null, req.body.manager_id || null]);
+
+        res.status(201).json({
+            message: 'Department created successfully',
+            body: await findDepartment(result.rows[0].id)
+        });
+    } catch (error) {
+        console.error('Create department error:', error);
+        if (error.code === '23505') {
+            return res.status(400).json({ message: 'A department with this name already exists' });
+        }
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Update department; a rename is applied to all its employees
+router.put('/departments/:id', authenticateToken, authorize('departments:manage'), [
+    param('id').isInt({ min: 1 }),
+    body('name').optional().notEmpty().trim().isLength({ max: 100 }),
+    body('description').optional({ nullable: true }).trim(),
+    body('manager_id').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const department = await findDepartment(req.params.id);
+
+        if (!department) {
+            return res.status(404).json({ message: 'Department not found' });
+        }
+
+        const name = req.body.name !== undefined ? req.body.name : department.name;
+
+        const existing = await findDepartmentByName(name);
+        if (existing && String(existing.id) !== String(department.id)) {
+            return res.status(400).json({ message: 'A department with this name already exists' });
+        }
+
+        if (req.body.manager_id && !(await userExists(req.body.manager_id))) {
+            return res.status(400).json({ message: 'Manager not found' });
+        }
+
+        const renamed = await inTransaction(async (client) => {
+            await client.query(`
+                UPDATE departments
+                SET name = $1, description = $2, manager_id = $3
+                WHERE id = $4
+            `, [
+                name,
+                req.body.description !== undefined ? req.body.description : department.description,
+                req.body.manager_id !== undefined ? req.body.manager_id : department.manager_id,
+                department.id
+            ]);
+
+            if (name === department.name) {
+                return [];
+            }
+
+            const members = await lockMembers(client, department.name);
+            await client.query(
+                'UPDATE users SET department = $1, updated_at = CURRENT_TIMESTAMP WHERE department = $2',
+                [name, department.name]
+            );
+
+            return readMoves(client, members);
+        });
+
+        await auditMoves(req, renamed);
+
+        res.json({
+            message: 'Department updated successfully',
+            body: {
+                ...(await findDepartment(department.id)),
+                updated_employees: renamed.length
+            }
+        });
+    } catch (error) {
+        console.error('Update department error:', error);
+        if (error.code === '23505') {
+            return res.status(400).json({ message: 'A department with this name already exists' });
+        }
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Merge a department into another; its employees and teams move to the target
+router.post('/departments/:id/merge', authenticateToken, authorize('departments:manage'), [
+    param('id').isInt({ min: 1 }),
+    body('target_department_id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (String(req.params.id) === String(req.body.target_department_id)) {
+            return res.status(400).json({ message: 'Cannot merge a department into itself' });
+        }
+
+        const [source, target] = await Promise.all([
+            findDepartment(req.params.id),
+            findDepartment(req.body.target_department_id)
+        ]);
+
+        if (!source || !target) {
+            return res.status(404).json({ message: 'Department not found' });
+        }
+
+        const moved = await inTransaction(async (client) => {
+            const members = await lockMembers(client, source.name);
+            const teams = await client.query('SELECT id, name FROM teams WHERE department_id = $1', [source.id]);
+
+            // Teams with the same name are combined, the others move over
+            for (const team of teams.rows) {
+                const targetTeam = await findTeamByName(team.name, target.id, client);
+
+                if (targetTeam) {
+                    await client.query(
+                        'UPDATE users SET team = $1 WHERE department = $2 AND team = $3',
+                        [targetTeam.name, source.name, team.name]
+                    );
+                    await client.query('DELETE FROM teams WHERE id = $1', [team.id]);
+                } else {
+                    await client.query('UPDATE teams SET department_id = $1 WHERE id = $2', [target.id, team.id]);
+                }
+            }
+
+            await client.query(
+                'UPDATE users SET department = $1, updated_at = CURRENT_TIMESTAMP WHERE department = $2',
+                [target.name, source.name]
+            );
+
+            await client.query('DELETE FROM departments WHERE id = $1', [source.id]);
+
+            return readMoves(client, members);
+        });
+
+        await auditMoves(req, moved);
+
+        res.json({
+            message: 'Departments merged successfully',
+            body: {
+                ...(await findDepartment(target.id)),
+                moved_employees: moved.length
+            }
+        });
+    } catch (error) {
+        console.error('Merge departments error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Delete an empty department together with its teams
+router.delete('/departments/:id', authenticateToken, authorize('departments:manage'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const department = await findDepartment(req.params.id);
+
+        if (!department) {
+            return res.status(404).json({ message: 'Department not found' });
+        }
+
+        const members = await pool.query('SELECT COUNT(*) as total FROM users WHERE department = $1', [department.name]);
+
+        if (parseInt(members.rows[0].total) > 0) {
+            return res.status(400).json({ message: 'Department still has employees, move or merge them first' });
+        }
+
+        await inTransaction(async (client) => {
+            await client.query('DELETE FROM teams WHERE department_id = $1', [department.id]);
+            await client.query('DELETE FROM departments WHERE id = $1', [department.id]);
+        });
+
+        res.json({ message: 'Department deleted successfully' });
+    } catch (error) {
+        console.error('Delete department error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// ============================================================================
+// TEAMS
+// ============================================================================
+
+// Get all teams with headcounts
+router.get('/teams', authenticateToken, authorize('departments:read'), [
+    query('department_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        let whereClause = 'WHERE 1=1';
+        let queryParams = [];
+
+        if (req.query.department_id) {
+            whereClause += ' AND t.department_id = $1';
+            queryParams.push(req.query.department_id);
+        }
+
+        const teams = await pool.query(`
+            SELECT
+                t.id,
+                t.name,
+                t.department_id,
+                d.name as department,
+                t.team_lead_id,
+                l.name as team_lead,
+                (SELECT COUNT(*) FROM users u WHERE u.department = d.name AND u.team = t.name AND u.${ACTIVE_MEMBER})::INTEGER as headcount
+            FROM teams t
+            LEFT JOIN departments d ON t.department_id = d.id
+            LEFT JOIN users l ON t.team_lead_id = l.id
+            ${whereClause}
+            ORDER BY d.name ASC, t.name ASC
+        `, queryParams);
+
+        res.json({
+            body: {
+                data: teams.rows
+            }
+        });
+    } catch (error) {
+        console.error('Get teams error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get single team
+router.get('/teams/:id', authenticateToken, authorize('departments:read'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const team = await findTeam(req.params.id);
+
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        res.json({
+            body: team
+        });
+    } catch (error) {
+        console.error('Get team error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get members of a team
+router.get('/teams/:id/members', authenticateToken, authorize('departments:read', 'employees:read'), membersValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const team = await findTeam(req.params.id);
+
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        await sendMembers(req, res, { department: team.department, team: team.name });
+    } catch (error) {
+        console.error('Get team members error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Create team
+router.post('/teams', authenticateToken, authorize('departments:manage'), [
+    body('name').notEmpty().trim().isLength({ max: 100 }),
+    body('department_id').isInt({ min: 1 }),
+    body('team_lead_id').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const department = await findDepartment(req.body.department_id);
+
+        if (!department) {
+            return res.status(400).json({ message: 'Department not found' });
+        }
+
+        if (await findTeamByName(req.body.name, department.id)) {
+            return res.status(400).json({ message: 'A team with this name already exists in the department' });
+        }
+
+        if (req.body.team_lead_id && !(await userExists(req.body.team_lead_id))) {
+            return res.status(400).json({ message: 'Team lead not found' });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO teams (name, department_id, team_lead_id)
+            VALUES ($1, $2, $3)
+            RETURNING id
+        `, [req.body.name, department.id, req.body.team_lead_id || null]);
+
+        res.status(201).json({
+            message: 'Team created successfully',
+            body: await findTeam(result.rows[0].id)
+        });
+    } catch (error) {
+        console.error('Create team error:', error);
+        if (error.code === '23505') {
+            return res.status(400).json({ message: 'A team with this name already exists in the department' });
+        }
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Update team; renames and department moves are applied to its employees
+router.put('/teams/:id', authenticateToken, authorize('departments:manage'), [
+    param('id').isInt({ min: 1 }),
+    body('name').optional().notEmpty().trim().isLength({ max: 100 }),
+    body('department_id').optional().isInt({ min: 1 }),
+    body('team_lead_id').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const team = await findTeam(req.params.id);
+
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        const department = req.body.department_id !== undefined
+            ? await findDepartment(req.body.department_id)
+            : await findDepartment(team.department_id);
+
+        if (!department) {
+            return res.status(400).json({ message: 'Department not found' });
+        }
+
+        const name = req.body.name !== undefined ? req.body.name : team.name;
+
+        const existing = await findTeamByName(name, department.id);
+        if (existing && String(existing.id) !== String(team.id)) {
+            return res.status(400).json({ message: 'A team with this name already exists in the department, merge the teams instead' });
+        }
+
+        if (req.body.team_lead_id && !(await userExists(req.body.team_lead_id))) {
+            return res.status(400).json({ message: 'Team lead not found' });
+        }
+
+        const updated = await inTransaction(async (client) => {
+            await client.query(`
+                UPDATE teams
+                SET name = $1, department_id = $2, team_lead_id = $3
+                WHERE id = $4
+            `, [
+                name,
+                department.id,
+                req.body.team_lead_id !== undefined ? req.body.team_lead_id : team.team_lead_id,
+                team.id
+            ]);
+
+            if (name === team.name && department.name === team.department) {
+                return [];
+            }
+
+            const members = await lockMembers(client, team.department, team.name);
+            await client.query(`
+                UPDATE users SET department = $1, team = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE department = $3 AND team = $4
+            `, [department.name, name, team.department, team.name]);
+
+            return readMoves(client, members);
+        });
+
+        await auditMoves(req, updated);
+
+        res.json({
+            message: 'Team updated successfully',
+            body: {
+                ...(await findTeam(team.id)),
+                updated_employees: updated.length
+            }
+        });
+    } catch (error) {
+        console.error('Update team error:', error);
+        if (error.code === '23505') {
+            return res.status(400).json({ message: 'A team with this name already exists in the department' });
+        }
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Merge a team into another; its employees move to the target team
+router.post('/teams/:id/merge', authenticateToken, authorize('departments:manage'), [
+    param('id').isInt({ min: 1 }),
+    body('target_team_id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (String(req.params.id) === String(req.body.target_team_id)) {
+            return res.status(400).json({ message: 'Cannot merge a team into itself' });
+        }
+
+        const [source, target] = await Promise.all([
+            findTeam(req.params.id),
+            findTeam(req.body.target_team_id)
+        ]);
+
+        if (!source || !target) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        const moved = await inTransaction(async (client) => {
+            const members = await lockMembers(client, source.department, source.name);
+            await client.query(`
+                UPDATE users SET department = $1, team = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE department = $3 AND team = $4
+            `, [target.department, target.name, source.department, source.name]);
+
+            await client.query('DELETE FROM teams WHERE id = $1', [source.id]);
+
+            return readMoves(client, members);
+        });
+
+        await auditMoves(req, moved);
+
+        res.json({
+            message: 'Teams merged successfully',
+            body: {
+                ...(await findTeam(target.id)),
+                moved_employees: moved.length
+            }
+        });
+    } catch (error) {
+        console.error('Merge teams error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Delete an empty team
+router.delete('/teams/:id', authenticateToken, authorize('departments:manage'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const team = await findTeam(req.params.id);
+
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        const members = await pool.query(
+            'SELECT COUNT(*) as total FROM users WHERE department = $1 AND team = $2',
+            [team.department, team.name]
+        );
+
+        if (parseInt(members.rows[0].total) > 0) {
+            return res.status(400).json({ message: 'Team still has employees, move or merge them first' });
+        }
+
+        await pool.query('DELETE FROM teams WHERE id = $1', [team.id]);
+
+        res.json({ message: 'Team deleted successfully' });
+    } catch (error) {
+        console.error('Delete team error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, canUse, canAccessUser } = require('../middleware/authorize');
+const { recordAudit } = require('../services/audit');
+const { addInitialVersion } = require('../services/documentVersions');
+const { storeBuffer, deleteStoredFile } = require('../services/storage');
+const {
+    PLACEHOLDERS,
+    isSensitivePlaceholder,
+    unknownPlaceholders,
+    listPlaceholders,
+    loadPlaceholderValues,
+    renderText,
+    renderPdf,
+    findTemplate,
+    listTemplates,
+    listTemplateVersions,
+    createTemplate,
+    addTemplateVersion
+} = require('../services/documentTemplates');
+const pool = require('../config/database');
+const { inTransaction } = require('../config/transaction');
+
+const router = express.Router();
+
+const knownPlaceholders = (value) => {
+    const unknown = unknownPlaceholders(value);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown placeholders: ${unknown.join(', ')}`);
+    }
+    return true;
+};
+
+const templateValidation = [
+    body('document_type').optional().notEmpty().trim().isLength({ max: 100 }),
+    body('is_active').optional().isBoolean().toBoolean(),
+    body('title').optional().notEmpty().trim().isLength({ max: 255 }).custom(knownPlaceholders),
+    body('body').optional().isString().notEmpty().custom(knownPlaceholders)
+];
+
+// Get the placeholders templates can use
+router.get('/document-templates/placeholders', authenticateToken, authorize('document_templates:manage'), (req, res) => {
+    res.json({
+        body: listPlaceholders()
+    });
+});
+
+// Get document templates
+router.get('/document-templates', authenticateToken, authorize('document_templates:manage'), [
+    query('active').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        res.json({
+            body: await listTemplates({ activeOnly: req.query.active === 'true' })
+        });
+    } catch (error) {
+        console.error('Get document templates error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get a document template with the text of its current (or ?version=) version
+router.get('/document-templates/:id', authenticateToken, authorize('document_templates:manage'), [
+    param('id').isInt({ min: 1 }),
+    query('version').optional().isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const template = await findTemplate(req.params.id, req.query.version || null);
+
+        if (!template) {
+            return res.status(404).json({ message: 'Document template not found' });
+        }
+
+        res.json({
+            body: template
+        });
+    } catch (error) {
+        console.error('Get document template error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get a document template's versions (newest first)
+router.get('/document-templates/:id/versions', authenticateToken, authorize('document_templates:manage'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const template = await findTemplate(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ message: 'Document template not found' });
+        }
+
+        res.json({
+            body: {
+                template_id: template.id,
+                current_version: template.current_version,
+                data: await listTemplateVersions(template.id)
+            }
+        });
+    } catch (error) {
+        console.error('Get document template versions error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Create document template
+router.post('/document-templates', authenticateToken, authorize('document_templates:manage'), [
+    body('name').notEmpty().trim().isLength({ max: 255 }),
+    body('document_type').exists(),
+    body('title').exists(),
+    body('body').exists(),
+    ...templateValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const templateId = await inTransaction(client => createTemplate(client, req.body, req.user.id));
+
+        res.status(201).json({
+            message: 'Document template created successfully',
+            body: await findTemplate(templateId)
+        });
+    } catch (error) {
+        console.error('Create document template error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Update document template. A changed title or text is saved as a new
+// version; documents generated earlier keep the version they were made from.
+router.put('/document-templates/:id', authenticateToken, authorize('document_templates:manage'), [
+    param('id').isInt({ min: 1 }),
+    body('name').optional().notEmpty().trim().isLength({ max: 255 }),
+    ...templateValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const template = await findTemplate(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ message: 'Document template not found' });
+        }
+
+        const pick = (field) => (req.body[field] !== undefined ? req.body[field] : template[field]);
+        const textChanged = pick('title') !== template.title || pick('body') !== template.body;
+
+        await inTransaction(async (client) => {
+            await client.query(`
+                UPDATE document_templates
+                SET name = $1, document_type = $2, is_active = $3
+                WHERE id = $4
+            `, [pick('name'), pick('document_type'), pick('is_active'), template.id]);
+
+            if (textChanged) {
+                await addTemplateVersion(client, template.id, {
+                    title: pick('title'),
+                    body: pick('body')
+                }, req.user.id);
+            }
+        });
+
+        res.json({
+            message: 'Document template updated successfully',
+            body: await findTemplate(template.id)
+        });
+    } catch (error) {
+        console.error('Update document template error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Delete document template (generated documents are kept)
+router.delete('/document-templates/:id', authenticateToken, authorize('document_templates:manage'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await pool.query('DELETE FROM document_templates WHERE id = $1', [req.params.id]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'Document template not found' });
+        }
+
+        res.json({ message: 'Document template deleted successfully' });
+    } catch (error) {
+        console.error('Delete document template error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Render a template with the employee's data to PDF and add it to the
+// employee's documents. Missing employee data is an error unless
+// allow_missing is set; the document starts as a draft for review.
+router.post('/employees/:id/documents/generate', authenticateToken, authorize('documents:write'), [
+    param('id').isInt({ min: 1 }),
+    body('template_id').isInt({ min: 1 }),
+    body('version').optional().isInt({ min: 1 }),
+    body('name').optional().trim().notEmpty().isLength({ max: 200 }),
+    body('status').optional().isIn(['draft', 'active']),
+    body('allow_missing').optional().isBoolean().toBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const userId = req.params.id;
+
+        if (!(await canAccessUser(req.user, userId))) {
+            return res.status(403).json({ message: 'You do not have access to this employee' });
+        }
+
+        const template = await findTemplate(req.body.template_id, req.body.version || null);
+
+        if (!template) {
+            return res.status(404).json({ message: 'Document template not found' });
+        }
+
+        if (!template.is_active) {
+            return res.status(400).json({ message: 'This document template is inactive' });
+        }
+
+        if (template.placeholders.some(isSensitivePlaceholder) && !canUse(req, 'employees:read_sensitive')) {
+            return res.status(403).json({ message: 'This template uses sensitive employee data' });
+        }
+
+        const values = await loadPlaceholderValues(userId);
+
+        if (!values) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        const title = renderText(template.title, values);
+        const text = renderText(template.body, values);
+        const missing = [...new Set([...title.missing, ...text.missing])];
+
+        if (missing.length > 0 && !req.body.allow_missing) {
+            return res.status(422).json({
+                message: 'Employee data is missing for some placeholders',
+                errors: missing.map(name => ({ placeholder: name, label: PLACEHOLDERS[name].label }))
+            });
+        }
+
+        const pdf = await renderPdf({ title: title.text, body: text.text });
+        const name = `${(req.body.name || `${template.name} - ${values.name}`).replace(/[\\/]/g, '-')}.pdf`;
+        const stored = await storeBuffer(pdf, { folder: 'documents', originalName: name, contentType: 'application/pdf' });
+
+        let document;
+        try {
+            document = await inTransaction(async (client) => {
+                const inserted = await client.query(`
+                    INSERT INTO employee_documents
+                        (user_id, name, type, storage_driver, file_path, file_size, mime_type, checksum, status,
+                         template_id, template_version)
+                    VALUES ($1, $2, $3, $4, $5, $6, 'application/pdf', $7, $8, $9, $10)
+                    RETURNING *
+                `, [
+                    userId,
+                    name,
+                    template.document_type,
+                    stored.driver,
+                    stored.key,
+                    stored.size,
+                    crypto.createHash('sha256').update(pdf).digest('hex'),
+                    req.body.status || 'draft',
+                    template.id,
+                    template.version
+                ]);
+
+                await addInitialVersion(client, inserted.rows[0], req.user.id);
+                return inserted.rows[0];
+            });
+        } catch (error) {
+            await deleteStoredFile(stored.driver, stored.key);
+            throw error;
+        }
+
+        await recordAudit(req, {
+            action: 'generate',
+            entityType: 'document',
+            entityId: document.id,
+            subjectUserId: document.user_id,
+            after: document
+        });
+
+        res.status(201).json({
+            message: 'Document generated successfully',
+            body: {
+                id: document.id,
+                name: document.name,
+                type: document.type,
+                status: document.status,
+                template_id: template.id,
+                template_version: template.version,
+                missing_placeholders: missing,
+                download_url: `/api/employee-docs/${document.id}/download`
+            }
+        });
+    } catch (error) {
+        console.error('Generate document error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -1,22 +1,39 @@
 const express = require('express');
 const multer = require('multer');
+const os = require('os');
 const path = require('path');
 const fs = require('fs');
-const { body, validationResult } = require('express-validator');
+const moment = require('moment');
+const parseRange = require('range-parser');
+const { body, param, query, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { authorize, scopeFilter, canAccessUser } = require('../middleware/authorize');
+const { recordAudit } = require('../services/audit');
+const { signDownload, verifyDownload } = require('../services/signedUrls');
+const {
+    addVersion,
+    addInitialVersion,
+    listVersions,
+    findVersion,
+    listVersionFiles
+} = require('../services/documentVersions');
+const { getStorage, storeFile, deleteStoredFile } = require('../services/storage');
+const {
+    UPLOAD_MIME_TYPES,
+    UploadRejectedError,
+    inspectUpload,
+    fileTypeForMime
+} = require('../services/fileInspection');
+const { allowedFileTypesFor } = require('../config/documentTypes');
 const pool = require('../config/database');
+const { inTransaction } = require('../config/transaction');
 
 const router = express.Router();
 
-// Configure multer for file uploads
+// Configure multer for file uploads. Uploads land in a temporary directory
+// and are copied into the storage backend (services/storage) once validated.
 const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadPath = './uploads/documents';
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath, { recursive: true });
-        }
-        cb(null, uploadPath);
-    },
+    destination: os.tmpdir(),
     filename: (req, file, cb) => {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
         cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
@@ -24,14 +41,12 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-    // Accept only PDF and DOC files
-    const allowedTypes = ['application/pdf', 'application/msword', 
-                         'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    // Early check of the declared type only; the content is verified by
+    // inspectUpload against the types allowed for the document type
+    if (UPLOAD_MIME_TYPES.includes(file.mimetype)) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid file type. Only PDF and DOC files are allowed.'), false);
+        cb(new Error('Invalid file type. Only PDF, DOC, DOCX, JPEG and PNG files are allowed.'), false);
     }
 };
 
@@ -43,8 +58,128 @@ const upload = multer({
     fileFilter: fileFilter
 });
 
+const DOCUMENT_STATUSES = ['draft', 'active', 'archived'];
+
+// Optional validity period (YYYY-MM-DD). An empty value clears it on update.
+const validityRules = [
+    body('valid_from').optional({ values: 'falsy' }).isISO8601({ strict: true }),
+    body('expires_at').optional({ values: 'falsy' }).isISO8601({ strict: true })
+        .custom((value, { req }) => !req.body.valid_from || moment(value).isSameOrAfter(req.body.valid_from, 'day'))
+        .withMessage('expires_at must not be before valid_from')
+];
+
+// Remove multer's temporary copy of an upload
+const removeUpload = (file) => {
+    if (file && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+    }
+};
+
+// Copy an inspected upload into the storage backend. Returns the version
+// fields expected by addVersion.
+const storeUpload = async (file, inspection) => {
+    const stored = await storeFile(file.path, {
+        folder: 'documents',
+        originalName: file.originalname,
+        contentType: inspection.mimeType
+    });
+
+    return {
+        name: file.originalname,
+        driver: stored.driver,
+        key: stored.key,
+        size: stored.size,
+        mimetype: inspection.mimeType,
+        checksum: inspection.checksum,
+        contentWarnings: inspection.contentWarnings
+    };
+};
+
+// Document row if it exists and belongs to an employee the caller may see
+const findAccessibleDocument = async (req, id) => {
+    const result = await pool.query('SELECT * FROM employee_documents WHERE id = $1', [id]);
+
+    if (result.rows.length === 0 || !(await canAccessUser(req.user, result.rows[0].user_id))) {
+        return null;
+    }
+
+    return result.rows[0];
+};
+
+// Stream a file from its storage backend with its original name and type.
+// A single byte range (Range: bytes=...) is answered with 206; multiple
+// ranges are not supported and fall back to the full file.
+const sendStoredFile = async (req, res, { driver, key, name, mimeType, checksum }) => {
+    const storage = getStorage(driver);
+    const stats = await storage.stat(key);
+
+    if (!stats) {
+        return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.attachment(name);
+    if (mimeType) {
+        res.setHeader('Content-Type', mimeType);
+    }
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (checksum) {
+        // SHA-256 of the whole file, for integrity checks by the client
+        res.setHeader('ETag', `"${checksum}"`);
+    }
+    if (stats.lastModified) {
+        res.setHeader('Last-Modified', new Date(stats.lastModified).toUTCString());
+    }
+
+    let start = 0;
+    let end = stats.size - 1;
+
+    if (req.headers.range && stats.size > 0) {
+        const ranges = parseRange(stats.size, req.headers.range, { combine: true });
+
+        if (ranges === -1) {
+            res.setHeader('Content-Range', `bytes */${stats.size}`);
+            return res.status(416).end();
+        }
+
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+            start = ranges[0].start;
+            end = ranges[0].end;
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+        }
+    }
+
+    res.setHeader('Content-Length', stats.size > 0 ? end - start + 1 : 0);
+
+    if (stats.size === 0 || req.method === 'HEAD') {
+        return res.end();
+    }
+
+    const stream = await storage.createReadStream(key, { start, end });
+    stream.on('error', (error) => {
+        console.error('Send document error:', error);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+};
+
+// Downloads accept either an access token or a signed link from
+// POST /employee-docs/:id/download-url
+const authenticateDownload = (req, res, next) => {
+    if (req.query.signature) {
+        if (!verifyDownload(req.params.id, req.query)) {
+            return res.status(403).json({ message: 'Invalid or expired download link' });
+        }
+        req.signedDownload = true;
+        return next();
+    }
+
+    authenticateToken(req, res, () => authorize('documents:read')(req, res, next));
+};
+
 // Get employee documents
-router.get('/employee-docs', authenticateToken, async (req, res) => {
+router.get('/employee-docs', authenticateToken, authorize('documents:read'), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const perPage = parseInt(req.query.per_page) || 10;
@@ -53,16 +188,24 @@ router.get('/employee-docs', authenticateToken, async (req, res) => {
 
         let whereClause = 'WHERE 1=1';
         let queryParams = [];
+        let paramIndex = 1;
 
         if (userId) {
-            whereClause += ' AND ed.user_id = ?';
+            whereClause += ` AND ed.user_id = $${paramIndex}`;
             queryParams.push(userId);
+            paramIndex++;
         }
 
+        // Restrict to documents the caller may see
+        const scope = scopeFilter(req.user, 'ed.user_id', paramIndex);
+        whereClause += scope.clause;
+        queryParams.push(...scope.params);
+        paramIndex = scope.paramIndex;
+
         // Get total count
         const countQuery = `SELECT COUNT(*) as total FROM employee_documents ed ${whereClause}`;
-        const [countResult] = await pool.execute(countQuery, queryParams);
-        const total = countResult[0].total;
+        const countResult = await pool.query(countQuery, queryParams);
+        const total = parseInt(countResult.rows[0].total);
 
         // Get paginated data
         const dataQuery = `
@@ -71,8 +214,12 @@ router.get('/employee-docs', authenticateToken, async (req, res) => {
                 ed.user_id,
                 ed.name,
                 ed.type,
-                ed.file_path as path,
+                '/api/employee-docs/' || ed.id || '/download' as download_url,
                 ed.file_size,
+                ed.current_version,
+                ed.content_warnings,
+                to_char(ed.valid_from, 'YYYY-MM-DD') as valid_from,
+                to_char(ed.expires_at, 'YYYY-MM-DD') as expires_at,
                 ed.status,
                 ed.created_at,
                 u.name as employee
@@ -80,16 +227,16 @@ router.get('/employee-docs', authenticateToken, async (req, res) => {
             JOIN users u ON ed.user_id = u.id
             ${whereClause}
             ORDER BY ed.created_at DESC
-            LIMIT ? OFFSET ?
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
         `;
 
-        const [documents] = await pool.execute(dataQuery, [...queryParams, perPage, offset]);
+        const documents = await pool.query(dataQuery, [...queryParams, perPage, offset]);
 
         const totalPages = Math.ceil(total / perPage);
 
         res.json({
             body: {
-                data: documents,
+                data: documents.rows,
                 meta: {
                     current_page: page,
                     per_page: perPage,
@@ -104,18 +251,101 @@ router.get('/employee-docs', authenticateToken, async (req, res) => {
     }
 });
 
+// Get documents expiring within a period (?within=30d), including expired
+// ones the daily job has not archived yet
+router.get('/employee-docs/expiring', authenticateToken, authorize('documents:read'), [
+    query('within').optional().matches(/^\d{1,4}d?$/).withMessage('within must be a number of days, e.g. 30d'),
+    query('type').optional().trim().isLength({ max: 100 }),
+    query('user_id').optional().isInt({ min: 1 }),
+    query('page').optional().isInt({ min: 1 }),
+    query('per_page').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const perPage = parseInt(req.query.per_page) || 10;
+        const offset = (page - 1) * perPage;
+        const withinDays = parseInt(req.query.within || '30');
+
+        let whereClause = `WHERE ed.status <> 'archived' AND ed.expires_at <= CURRENT_DATE + $1::int`;
+        let queryParams = [withinDays];
+        let paramIndex = 2;
+
+        if (req.query.type) {
+            whereClause += ` AND ed.type = $${paramIndex}`;
+            queryParams.push(req.query.type);
+            paramIndex++;
+        }
+
+        if (req.query.user_id) {
+            whereClause += ` AND ed.user_id = $${paramIndex}`;
+            queryParams.push(req.query.user_id);
+            paramIndex++;
+        }
+
+        const scope = scopeFilter(req.user, 'ed.user_id', paramIndex);
+        whereClause += scope.clause;
+        queryParams.push(...scope.params);
+        paramIndex = scope.paramIndex;
+
+        const countResult = await pool.query(
+            `SELECT COUNT(*) as total FROM employee_documents ed ${whereClause}`,
+            queryParams
+        );
+        const total = parseInt(countResult.rows[0].total);
+
+        const documents = await pool.query(`
+            SELECT
+                ed.id,
+                ed.user_id,
+                u.name as employee,
+                ed.name,
+                ed.type,
+                ed.status,
+                to_char(ed.valid_from, 'YYYY-MM-DD') as valid_from,
+                to_char(ed.expires_at, 'YYYY-MM-DD') as expires_at,
+                ed.expires_at - CURRENT_DATE as days_left,
+                '/api/employee-docs/' || ed.id || '/download' as download_url
+            FROM employee_documents ed
+            JOIN users u ON ed.user_id = u.id
+            ${whereClause}
+            ORDER BY ed.expires_at ASC, ed.id ASC
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+        `, [...queryParams, perPage, offset]);
+
+        res.json({
+            body: {
+                within_days: withinDays,
+                data: documents.rows,
+                meta: {
+                    current_page: page,
+                    per_page: perPage,
+                    total: total,
+                    last_page: Math.ceil(total / perPage)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get expiring documents error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
 // Upload new document
-router.post('/employee-docs', authenticateToken, upload.single('file'), [
+router.post('/employee-docs', authenticateToken, authorize('documents:write'), upload.single('file'), [
     body('user_id').isInt({ min: 1 }),
-    body('type').notEmpty().trim().isLength({ max: 100 })
+    body('type').notEmpty().trim().isLength({ max: 100 }),
+    ...validityRules
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
             // Clean up uploaded file if validation fails
-            if (req.file) {
-                fs.unlinkSync(req.file.path);
-            }
+            removeUpload(req.file);
             return res.status(400).json({
                 message: 'Validation failed',
                 errors: errors.array()
@@ -126,129 +356,466 @@ router.post('/employee-docs', authenticateToken, upload.single('file'), [
             return res.status(400).json({ message: 'File is required' });
         }
 
-        const { user_id, type } = req.body;
+        const { user_id, type, valid_from, expires_at } = req.body;
+
+        if (!(await canAccessUser(req.user, user_id))) {
+            removeUpload(req.file);
+            return res.status(403).json({ message: 'You do not have access to this employee' });
+        }
+
+        const inspection = await inspectUpload(req.file, type);
+
+        // The same file may only be on record once per employee
+        const duplicate = await pool.query(`
+            SELECT id FROM employee_documents
+            WHERE user_id = $1 AND checksum = $2 AND status <> 'archived'
+            LIMIT 1
+        `, [user_id, inspection.checksum]);
+
+        if (duplicate.rows.length > 0) {
+            removeUpload(req.file);
+            return res.status(409).json({
+                message: 'This file has already been uploaded for the employee',
+                body: { document_id: duplicate.rows[0].id }
+            });
+        }
+
+        const file = await storeUpload(req.file, inspection);
+        removeUpload(req.file);
 
         const insertQuery = `
-            INSERT INTO employee_documents (user_id, name, type, file_path, file_size, mime_type, status)
-            VALUES (?, ?, ?, ?, ?, ?, 'active')
+            INSERT INTO employee_documents
+                (user_id, name, type, storage_driver, file_path, file_size, mime_type, checksum, content_warnings,
+                 valid_from, expires_at, status)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'active')
+            RETURNING *
         `;
 
         const values = [
             user_id,
-            req.file.originalname,
+            file.name,
             type,
-            req.file.path,
-            req.file.size,
-            req.file.mimetype
+            file.driver,
+            file.key,
+            file.size,
+            file.mimetype,
+            file.checksum,
+            JSON.stringify(file.contentWarnings),
+            valid_from || null,
+            expires_at || null
         ];
 
-        const [result] = await pool.execute(insertQuery, values);
+        // The document and its first version
+        let result;
+        try {
+            result = await inTransaction(async (client) => {
+                const inserted = await client.query(insertQuery, values);
+                await addInitialVersion(client, inserted.rows[0], req.user.id);
+                return inserted;
+            });
+        } catch (error) {
+            await deleteStoredFile(file.driver, file.key);
+            throw error;
+        }
+
+        await recordAudit(req, {
+            action: 'create',
+            entityType: 'document',
+            entityId: result.rows[0].id,
+            subjectUserId: user_id,
+            after: result.rows[0]
+        });
 
         res.status(201).json({
             message: 'Document uploaded successfully',
             body: {
-                id: result.insertId
+                id: result.rows[0].id,
+                content_warnings: file.contentWarnings
             }
         });
     } catch (error) {
-        console.error('Upload document error:', error);
         // Clean up uploaded file on error
-        if (req.file) {
-            fs.unlinkSync(req.file.path);
+        removeUpload(req.file);
+        if (error instanceof UploadRejectedError) {
+            return res.status(error.status).json({ message: error.message });
         }
+        console.error('Upload document error:', error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
-// Update document
-router.post('/employee-docs/:id', authenticateToken, upload.single('file'), async (req, res) => {
+// Update document. A new file is added as a new version; older versions are kept.
+router.post('/employee-docs/:id', authenticateToken, authorize('documents:write'), upload.single('file'), [
+    body('user_id').optional().isInt({ min: 1 }),
+    body('type').optional().notEmpty().trim().isLength({ max: 100 }),
+    body('status').optional().isIn(DOCUMENT_STATUSES),
+    ...validityRules
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            removeUpload(req.file);
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
         const documentId = req.params.id;
-        const { user_id, type, status } = req.body;
+        const { user_id, type, status, valid_from, expires_at } = req.body;
 
         // Get current document info
-        const [currentDoc] = await pool.execute(
-            'SELECT file_path FROM employee_documents WHERE id = ?',
+        const currentDoc = await pool.query(
+            'SELECT * FROM employee_documents WHERE id = $1',
             [documentId]
         );
 
-        if (currentDoc.length === 0) {
-            if (req.file) fs.unlinkSync(req.file.path);
+        if (currentDoc.rows.length === 0) {
+            removeUpload(req.file);
             return res.status(404).json({ message: 'Document not found' });
         }
 
+        // Caller must have access to both the current and the new owner
+        const ownerIds = [currentDoc.rows[0].user_id, user_id].filter(Boolean);
+        for (const ownerId of ownerIds) {
+            if (!(await canAccessUser(req.user, ownerId))) {
+                removeUpload(req.file);
+                return res.status(403).json({ message: 'You do not have access to this employee' });
+            }
+        }
+
         let updateFields = [];
         let values = [];
+        let paramIndex = 1;
 
         if (user_id) {
-            updateFields.push('user_id = ?');
+            updateFields.push(`user_id = $${paramIndex++}`);
             values.push(user_id);
         }
 
         if (type) {
-            updateFields.push('type = ?');
+            updateFields.push(`type = $${paramIndex++}`);
             values.push(type);
         }
 
         if (status) {
-            updateFields.push('status = ?');
+            updateFields.push(`status = $${paramIndex++}`);
             values.push(status);
         }
 
-        if (req.file) {
-            // Delete old file
-            if (fs.existsSync(currentDoc[0].file_path)) {
-                fs.unlinkSync(currentDoc[0].file_path);
-            }
+        if (valid_from !== undefined) {
+            updateFields.push(`valid_from = $${paramIndex++}`);
+            values.push(valid_from || null);
+        }
 
-            updateFields.push('name = ?', 'file_path = ?', 'file_size = ?', 'mime_type = ?');
-            values.push(req.file.originalname, req.file.path, req.file.size, req.file.mimetype);
+        if (expires_at !== undefined) {
+            updateFields.push(`expires_at = $${paramIndex++}`);
+            values.push(expires_at || null);
         }
 
-        if (updateFields.length === 0) {
+        if (updateFields.length === 0 && !req.file) {
             return res.status(400).json({ message: 'No fields to update' });
         }
 
-        updateFields.push('updated_at = CURRENT_TIMESTAMP');
-        values.push(documentId);
+        const documentType = type || currentDoc.rows[0].type;
+        let inspection = null;
 
-        const updateQuery = `
-            UPDATE employee_documents 
-            SET ${updateFields.join(', ')}
-            WHERE id = ?
-        `;
+        if (req.file) {
+            inspection = await inspectUpload(req.file, documentType);
+
+            if (inspection.checksum === currentDoc.rows[0].checksum) {
+                removeUpload(req.file);
+                return res.status(409).json({ message: 'The file is identical to the current version' });
+            }
+        } else if (type) {
+            // The current file must also be allowed for the new document type
+            const fileType = fileTypeForMime(currentDoc.rows[0].mime_type);
+            const allowed = allowedFileTypesFor(type);
+
+            if (!allowed.includes(fileType)) {
+                return res.status(415).json({
+                    message: `Documents of type "${type}" must be one of: ${allowed.join(', ')}`
+                });
+            }
+        }
+
+        const file = inspection ? await storeUpload(req.file, inspection) : null;
+        removeUpload(req.file);
+
+        let updated;
+        try {
+            updated = await inTransaction(async (client) => {
+                let document = currentDoc.rows[0];
+
+                if (updateFields.length > 0) {
+                    const result = await client.query(`
+                        UPDATE employee_documents 
+                        SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+                        WHERE id = $${paramIndex}
+                        RETURNING *
+                    `, [...values, documentId]);
+                    document = result.rows[0];
+                }
 
-        await pool.execute(updateQuery, values);
+                if (file) {
+                    document = await addVersion(client, documentId, file, req.user.id);
+                }
 
-        res.json({ message: 'Document updated successfully' });
+                return document;
+            });
+        } catch (error) {
+            if (file) {
+                await deleteStoredFile(file.driver, file.key);
+            }
+            throw error;
+        }
+
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'document',
+            entityId: documentId,
+            subjectUserId: updated.user_id,
+            before: currentDoc.rows[0],
+            after: updated
+        });
+
+        res.json({
+            message: 'Document updated successfully',
+            body: {
+                id: updated.id,
+                current_version: updated.current_version,
+                content_warnings: updated.content_warnings
+            }
+        });
     } catch (error) {
+        removeUpload(req.file);
+        if (error instanceof UploadRejectedError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        if (error.constraint === 'employee_documents_validity_check') {
+            return res.status(400).json({ message: 'expires_at must not be before valid_from' });
+        }
         console.error('Update document error:', error);
-        if (req.file) fs.unlinkSync(req.file.path);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Download the current version of a document
+router.get('/employee-docs/:id/download', [
+    param('id').isInt({ min: 1 })
+], authenticateDownload, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const document = req.signedDownload
+            ? (await pool.query('SELECT * FROM employee_documents WHERE id = $1', [req.params.id])).rows[0]
+            : await findAccessibleDocument(req, req.params.id);
+
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+
+        await sendStoredFile(req, res, {
+            driver: document.storage_driver,
+            key: document.file_path,
+            name: document.name,
+            mimeType: document.mime_type,
+            checksum: document.checksum
+        });
+    } catch (error) {
+        console.error('Download document error:', error);
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Issue a short-lived signed download link (for links and <a href> in the frontend)
+router.post('/employee-docs/:id/download-url', authenticateToken, authorize('documents:read'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const document = await findAccessibleDocument(req, req.params.id);
+
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+
+        const params = signDownload(document.id, req.user.id);
+
+        res.json({
+            body: {
+                url: `/api/employee-docs/${document.id}/download?${new URLSearchParams(params).toString()}`,
+                expires_at: new Date(parseInt(params.expires) * 1000).toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('Create download URL error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get a document's versions (newest first)
+router.get('/employee-docs/:id/versions', authenticateToken, authorize('documents:read'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const document = await findAccessibleDocument(req, req.params.id);
+
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+
+        res.json({
+            body: {
+                document_id: document.id,
+                current_version: document.current_version,
+                data: await listVersions(document.id)
+            }
+        });
+    } catch (error) {
+        console.error('Get document versions error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Download a specific version of a document
+router.get('/employee-docs/:id/versions/:version/download', authenticateToken, authorize('documents:read'), [
+    param('id').isInt({ min: 1 }),
+    param('version').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const document = await findAccessibleDocument(req, req.params.id);
+        const version = document ? await findVersion(document.id, req.params.version) : null;
+
+        if (!version) {
+            return res.status(404).json({ message: 'Document version not found' });
+        }
+
+        await sendStoredFile(req, res, {
+            driver: version.storage_driver,
+            key: version.file_path,
+            name: version.name,
+            mimeType: version.mime_type,
+            checksum: version.checksum
+        });
+    } catch (error) {
+        console.error('Download document version error:', error);
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Restore an older version: it is copied into a new current version
+router.post('/employee-docs/:id/versions/:version/restore', authenticateToken, authorize('documents:write'), [
+    param('id').isInt({ min: 1 }),
+    param('version').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const document = await findAccessibleDocument(req, req.params.id);
+        const version = document ? await findVersion(document.id, req.params.version) : null;
+
+        if (!version) {
+            return res.status(404).json({ message: 'Document version not found' });
+        }
+
+        if (version.version === document.current_version) {
+            return res.status(400).json({ message: 'This version is already the current one' });
+        }
+
+        const updated = await inTransaction(client => addVersion(client, document.id, {
+            name: version.name,
+            driver: version.storage_driver,
+            key: version.file_path,
+            size: version.file_size,
+            mimetype: version.mime_type,
+            checksum: version.checksum,
+            contentWarnings: version.content_warnings
+        }, req.user.id, version.version));
+
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'document',
+            entityId: document.id,
+            subjectUserId: document.user_id,
+            before: document,
+            after: updated
+        });
+
+        res.json({
+            message: `Version ${version.version} restored successfully`,
+            body: {
+                id: updated.id,
+                current_version: updated.current_version
+            }
+        });
+    } catch (error) {
+        console.error('Restore document version error:', error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
 
 // Delete document
-router.delete('/employee-docs/:id', authenticateToken, async (req, res) => {
+router.delete('/employee-docs/:id', authenticateToken, authorize('documents:delete'), async (req, res) => {
     try {
         const documentId = req.params.id;
 
         // Get document file path before deletion
-        const [document] = await pool.execute(
-            'SELECT file_path FROM employee_documents WHERE id = ?',
+        const document = await pool.query(
+            'SELECT * FROM employee_documents WHERE id = $1',
             [documentId]
         );
 
-        if (document.length === 0) {
+        if (document.rows.length === 0) {
             return res.status(404).json({ message: 'Document not found' });
         }
 
-        // Delete from database
-        await pool.execute('DELETE FROM employee_documents WHERE id = ?', [documentId]);
+        if (!(await canAccessUser(req.user, document.rows[0].user_id))) {
+            return res.status(403).json({ message: 'You do not have access to this employee' });
+        }
+
+        const files = await listVersionFiles(documentId);
+
+        // Delete from database (versions are removed with the document)
+        await pool.query('DELETE FROM employee_documents WHERE id = $1', [documentId]);
+
+        await recordAudit(req, {
+            action: 'delete',
+            entityType: 'document',
+            entityId: documentId,
+            subjectUserId: document.rows[0].user_id,
+            before: document.rows[0]
+        });
 
-        // Delete physical file
-        if (fs.existsSync(document[0].file_path)) {
-            fs.unlinkSync(document[0].file_path);
+        // Delete the files of all versions
+        for (const file of files) {
+            await deleteStoredFile(file.storage_driver, file.file_path);
         }
 
         res.json({ message: 'Document deleted successfully' });
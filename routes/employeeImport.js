@@ -0,0 +1,120 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { recordAudit } = require('../services/audit');
+const { sendInvitation } = require('../services/invitations');
+const { ImportError, readSpreadsheet, validateRows, summarize, importRows } = require('../services/employeeImport');
+
+const router = express.Router();
+
+const IMPORT_MODES = ['all_or_nothing', 'skip_invalid'];
+
+// Import files are parsed in memory and never stored
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only CSV and XLSX files are allowed.'), false);
+        }
+    }
+});
+
+// Import employees from a CSV or XLSX file. Rows are matched to existing
+// employees by email (update) or created. With dry_run nothing is written.
+router.post('/employees/import', authenticateToken, authorize('employees:create', 'employees:update'), upload.single('file'), [
+    body('mode').optional().isIn(IMPORT_MODES),
+    body('dry_run').optional().isBoolean().toBoolean(),
+    body('mapping').optional().isJSON()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ message: 'No file uploaded' });
+        }
+
+        const mode = req.body.mode || 'all_or_nothing';
+        const mapping = req.body.mapping ? JSON.parse(req.body.mapping) : null;
+
+        if (mapping !== null && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+            return res.status(400).json({ message: 'The mapping must be an object of column names to fields' });
+        }
+
+        const rows = await readSpreadsheet(req.file);
+        const { results, errors: rowErrors } = await validateRows(rows, mapping);
+        const report = summarize(results, rowErrors);
+
+        if (req.body.dry_run) {
+            return res.json({
+                message: 'Dry run completed, nothing was imported',
+                body: report
+            });
+        }
+
+        if (mode === 'all_or_nothing' && report.invalid_rows > 0) {
+            return res.status(422).json({
+                message: 'The file contains invalid rows, nothing was imported',
+                body: report
+            });
+        }
+
+        const { created, updated } = await importRows(results, req.user.id);
+
+        for (const entry of created) {
+            sendInvitation(entry.after, entry.invitationToken);
+            await recordAudit(req, {
+                action: 'create',
+                entityType: 'employee',
+                entityId: entry.after.id,
+                subjectUserId: entry.after.id,
+                after: entry.after
+            });
+        }
+
+        for (const entry of updated) {
+            await recordAudit(req, {
+                action: 'update',
+                entityType: 'employee',
+                entityId: entry.after.id,
+                subjectUserId: entry.after.id,
+                before: entry.before,
+                after: entry.after
+            });
+        }
+
+        res.json({
+            message: 'Import completed',
+            body: {
+                ...report,
+                created: created.length,
+                updated: updated.length,
+                skipped: report.invalid_rows
+            }
+        });
+    } catch (error) {
+        if (error instanceof ImportError) {
+            return res.status(400).json({ message: error.message });
+        }
+        console.error('Import employees error:', error);
+        if (error.code === '23505') { // PostgreSQL unique violation
+            return res.status(409).json({ message: 'An employee in the file already exists, nothing was imported' });
+        }
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -1,13 +1,27 @@
 const express = require('express');
-const bcrypt = require('bcryptjs'); // Added missing import
-const { body, validationResult, query } = require('express-validator');
+const { validationResult, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { authorize, canUse, scopeFilter, canAccessUser } = require('../middleware/authorize');
+const { resolveDepartmentAndTeam } = require('../services/organization');
+const { resolveManager, wouldCreateCycle } = require('../services/hierarchy');
+const { recordAudit } = require('../services/audit');
+const { encryptEmployeeFields, presentEmployeeFields } = require('../services/fieldEncryption');
+const {
+    EMPLOYEE_UPDATE_FIELDS,
+    createEmployeeRules,
+    updateEmployeeRules,
+    resolveEmployeeReferences,
+    insertEmployee
+} = require('../services/employees');
+const { createOnboarding } = require('../services/onboarding');
+const { createInvitation, sendInvitation } = require('../services/invitations');
+const { EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, SENSITIVE_EXPORT_COLUMNS, writeEmployeeExport } = require('../services/employeeExport');
 const pool = require('../config/database');
 
 const router = express.Router();
 
 // Get all employees with pagination and filters
-router.get('/employees', authenticateToken, [
+router.get('/employees', authenticateToken, authorize('employees:read'), [
     query('page').optional().isInt({ min: 1 }),
     query('perPage').optional().isInt({ min: 1, max: 100 }),
     query('search').optional().isLength({ max: 255 })
@@ -21,38 +35,8 @@ router.get('/employees', authenticateToken, [
         const page = parseInt(req.query.page) || 1;
         const perPage = parseInt(req.query.perPage) || 10;
         const offset = (page - 1) * perPage;
-        const search = req.query.search || '';
 
-        let whereClause = 'WHERE 1=1';
-        let queryParams = [];
-        let paramIndex = 1;
-
-        // Add search filter
-        if (search) {
-            whereClause += ` AND (name LIKE $${paramIndex} OR email LIKE $${paramIndex + 1} OR position LIKE $${paramIndex + 2})`;
-            const searchTerm = `%${search}%`;
-            queryParams.push(searchTerm, searchTerm, searchTerm);
-            paramIndex += 3;
-        }
-
-        // Add other filters
-        if (req.query.department) {
-            whereClause += ` AND department = $${paramIndex}`;
-            queryParams.push(req.query.department);
-            paramIndex++;
-        }
-
-        if (req.query.team) {
-            whereClause += ` AND team = $${paramIndex}`;
-            queryParams.push(req.query.team);
-            paramIndex++;
-        }
-
-        if (req.query.employee_status) {
-            whereClause += ` AND employee_status = $${paramIndex}`;
-            queryParams.push(req.query.employee_status);
-            paramIndex++;
-        }
+        const { whereClause, queryParams, paramIndex } = buildEmployeeFilters(req);
 
         // Get total count
         const countQuery = `SELECT COUNT(*) as total FROM users ${whereClause}`;
@@ -93,9 +77,62 @@ router.get('/employees', authenticateToken, [
     }
 });
 
+// Export the employee directory as CSV or XLSX (same filters as the listing)
+router.get('/employees/export', authenticateToken, authorize('employees:read'), [
+    query('format').optional().isIn(['csv', 'xlsx']),
+    query('columns').optional().isString(),
+    query('search').optional().isLength({ max: 255 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const format = req.query.format || 'csv';
+        const columns = req.query.columns
+            ? [...new Set(req.query.columns.split(',').map(column => column.trim()).filter(Boolean))]
+            : DEFAULT_EXPORT_COLUMNS;
+
+        const unknownColumns = columns.filter(column => !EXPORT_COLUMNS[column]);
+        if (columns.length === 0 || unknownColumns.length > 0) {
+            return res.status(400).json({
+                message: unknownColumns.length > 0 ? `Unknown columns: ${unknownColumns.join(', ')}` : 'No columns selected',
+                body: { available_columns: Object.keys(EXPORT_COLUMNS) }
+            });
+        }
+
+        // Tax, social security, bank and salary columns need extra permission
+        if (columns.some(column => SENSITIVE_EXPORT_COLUMNS.includes(column)) && !canUse(req, 'employees:read_sensitive')) {
+            return res.status(403).json({ message: 'You may not export sensitive columns' });
+        }
+
+        const { whereClause, queryParams } = buildEmployeeFilters(req);
+        const fileName = `employees-${new Date().toISOString().substring(0, 10)}.${format}`;
+
+        res.setHeader('Content-Type', format === 'xlsx'
+            ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            : 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        await writeEmployeeExport(res, { whereClause, params: queryParams }, columns, format);
+    } catch (error) {
+        console.error('Export employees error:', error);
+        // The download has started; all we can do is cut it off
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
 // Get single employee
-router.get('/employees/:id', authenticateToken, async (req, res) => {
+router.get('/employees/:id', authenticateToken, authorize('employees:read'), async (req, res) => {
     try {
+        if (!(await canAccessUser(req.user, req.params.id))) {
+            return res.status(403).json({ message: 'You do not have access to this employee' });
+        }
+
         const result = await pool.query(
             'SELECT * FROM users WHERE id = $1',
             [req.params.id]
@@ -105,8 +142,14 @@ router.get('/employees/:id', authenticateToken, async (req, res) => {
             return res.status(404).json({ message: 'Employee not found' });
         }
 
+        const { password, remember_token, ...employee } = result.rows[0];
+
+        // Tax, social security, bank and salary data is masked unless the
+        // caller may read it or it is their own record
+        const reveal = canUse(req, 'employees:read_sensitive') || String(employee.id) === String(req.user.id);
+
         res.json({
-            body: result.rows[0]
+            body: presentEmployeeFields(employee, reveal)
         });
     } catch (error) {
         console.error('Get employee error:', error);
@@ -115,17 +158,7 @@ router.get('/employees/:id', authenticateToken, async (req, res) => {
 });
 
 // Create new employee
-router.post('/employees', authenticateToken, [
-    body('first_name').notEmpty().trim().isLength({ max: 100 }),
-    body('last_name').notEmpty().trim().isLength({ max: 100 }),
-    body('email').isEmail().normalizeEmail(),
-    body('employment_type').isIn(['intern', 'extern', 'internship', 'trainee', 'working_student', 'permanent']),
-    body('dob').isISO8601().toDate(),
-    body('position').notEmpty().trim(),
-    body('department').notEmpty().trim(),
-    body('team').optional().trim(),
-    body('weekly_hours').isFloat({ min: 0, max: 40 })
-], async (req, res) => {
+router.post('/employees', authenticateToken, authorize('employees:create'), createEmployeeRules, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -135,61 +168,55 @@ router.post('/employees', authenticateToken, [
             });
         }
 
-        // Generate employee ID
-        const lastEmployee = await pool.query(
-            'SELECT employee_id FROM users ORDER BY id DESC LIMIT 1'
-        );
-        
-        let nextNumber = 1;
-        if (lastEmployee.rows.length > 0 && lastEmployee.rows[0].employee_id) {
-            const lastNumber = parseInt(lastEmployee.rows[0].employee_id.replace('EMP', ''));
-            nextNumber = lastNumber + 1;
+        // Department, team and reporting manager must exist
+        const references = await resolveEmployeeReferences(req.body);
+        if (references.error) {
+            return res.status(400).json({ message: references.error });
         }
-        
-        const employeeId = `EMP${nextNumber.toString().padStart(3, '0')}`;
-
-        // Hash default password
-        const defaultPassword = await bcrypt.hash('password', 10);
-
-        const insertQuery = `
-            INSERT INTO users (
-                employee_id, email, password, first_name, last_name, dob,
-                employment_type, position, department, team, reporting_manager,
-                city, weekly_hours, contract_start_at, working_time_model,
-                salary_type, base_salary, paid_vacation, onboarding_type
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
-            RETURNING id
-        `;
 
-        const values = [
-            employeeId,
-            req.body.email,
-            defaultPassword,
-            req.body.first_name,
-            req.body.last_name,
-            req.body.dob,
-            req.body.employment_type,
-            req.body.position,
-            req.body.department,
-            req.body.team || null,
-            req.body.reporting_manager || null,
-            req.body.city || null,
-            req.body.weekly_hours,
-            req.body.contract_start_at || null,
-            req.body.working_time_model || null,
-            req.body.salary_type || null,
-            req.body.base_salary || null,
-            req.body.paid_vacation || null,
-            req.body.onboarding_type || null
-        ];
-
-        const result = await pool.query(insertQuery, values);
+        // The onboarding checklist comes from the matching template; the new
+        // hire sets their own password through the invitation
+        const client = await pool.connect();
+        let employee;
+        let onboardingId;
+        let invitation;
+
+        try {
+            await client.query('BEGIN');
+
+            employee = await insertEmployee(req.body, {
+                unit: references.unit,
+                manager: references.manager
+            }, client);
+            onboardingId = await createOnboarding(employee, null, client);
+            invitation = await createInvitation(employee.id, req.user.id, client);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        sendInvitation(employee, invitation.token);
+
+        await recordAudit(req, {
+            action: 'create',
+            entityType: 'employee',
+            entityId: employee.id,
+            subjectUserId: employee.id,
+            after: employee
+        });
 
         res.status(201).json({
             message: 'Employee created successfully',
             body: {
-                id: result.rows[0].id,
-                employee_id: employeeId
+                id: employee.id,
+                employee_id: employee.employee_id,
+                employee_status: employee.employee_status,
+                onboarding_id: onboardingId,
+                invitation_expires_at: invitation.expires_at
             }
         });
     } catch (error) {
@@ -202,19 +229,82 @@ router.post('/employees', authenticateToken, [
 });
 
 // Update employee
-router.put('/employees/:id', authenticateToken, async (req, res) => {
+router.put('/employees/:id', authenticateToken, authorize('employees:update'), updateEmployeeRules, async (req, res) => {
     try {
-        const { update_type, ...updateData } = req.body;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { update_type, id, ...body } = req.body;
+
+        // Roles can only be changed through the role assignment endpoint
+        if (body.role !== undefined) {
+            return res.status(403).json({ message: 'Use PUT /employees/:id/role to change roles' });
+        }
+
+        // Only whitelisted columns are written; anything else is refused
+        const unknownFields = Object.keys(body).filter(field => !EMPLOYEE_UPDATE_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: unknownFields.map(field => ({ path: field, msg: 'This field cannot be updated here' }))
+            });
+        }
+
+        const updateData = { ...body };
+
+        // Department and team must exist in the organization tables and match each other
+        if (updateData.department !== undefined || updateData.team !== undefined) {
+            const current = await pool.query('SELECT department, team FROM users WHERE id = $1', [req.params.id]);
+
+            if (current.rows.length === 0) {
+                return res.status(404).json({ message: 'Employee not found' });
+            }
+
+            const unit = await resolveDepartmentAndTeam({
+                department: updateData.department !== undefined ? updateData.department : current.rows[0].department,
+                team: updateData.team !== undefined ? updateData.team : current.rows[0].team
+            });
+
+            if (unit.error) {
+                return res.status(400).json({ message: unit.error });
+            }
+
+            updateData.department = unit.department;
+            updateData.team = unit.team;
+        }
+
+        // The reporting manager must exist and must not report (indirectly) to this employee
+        if (updateData.reporting_manager_id !== undefined || updateData.reporting_manager !== undefined) {
+            const { manager, error: managerError } = await resolveManager(updateData);
+            if (managerError) {
+                return res.status(400).json({ message: managerError });
+            }
+
+            if (manager && await wouldCreateCycle(req.params.id, manager.id)) {
+                return res.status(400).json({ message: 'This reporting manager would create a reporting cycle' });
+            }
+
+            updateData.reporting_manager_id = manager ? manager.id : null;
+            updateData.reporting_manager = manager ? manager.name : null;
+        }
         
+        // Sensitive fields are stored encrypted
+        const storedData = encryptEmployeeFields(updateData);
+
         // Build dynamic update query based on update_type
         let updateFields = [];
         let values = [];
         let paramIndex = 1;
 
-        Object.keys(updateData).forEach(key => {
-            if (key !== 'id' && updateData[key] !== undefined) {
+        Object.keys(storedData).forEach(key => {
+            if (EMPLOYEE_UPDATE_FIELDS.includes(key) && storedData[key] !== undefined) {
                 updateFields.push(`${key} = $${paramIndex}`);
-                values.push(updateData[key]);
+                values.push(storedData[key]);
                 paramIndex++;
             }
         });
@@ -225,10 +315,17 @@ router.put('/employees/:id', authenticateToken, async (req, res) => {
 
         values.push(req.params.id);
 
+        const before = await pool.query('SELECT * FROM users WHERE id = $1', [req.params.id]);
+
+        if (before.rows.length === 0) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
         const updateQuery = `
             UPDATE users 
             SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
             WHERE id = $${paramIndex}
+            RETURNING *
         `;
 
         const result = await pool.query(updateQuery, values);
@@ -237,6 +334,15 @@ router.put('/employees/:id', authenticateToken, async (req, res) => {
             return res.status(404).json({ message: 'Employee not found' });
         }
 
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'employee',
+            entityId: req.params.id,
+            subjectUserId: req.params.id,
+            before: before.rows[0],
+            after: result.rows[0]
+        });
+
         res.json({ message: 'Employee updated successfully' });
     } catch (error) {
         console.error('Update employee error:', error);
@@ -245,14 +351,14 @@ router.put('/employees/:id', authenticateToken, async (req, res) => {
 });
 
 // Get employee filters (for filter dropdowns)
-router.get('/get-employee-filters', authenticateToken, async (req, res) => {
+router.get('/get-employee-filters', authenticateToken, authorize('employees:read'), async (req, res) => {
     try {
         const departments = await pool.query(
-            'SELECT DISTINCT department FROM users WHERE department IS NOT NULL ORDER BY department'
+            'SELECT name as department FROM departments ORDER BY name'
         );
         
         const teams = await pool.query(
-            'SELECT DISTINCT team FROM users WHERE team IS NOT NULL ORDER BY team'
+            'SELECT DISTINCT name as team FROM teams ORDER BY name'
         );
         
         const statuses = await pool.query(
@@ -284,6 +390,50 @@ router.get('/get-employee-filters', authenticateToken, async (req, res) => {
     }
 });
 
+// WHERE clause for the directory filters (search, department, team, status),
+// restricted to the employees the caller may see
+function buildEmployeeFilters(req) {
+    const search = req.query.search || '';
+    let whereClause = 'WHERE 1=1';
+    let queryParams = [];
+    let paramIndex = 1;
+
+    // Add search filter
+    if (search) {
+        whereClause += ` AND (name LIKE $${paramIndex} OR email LIKE $${paramIndex + 1} OR position LIKE $${paramIndex + 2})`;
+        const searchTerm = `%${search}%`;
+        queryParams.push(searchTerm, searchTerm, searchTerm);
+        paramIndex += 3;
+    }
+
+    // Add other filters
+    if (req.query.department) {
+        whereClause += ` AND department = $${paramIndex}`;
+        queryParams.push(req.query.department);
+        paramIndex++;
+    }
+
+    if (req.query.team) {
+        whereClause += ` AND team = $${paramIndex}`;
+        queryParams.push(req.query.team);
+        paramIndex++;
+    }
+
+    if (req.query.employee_status) {
+        whereClause += ` AND employee_status = $${paramIndex}`;
+        queryParams.push(req.query.employee_status);
+        paramIndex++;
+    }
+
+    // Restrict to employees the caller may see
+    const scope = scopeFilter(req.user, 'id', paramIndex);
+    whereClause += scope.clause;
+    queryParams.push(...scope.params);
+    paramIndex = scope.paramIndex;
+
+    return { whereClause, queryParams, paramIndex };
+}
+
 // Helper function for pagination links
 function generatePaginationLinks(currentPage, totalPages, baseUrl) {
     const links = [];
@@ -1,12 +1,14 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { authorize, isUnscoped } = require('../middleware/authorize');
+const { recordAudit } = require('../services/audit');
 const pool = require('../config/database');
 
 const router = express.Router();
 
 // Get feedback list with filters
-router.get('/employee-feedbacks', authenticateToken, [
+router.get('/employee-feedbacks', authenticateToken, authorize('feedback:read'), [
     query('page').optional().isInt({ min: 1 }),
     query('per_page').optional().isInt({ min: 1, max: 100 }),
     query('type').optional().isIn(['self_feedback_request', 'other_feedback_request', 'giving_feedback'])
@@ -25,29 +27,35 @@ router.get('/employee-feedbacks', authenticateToken, [
 
         let whereClause = 'WHERE 1=1';
         let queryParams = [];
+        let paramIndex = 1;
 
         // Filter by type
         if (type) {
-            whereClause += ' AND f.type = ?';
+            whereClause += ` AND f.type = $${paramIndex++}`;
             queryParams.push(type);
 
             // Add user-specific filters based on type
             if (type === 'self_feedback_request') {
-                whereClause += ' AND f.requested_by = ?';
+                whereClause += ` AND f.requested_by = $${paramIndex++}`;
                 queryParams.push(userId);
             } else if (type === 'other_feedback_request') {
-                whereClause += ' AND f.requested_to = ?';
+                whereClause += ` AND f.requested_to = $${paramIndex++}`;
                 queryParams.push(userId);
             } else if (type === 'giving_feedback') {
-                whereClause += ' AND f.requested_by = ?';
+                whereClause += ` AND f.requested_by = $${paramIndex++}`;
                 queryParams.push(userId);
             }
+        } else if (!isUnscoped(req.user)) {
+            // Without a type, only show feedback the caller is involved in
+            whereClause += ` AND (f.requested_by = $${paramIndex} OR f.requested_to = $${paramIndex} OR f.requested_for = $${paramIndex})`;
+            queryParams.push(userId);
+            paramIndex++;
         }
 
         // Get total count
         const countQuery = `SELECT COUNT(*) as total FROM employee_feedbacks f ${whereClause}`;
-        const [countResult] = await pool.execute(countQuery, queryParams);
-        const total = countResult[0].total;
+        const countResult = await pool.query(countQuery, queryParams);
+        const total = parseInt(countResult.rows[0].total);
 
         // Get paginated data
         const dataQuery = `
@@ -69,16 +77,16 @@ router.get('/employee-feedbacks', authenticateToken, [
             LEFT JOIN users u_for ON f.requested_for = u_for.id
             ${whereClause}
             ORDER BY f.created_at DESC
-            LIMIT ? OFFSET ?
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
         `;
 
-        const [feedbacks] = await pool.execute(dataQuery, [...queryParams, perPage, offset]);
+        const feedbacks = await pool.query(dataQuery, [...queryParams, perPage, offset]);
 
         const totalPages = Math.ceil(total / perPage);
 
         res.json({
             body: {
-                data: feedbacks,
+                data: feedbacks.rows,
                 meta: {
                     current_page: page,
                     per_page: perPage,
@@ -94,7 +102,7 @@ router.get('/employee-feedbacks', authenticateToken, [
 });
 
 // Create new feedback request
-router.post('/employee-feedbacks', authenticateToken, [
+router.post('/employee-feedbacks', authenticateToken, authorize('feedback:write'), [
     body('type').isIn(['self_feedback_request', 'other_feedback_request', 'giving_feedback']),
     body('requested_to').optional().isInt({ min: 1 }),
     body('requested_for').optional().isInt({ min: 1 }),
@@ -136,19 +144,28 @@ router.post('/employee-feedbacks', authenticateToken, [
 
         const fields = Object.keys(insertData);
         const values = Object.values(insertData);
-        const placeholders = fields.map(() => '?').join(', ');
+        const placeholders = fields.map((field, index) => `$${index + 1}`).join(', ');
 
         const insertQuery = `
             INSERT INTO employee_feedbacks (${fields.join(', ')})
             VALUES (${placeholders})
+            RETURNING *
         `;
 
-        const [result] = await pool.execute(insertQuery, values);
+        const result = await pool.query(insertQuery, values);
+
+        await recordAudit(req, {
+            action: 'create',
+            entityType: 'feedback',
+            entityId: result.rows[0].id,
+            subjectUserId: result.rows[0].requested_for,
+            after: result.rows[0]
+        });
 
         res.status(201).json({
             message: 'Feedback request created successfully',
             body: {
-                id: result.insertId
+                id: result.rows[0].id
             }
         });
     } catch (error) {
@@ -158,30 +175,50 @@ router.post('/employee-feedbacks', authenticateToken, [
 });
 
 // Update feedback
-router.put('/employee-feedbacks/:id', authenticateToken, async (req, res) => {
+router.put('/employee-feedbacks/:id', authenticateToken, authorize('feedback:write'), async (req, res) => {
     try {
         const feedbackId = req.params.id;
         const { giving_feedback_to, feedback_given, feedback_check } = req.body;
 
+        const existing = await pool.query(
+            'SELECT * FROM employee_feedbacks WHERE id = $1',
+            [feedbackId]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ message: 'Feedback not found' });
+        }
+
+        // Only the person asked for feedback may answer it
+        if (String(existing.rows[0].requested_to) !== String(req.user.id) && !isUnscoped(req.user)) {
+            return res.status(403).json({ message: 'You can only answer feedback requested from you' });
+        }
+
         const updateQuery = `
             UPDATE employee_feedbacks 
             SET 
-                feedback = ?,
-                feedback_check = ?,
+                feedback = $1,
+                feedback_check = $2,
                 status = 'completed',
                 updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
+            WHERE id = $3
+            RETURNING *
         `;
 
-        const [result] = await pool.execute(updateQuery, [
+        const updated = await pool.query(updateQuery, [
             feedback_given,
             feedback_check || false,
             feedbackId
         ]);
 
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ message: 'Feedback not found' });
-        }
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'feedback',
+            entityId: feedbackId,
+            subjectUserId: updated.rows[0].requested_for,
+            before: existing.rows[0],
+            after: updated.rows[0]
+        });
 
         res.json({ message: 'Feedback updated successfully' });
     } catch (error) {
@@ -191,11 +228,11 @@ router.put('/employee-feedbacks/:id', authenticateToken, async (req, res) => {
 });
 
 // Get feedback details
-router.get('/employee-feedbacks/:id', authenticateToken, async (req, res) => {
+router.get('/employee-feedbacks/:id', authenticateToken, authorize('feedback:read'), async (req, res) => {
     try {
         const feedbackId = req.params.id;
 
-        const [feedbacks] = await pool.execute(`
+        const feedbacks = await pool.query(`
             SELECT 
                 f.*,
                 u_by.name as requested_by_user,
@@ -205,15 +242,23 @@ router.get('/employee-feedbacks/:id', authenticateToken, async (req, res) => {
             LEFT JOIN users u_by ON f.requested_by = u_by.id
             LEFT JOIN users u_to ON f.requested_to = u_to.id
             LEFT JOIN users u_for ON f.requested_for = u_for.id
-            WHERE f.id = ?
+            WHERE f.id = $1
         `, [feedbackId]);
 
-        if (feedbacks.length === 0) {
+        if (feedbacks.rows.length === 0) {
             return res.status(404).json({ message: 'Feedback not found' });
         }
 
+        const feedback = feedbacks.rows[0];
+        const involved = [feedback.requested_by, feedback.requested_to, feedback.requested_for]
+            .some(id => String(id) === String(req.user.id));
+
+        if (!involved && !isUnscoped(req.user)) {
+            return res.status(403).json({ message: 'You do not have access to this feedback' });
+        }
+
         res.json({
-            body: feedbacks[0]
+            body: feedback
         });
     } catch (error) {
         console.error('Get feedback details error:', error);
@@ -222,21 +267,29 @@ router.get('/employee-feedbacks/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete feedback
-router.delete('/employee-feedbacks/:id', authenticateToken, async (req, res) => {
+router.delete('/employee-feedbacks/:id', authenticateToken, authorize('feedback:write'), async (req, res) => {
     try {
         const feedbackId = req.params.id;
         const userId = req.user.id;
 
         // Only allow deletion by the person who created the feedback
-        const [result] = await pool.execute(
-            'DELETE FROM employee_feedbacks WHERE id = ? AND requested_by = ?',
+        const result = await pool.query(
+            'DELETE FROM employee_feedbacks WHERE id = $1 AND requested_by = $2 RETURNING *',
             [feedbackId, userId]
         );
 
-        if (result.affectedRows === 0) {
+        if (result.rowCount === 0) {
             return res.status(404).json({ message: 'Feedback not found or not authorized' });
         }
 
+        await recordAudit(req, {
+            action: 'delete',
+            entityType: 'feedback',
+            entityId: feedbackId,
+            subjectUserId: result.rows[0].requested_for,
+            before: result.rows[0]
+        });
+
         res.json({ message: 'Feedback deleted successfully' });
     } catch (error) {
         console.error('Delete feedback error:', error);
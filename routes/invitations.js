@@ -0,0 +1,136 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const {
+    revokeInvitations,
+    createInvitation,
+    sendInvitation,
+    getLatestInvitation
+} = require('../services/invitations');
+const pool = require('../config/database');
+
+const router = express.Router();
+
+const findEmployee = async (id) => {
+    const result = await pool.query(
+        'SELECT id, email, first_name, name, employee_status FROM users WHERE id = $1',
+        [id]
+    );
+
+    return result.rows[0] || null;
+};
+
+// Get the status of an employee's latest invitation
+router.get('/employees/:id/invitation', authenticateToken, authorize('employees:create'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const employee = await findEmployee(req.params.id);
+
+        if (!employee) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        const invitation = await getLatestInvitation(employee.id);
+
+        if (!invitation) {
+            return res.status(404).json({ message: 'Employee has not been invited' });
+        }
+
+        res.json({
+            body: {
+                ...invitation,
+                employee_status: employee.employee_status
+            }
+        });
+    } catch (error) {
+        console.error('Get invitation error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Resend the invitation (the previous link stops working)
+router.post('/employees/:id/invitation', authenticateToken, authorize('employees:create'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const employee = await findEmployee(req.params.id);
+
+        if (!employee) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        if (employee.employee_status !== 'pending_activation') {
+            return res.status(400).json({ message: 'Only employees awaiting activation can be invited' });
+        }
+
+        const client = await pool.connect();
+        let invitation;
+
+        try {
+            await client.query('BEGIN');
+            invitation = await createInvitation(employee.id, req.user.id, client);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        sendInvitation(employee, invitation.token);
+
+        res.json({
+            message: 'Invitation sent successfully',
+            body: {
+                id: invitation.id,
+                expires_at: invitation.expires_at
+            }
+        });
+    } catch (error) {
+        console.error('Resend invitation error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Revoke the outstanding invitation
+router.delete('/employees/:id/invitation', authenticateToken, authorize('employees:create'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const employee = await findEmployee(req.params.id);
+
+        if (!employee) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        const revoked = await revokeInvitations(employee.id);
+
+        if (revoked === 0) {
+            return res.status(404).json({ message: 'Employee has no outstanding invitation' });
+        }
+
+        res.json({ message: 'Invitation revoked successfully' });
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,652 @@
+const express = require('express');
+const moment = require('moment');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, canUse, isUnscoped, scopeFilter, canAccessUser } = require('../middleware/authorize');
+const { getManager } = require('../services/hierarchy');
+const { sendMail } = require('../services/mailer');
+const {
+    LEAVE_TYPES,
+    expandLeaveDays,
+    countLeaveDays,
+    daysInYear,
+    getLeaveBalance
+} = require('../services/leave');
+const pool = require('../config/database');
+
+const router = express.Router();
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const LEAVE_REQUEST_COLUMNS = `
+    lr.id,
+    lr.user_id,
+    u.name as employee,
+    lr.leave_type,
+    to_char(lr.start_date, 'YYYY-MM-DD') as start_date,
+    to_char(lr.end_date, 'YYYY-MM-DD') as end_date,
+    lr.start_half_day,
+    lr.end_half_day,
+    lr.days,
+    lr.reason,
+    lr.status,
+    lr.approver_id,
+    a.name as approver,
+    lr.decided_by,
+    lr.decided_at,
+    lr.decision_note,
+    lr.created_at
+`;
+
+// Send a notification without failing the request if delivery fails
+const notify = (to, subject, text) => {
+    if (!to) return;
+    sendMail({ to, subject, text }).catch(error => console.error('Leave notification error:', error));
+};
+
+const findLeaveRequest = async (id) => {
+    const result = await pool.query(`
+        SELECT ${LEAVE_REQUEST_COLUMNS}, u.email as employee_email
+        FROM leave_requests lr
+        JOIN users u ON lr.user_id = u.id
+        LEFT JOIN users a ON lr.approver_id = a.id
+        WHERE lr.id = $1
+    `, [id]);
+
+    return result.rows[0] || null;
+};
+
+// Why a pending request can no longer be approved (it overlaps leave approved
+// meanwhile, or the vacation balance no longer covers it), or null. Run inside
+// the approving transaction with the employee locked.
+const findApprovalConflict = async (client, request) => {
+    const overlapping = await client.query(`
+        SELECT id FROM leave_requests
+        WHERE user_id = $1 AND id <> $2 AND status = 'approved'
+          AND start_date <= $4 AND end_date >= $3
+        LIMIT 1
+    `, [request.user_id, request.id, request.start_date, request.end_date]);
+
+    if (overlapping.rows.length > 0) {
+        return 'Overlaps with an approved leave request';
+    }
+
+    if (request.leave_type === 'vacation') {
+        const startYear = moment(request.start_date).year();
+        const endYear = moment(request.end_date).year();
+
+        for (let year = startYear; year <= endYear; year++) {
+            // The request itself is still pending, so it only has to fit
+            // into what is left after approved leave
+            const balance = await getLeaveBalance(request.user_id, year, client);
+            const requested = daysInYear([request], year);
+
+            if (requested > balance.remaining_days) {
+                return `Not enough vacation left for ${year}: ${balance.remaining_days} day(s) remaining, ${requested} requested`;
+            }
+        }
+    }
+
+    return null;
+};
+
+// Get available leave types
+router.get('/leave-types', authenticateToken, authorize('leave:read'), (req, res) => {
+    res.json({
+        body: LEAVE_TYPES.map(type => ({
+            key: type,
+            label: type.charAt(0).toUpperCase() + type.slice(1)
+        }))
+    });
+});
+
+// Get leave requests with pagination and filters
+router.get('/leave-requests', authenticateToken, authorize('leave:read'), [
+    query('page').optional().isInt({ min: 1 }),
+    query('per_page').optional().isInt({ min: 1, max: 100 }),
+    query('user_id').optional().isInt({ min: 1 }),
+    query('status').optional().isIn(LEAVE_STATUSES),
+    query('leave_type').optional().isIn(LEAVE_TYPES),
+    query('awaiting_my_approval').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const perPage = parseInt(req.query.per_page) || 10;
+        const offset = (page - 1) * perPage;
+
+        let whereClause = 'WHERE 1=1';
+        let queryParams = [];
+        let paramIndex = 1;
+
+        if (req.query.user_id) {
+            whereClause += ` AND lr.user_id = $${paramIndex++}`;
+            queryParams.push(req.query.user_id);
+        }
+
+        if (req.query.status) {
+            whereClause += ` AND lr.status = $${paramIndex++}`;
+            queryParams.push(req.query.status);
+        }
+
+        if (req.query.leave_type) {
+            whereClause += ` AND lr.leave_type = $${paramIndex++}`;
+            queryParams.push(req.query.leave_type);
+        }
+
+        if (req.query.awaiting_my_approval === 'true') {
+            whereClause += ` AND lr.status = 'pending' AND lr.approver_id = $${paramIndex++}`;
+            queryParams.push(req.user.id);
+        }
+
+        // Restrict to requests the caller may see
+        const scope = scopeFilter(req.user, 'lr.user_id', paramIndex);
+        whereClause += scope.clause;
+        queryParams.push(...scope.params);
+        paramIndex = scope.paramIndex;
+
+        const countResult = await pool.query(
+            `SELECT COUNT(*) as total FROM leave_requests lr ${whereClause}`,
+            queryParams
+        );
+        const total = parseInt(countResult.rows[0].total);
+
+        const requests = await pool.query(`
+            SELECT ${LEAVE_REQUEST_COLUMNS}
+            FROM leave_requests lr
+            JOIN users u ON lr.user_id = u.id
+            LEFT JOIN users a ON lr.approver_id = a.id
+            ${whereClause}
+            ORDER BY lr.start_date DESC, lr.id DESC
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+        `, [...queryParams, perPage, offset]);
+
+        res.json({
+            body: {
+                data: requests.rows,
+                meta: {
+                    current_page: page,
+                    per_page: perPage,
+                    total: total,
+                    last_page: Math.ceil(total / perPage)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get leave requests error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get team absence calendar
+router.get('/leave-calendar', authenticateToken, authorize('leave:read'), [
+    query('from').isISO8601({ strict: true }),
+    query('to').isISO8601({ strict: true }),
+    query('department').optional().trim(),
+    query('team').optional().trim(),
+    query('include_pending').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { from, to } = req.query;
+
+        if (moment(to).isBefore(from)) {
+            return res.status(400).json({ message: '"to" must not be before "from"' });
+        }
+
+        if (moment(to).diff(moment(from), 'days') > 366) {
+            return res.status(400).json({ message: 'Period cannot exceed 366 days' });
+        }
+
+        const statuses = req.query.include_pending === 'true' ? ['approved', 'pending'] : ['approved'];
+
+        let whereClause = 'WHERE lr.status = ANY($1) AND lr.start_date <= $3 AND lr.end_date >= $2';
+        let queryParams = [statuses, from, to];
+        let paramIndex = 4;
+
+        if (req.query.department) {
+            whereClause += ` AND u.department = $${paramIndex++}`;
+            queryParams.push(req.query.department);
+        }
+
+        if (req.query.team) {
+            whereClause += ` AND u.team = $${paramIndex++}`;
+            queryParams.push(req.query.team);
+        }
+
+        // Besides everyone in their scope, people see absences of their own team
+        let visibleColumn = 'TRUE';
+        if (!isUnscoped(req.user)) {
+            const scope = scopeFilter(req.user, 'lr.user_id', paramIndex);
+            const scopeCondition = `(TRUE${scope.clause})`;
+            queryParams.push(...scope.params);
+            paramIndex = scope.paramIndex;
+
+            whereClause += ` AND (${scopeCondition} OR (u.team IS NOT NULL AND (u.department, u.team) IN (
+                SELECT department, team FROM users WHERE id = $${paramIndex}
+            )))`;
+            queryParams.push(req.user.id);
+            paramIndex++;
+
+            visibleColumn = scopeCondition;
+        }
+
+        const result = await pool.query(`
+            SELECT
+                lr.id,
+                lr.user_id,
+                u.name as employee,
+                u.department,
+                u.team,
+                lr.leave_type,
+                to_char(lr.start_date, 'YYYY-MM-DD') as start_date,
+                to_char(lr.end_date, 'YYYY-MM-DD') as end_date,
+                lr.start_half_day,
+                lr.end_half_day,
+                lr.status,
+                ${visibleColumn} as details_visible
+            FROM leave_requests lr
+            JOIN users u ON lr.user_id = u.id
+            ${whereClause}
+            ORDER BY lr.start_date ASC, u.name ASC
+        `, queryParams);
+
+        // Teammates outside the caller's scope only see that someone is absent
+        const data = result.rows.map(({ details_visible, ...absence }) => ({
+            ...absence,
+            leave_type: details_visible ? absence.leave_type : 'absence',
+            days: [...expandLeaveDays(absence).entries()]
+                .filter(([date]) => date >= from && date <= to)
+                .map(([date, fraction]) => ({ date, fraction }))
+        }));
+
+        res.json({
+            body: {
+                from,
+                to,
+                data
+            }
+        });
+    } catch (error) {
+        console.error('Get leave calendar error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get single leave request
+router.get('/leave-requests/:id', authenticateToken, authorize('leave:read'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const request = await findLeaveRequest(req.params.id);
+
+        if (!request) {
+            return res.status(404).json({ message: 'Leave request not found' });
+        }
+
+        if (!(await canAccessUser(req.user, request.user_id))) {
+            return res.status(403).json({ message: 'You do not have access to this leave request' });
+        }
+
+        delete request.employee_email;
+
+        res.json({
+            body: request
+        });
+    } catch (error) {
+        console.error('Get leave request error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Create leave request
+router.post('/leave-requests', authenticateToken, authorize('leave:request'), [
+    body('user_id').optional().isInt({ min: 1 }),
+    body('leave_type').isIn(LEAVE_TYPES),
+    body('start_date').isISO8601({ strict: true }),
+    body('end_date').isISO8601({ strict: true }),
+    body('start_half_day').optional().isBoolean().toBoolean(),
+    body('end_half_day').optional().isBoolean().toBoolean(),
+    body('reason').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const userId = req.body.user_id || req.user.id;
+
+        // Requests on behalf of someone else are reserved for HR
+        if (String(userId) !== String(req.user.id) && !canUse(req, 'leave:manage')) {
+            return res.status(403).json({ message: 'You can only request leave for yourself' });
+        }
+
+        const leave = {
+            leave_type: req.body.leave_type,
+            start_date: moment(req.body.start_date).format('YYYY-MM-DD'),
+            end_date: moment(req.body.end_date).format('YYYY-MM-DD'),
+            start_half_day: req.body.start_half_day || false,
+            end_half_day: req.body.end_half_day || false
+        };
+
+        if (leave.end_date < leave.start_date) {
+            return res.status(400).json({ message: 'End date must not be before start date' });
+        }
+
+        const days = countLeaveDays(leave);
+        if (days <= 0) {
+            return res.status(400).json({ message: 'The requested period contains no working days' });
+        }
+
+        const employee = await pool.query('SELECT id, name FROM users WHERE id = $1', [userId]);
+        if (employee.rows.length === 0) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        // No overlapping open or approved requests
+        const overlapping = await pool.query(`
+            SELECT id FROM leave_requests
+            WHERE user_id = $1 AND status IN ('pending', 'approved')
+              AND start_date <= $3 AND end_date >= $2
+            LIMIT 1
+        `, [userId, leave.start_date, leave.end_date]);
+
+        if (overlapping.rows.length > 0) {
+            return res.status(400).json({ message: 'Overlaps with an existing leave request' });
+        }
+
+        // Vacation must be covered by the remaining balance of each year it touches
+        if (leave.leave_type === 'vacation') {
+            const startYear = moment(leave.start_date).year();
+            const endYear = moment(leave.end_date).year();
+
+            for (let year = startYear; year <= endYear; year++) {
+                const balance = await getLeaveBalance(userId, year);
+                const requested = daysInYear([leave], year);
+
+                if (requested > balance.available_days) {
+                    return res.status(400).json({
+                        message: `Not enough vacation left for ${year}: ${balance.available_days} day(s) available, ${requested} requested`
+                    });
+                }
+            }
+        }
+
+        const manager = await getManager(userId);
+
+        const result = await pool.query(`
+            INSERT INTO leave_requests (
+                user_id, leave_type, start_date, end_date, start_half_day, end_half_day, days, reason, approver_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id
+        `, [
+            userId,
+            leave.leave_type,
+            leave.start_date,
+            leave.end_date,
+            leave.start_half_day,
+            leave.end_half_day,
+            days,
+            req.body.reason || null,
+            manager ? manager.id : null
+        ]);
+
+        if (manager) {
+            notify(
+                manager.email,
+                `Leave request from ${employee.rows[0].name}`,
+                `${employee.rows[0].name} requested ${days} day(s) of ${leave.leave_type} leave ` +
+                `from ${leave.start_date} to ${leave.end_date}. Please review it in Kistr.`
+            );
+        }
+
+        res.status(201).json({
+            message: 'Leave request submitted successfully',
+            body: {
+                id: result.rows[0].id,
+                days,
+                approver_id: manager ? manager.id : null
+            }
+        });
+    } catch (error) {
+        console.error('Create leave request error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Approve or reject a pending leave request
+const decideLeaveRequest = (decision) => async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const request = await findLeaveRequest(req.params.id);
+
+        if (!request) {
+            return res.status(404).json({ message: 'Leave request not found' });
+        }
+
+        if (String(request.user_id) === String(req.user.id)) {
+            return res.status(403).json({ message: 'You cannot decide your own leave request' });
+        }
+
+        if (!(await canAccessUser(req.user, request.user_id))) {
+            return res.status(403).json({ message: 'You do not have access to this leave request' });
+        }
+
+        // Managers decide the requests assigned to them; HR may decide any
+        if (!canUse(req, 'leave:manage') && String(request.approver_id) !== String(req.user.id)) {
+            return res.status(403).json({ message: 'Only the assigned approver can decide this leave request' });
+        }
+
+        const client = await pool.connect();
+        let failure = null;
+
+        try {
+            await client.query('BEGIN');
+
+            // Serialize decisions per employee so concurrent approvals see each other
+            await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [request.user_id]);
+
+            const pending = await client.query(
+                `SELECT id FROM leave_requests WHERE id = $1 AND status = 'pending' FOR UPDATE`,
+                [request.id]
+            );
+
+            if (pending.rows.length === 0) {
+                failure = 'Only pending requests can be decided';
+            } else if (decision === 'approved') {
+                failure = await findApprovalConflict(client, request);
+            }
+
+            if (!failure) {
+                await client.query(`
+                    UPDATE leave_requests
+                    SET status = $1, decided_by = $2, decided_at = CURRENT_TIMESTAMP, decision_note = $3
+                    WHERE id = $4
+                `, [decision, req.user.id, req.body.note || null, request.id]);
+            }
+
+            await client.query(failure ? 'ROLLBACK' : 'COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (failure) {
+            return res.status(400).json({ message: failure });
+        }
+
+        notify(
+            request.employee_email,
+            `Your leave request was ${decision}`,
+            `Your ${request.leave_type} leave from ${request.start_date} to ${request.end_date} ` +
+            `was ${decision} by ${req.user.name}.` + (req.body.note ? `\n\nNote: ${req.body.note}` : '')
+        );
+
+        res.json({ message: `Leave request ${decision}` });
+    } catch (error) {
+        console.error('Decide leave request error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+};
+
+router.post('/leave-requests/:id/approve', authenticateToken, authorize('leave:approve'), [
+    param('id').isInt({ min: 1 }),
+    body('note').optional().trim().isLength({ max: 2000 })
+], decideLeaveRequest('approved'));
+
+router.post('/leave-requests/:id/reject', authenticateToken, authorize('leave:approve'), [
+    param('id').isInt({ min: 1 }),
+    body('note').optional().trim().isLength({ max: 2000 })
+], decideLeaveRequest('rejected'));
+
+// Cancel a leave request
+router.post('/leave-requests/:id/cancel', authenticateToken, authorize('leave:request'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const request = await findLeaveRequest(req.params.id);
+
+        if (!request) {
+            return res.status(404).json({ message: 'Leave request not found' });
+        }
+
+        const isOwner = String(request.user_id) === String(req.user.id);
+        const canManage = canUse(req, 'leave:manage');
+
+        if (!isOwner && !canManage) {
+            return res.status(403).json({ message: 'You can only cancel your own leave requests' });
+        }
+
+        if (!['pending', 'approved'].includes(request.status)) {
+            return res.status(400).json({ message: `A ${request.status} request cannot be cancelled` });
+        }
+
+        // Employees can't withdraw approved leave that has already started
+        if (!canManage && request.status === 'approved' && request.start_date <= moment().format('YYYY-MM-DD')) {
+            return res.status(400).json({ message: 'Approved leave that has already started can only be cancelled by HR' });
+        }
+
+        await pool.query(
+            `UPDATE leave_requests SET status = 'cancelled' WHERE id = $1`,
+            [request.id]
+        );
+
+        res.json({ message: 'Leave request cancelled' });
+    } catch (error) {
+        console.error('Cancel leave request error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get vacation balance for a year
+router.get('/employees/:id/leave-balance', authenticateToken, authorize('leave:read'), [
+    param('id').isInt({ min: 1 }),
+    query('year').optional().isInt({ min: 2000, max: 2100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await canAccessUser(req.user, req.params.id))) {
+            return res.status(403).json({ message: 'You do not have access to this employee' });
+        }
+
+        const year = parseInt(req.query.year) || moment().year();
+        const balance = await getLeaveBalance(req.params.id, year);
+
+        if (!balance) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        res.json({
+            body: balance
+        });
+    } catch (error) {
+        console.error('Get leave balance error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Override the computed entitlement or carry-over for a year
+router.put('/employees/:id/leave-entitlements/:year', authenticateToken, authorize('leave:manage'), [
+    param('id').isInt({ min: 1 }),
+    param('year').isInt({ min: 2000, max: 2100 }),
+    body('entitled_days').optional({ nullable: true }).isFloat({ min: 0, max: 365 }),
+    body('carried_over_days').optional({ nullable: true }).isFloat({ min: 0, max: 365 }),
+    body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO leave_entitlements (user_id, year, entitled_days, carried_over_days, note)
+            SELECT id, $2, $3, $4, $5 FROM users WHERE id = $1
+            ON CONFLICT (user_id, year) DO UPDATE SET
+                entitled_days = EXCLUDED.entitled_days,
+                carried_over_days = EXCLUDED.carried_over_days,
+                note = EXCLUDED.note
+            RETURNING id
+        `, [
+            req.params.id,
+            req.params.year,
+            req.body.entitled_days ?? null,
+            req.body.carried_over_days ?? null,
+            req.body.note || null
+        ]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        const balance = await getLeaveBalance(req.params.id, parseInt(req.params.year));
+
+        res.json({
+            message: 'Leave entitlement updated successfully',
+            body: balance
+        });
+    } catch (error) {
+        console.error('Update leave entitlement error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,322 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, scopeFilter, canAccessUser } = require('../middleware/authorize');
+const {
+    OFFBOARDING_STATUSES,
+    OPEN_STATUSES,
+    TASK_STATUSES,
+    OFFBOARDING_COLUMNS,
+    findOffboarding,
+    listTasks,
+    calculateSettlement,
+    startOffboarding,
+    processOffboarding,
+    cancelOffboarding,
+    completeOffboarding
+} = require('../services/offboarding');
+const pool = require('../config/database');
+
+const router = express.Router();
+
+// Offboarding with its checklist. Open offboardings include the current
+// settlement (vacation payout, time balance, final timesheet); completed ones
+// the stored exit summary.
+const presentOffboarding = async (offboarding) => {
+    const { exit_summary, ...details } = offboarding;
+
+    return {
+        ...details,
+        tasks: await listTasks(offboarding.id),
+        settlement: OPEN_STATUSES.includes(offboarding.status)
+            ? await calculateSettlement(offboarding.user_id, offboarding.effective_date)
+            : null,
+        exit_summary
+    };
+};
+
+// Start offboarding an employee
+router.post('/employees/:id/offboarding', authenticateToken, authorize('offboarding:manage'), [
+    param('id').isInt({ min: 1 }),
+    body('effective_date').optional().isISO8601({ strict: true }),
+    body('reason').optional({ nullable: true }).isString().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const employee = await pool.query(`
+            SELECT id, employee_status, to_char(contract_end_at, 'YYYY-MM-DD') as contract_end_at
+            FROM users WHERE id = $1
+        `, [req.params.id]);
+
+        if (employee.rows.length === 0) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        if (employee.rows[0].employee_status === 'terminated') {
+            return res.status(400).json({ message: 'Employee is already terminated' });
+        }
+
+        // Defaults to the contract end date
+        const effectiveDate = req.body.effective_date
+            ? req.body.effective_date.substring(0, 10)
+            : employee.rows[0].contract_end_at;
+
+        if (!effectiveDate) {
+            return res.status(400).json({ message: 'An effective date is required when the employee has no contract end date' });
+        }
+
+        const offboardingId = await startOffboarding(req, req.params.id, {
+            effectiveDate,
+            reason: req.body.reason
+        });
+
+        // Effective today or earlier: revoke access right away
+        await processOffboarding(offboardingId, req);
+
+        res.status(201).json({
+            message: 'Offboarding started successfully',
+            body: await presentOffboarding(await findOffboarding(offboardingId))
+        });
+    } catch (error) {
+        console.error('Start offboarding error:', error);
+        if (error.code === '23505') { // PostgreSQL unique violation
+            return res.status(409).json({ message: 'Employee already has an open offboarding' });
+        }
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get offboardings with pagination and filters
+router.get('/offboardings', authenticateToken, authorize('offboarding:read'), [
+    query('page').optional().isInt({ min: 1 }),
+    query('per_page').optional().isInt({ min: 1, max: 100 }),
+    query('user_id').optional().isInt({ min: 1 }),
+    query('status').optional().isIn(OFFBOARDING_STATUSES)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const perPage = parseInt(req.query.per_page) || 10;
+        const offset = (page - 1) * perPage;
+
+        let whereClause = 'WHERE 1=1';
+        let queryParams = [];
+        let paramIndex = 1;
+
+        if (req.query.user_id) {
+            whereClause += ` AND o.user_id = $${paramIndex++}`;
+            queryParams.push(req.query.user_id);
+        }
+
+        if (req.query.status) {
+            whereClause += ` AND o.status = $${paramIndex++}`;
+            queryParams.push(req.query.status);
+        }
+
+        // Restrict to offboardings the caller may see
+        const scope = scopeFilter(req.user, 'o.user_id', paramIndex);
+        whereClause += scope.clause;
+        queryParams.push(...scope.params);
+        paramIndex = scope.paramIndex;
+
+        const countResult = await pool.query(
+            `SELECT COUNT(*) as total FROM offboardings o ${whereClause}`,
+            queryParams
+        );
+        const total = parseInt(countResult.rows[0].total);
+
+        const offboardings = await pool.query(`
+            SELECT ${OFFBOARDING_COLUMNS},
+                   (SELECT COUNT(*) FROM offboarding_tasks t WHERE t.offboarding_id = o.id AND t.status = 'open')::INTEGER as open_tasks
+            FROM offboardings o
+            JOIN users u ON o.user_id = u.id
+            LEFT JOIN users i ON o.initiated_by = i.id
+            ${whereClause}
+            ORDER BY o.effective_date DESC, o.id DESC
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+        `, [...queryParams, perPage, offset]);
+
+        res.json({
+            body: {
+                data: offboardings.rows,
+                meta: {
+                    current_page: page,
+                    per_page: perPage,
+                    total: total,
+                    last_page: Math.ceil(total / perPage)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get offboardings error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get a single offboarding with its checklist
+router.get('/offboardings/:id', authenticateToken, authorize('offboarding:read'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const offboarding = await findOffboarding(req.params.id);
+
+        if (!offboarding || !(await canAccessUser(req.user, offboarding.user_id))) {
+            return res.status(404).json({ message: 'Offboarding not found' });
+        }
+
+        res.json({
+            body: await presentOffboarding(offboarding)
+        });
+    } catch (error) {
+        console.error('Get offboarding error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Update a checklist task
+router.put('/offboardings/:id/tasks/:taskId', authenticateToken, authorize('offboarding:manage'), [
+    param('id').isInt({ min: 1 }),
+    param('taskId').isInt({ min: 1 }),
+    body('status').isIn(TASK_STATUSES),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const offboarding = await findOffboarding(req.params.id);
+
+        if (!offboarding) {
+            return res.status(404).json({ message: 'Offboarding not found' });
+        }
+
+        if (!OPEN_STATUSES.includes(offboarding.status)) {
+            return res.status(400).json({ message: `Offboarding is already ${offboarding.status}` });
+        }
+
+        const done = req.body.status !== 'open';
+        const result = await pool.query(`
+            UPDATE offboarding_tasks
+            SET status = $1,
+                note = COALESCE($2, note),
+                completed_by = $3,
+                completed_at = CASE WHEN $4::BOOLEAN THEN CURRENT_TIMESTAMP ELSE NULL END
+            WHERE id = $5 AND offboarding_id = $6
+            RETURNING id
+        `, [req.body.status, req.body.note || null, done ? req.user.id : null, done, req.params.taskId, offboarding.id]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        res.json({
+            message: 'Task updated successfully',
+            body: await listTasks(offboarding.id)
+        });
+    } catch (error) {
+        console.error('Update offboarding task error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Complete an offboarding: archives documents and stores the exit summary
+router.post('/offboardings/:id/complete', authenticateToken, authorize('offboarding:manage'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const offboarding = await findOffboarding(req.params.id);
+
+        if (!offboarding) {
+            return res.status(404).json({ message: 'Offboarding not found' });
+        }
+
+        if (offboarding.status === 'scheduled') {
+            return res.status(400).json({ message: `Offboarding can't be completed before its effective date (${offboarding.effective_date})` });
+        }
+
+        if (offboarding.status !== 'in_progress') {
+            return res.status(400).json({ message: `Offboarding is already ${offboarding.status}` });
+        }
+
+        const openTasks = (await listTasks(offboarding.id)).filter(task => task.status === 'open');
+        if (openTasks.length > 0) {
+            return res.status(400).json({
+                message: 'All checklist tasks must be done or skipped first',
+                body: { open_tasks: openTasks.map(task => task.task_key) }
+            });
+        }
+
+        const summary = await completeOffboarding(req, offboarding);
+
+        if (!summary) {
+            return res.status(409).json({ message: 'Offboarding was changed by another request, please reload' });
+        }
+
+        res.json({
+            message: 'Offboarding completed successfully',
+            body: summary
+        });
+    } catch (error) {
+        console.error('Complete offboarding error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Cancel a scheduled offboarding
+router.post('/offboardings/:id/cancel', authenticateToken, authorize('offboarding:manage'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const offboarding = await findOffboarding(req.params.id);
+
+        if (!offboarding) {
+            return res.status(404).json({ message: 'Offboarding not found' });
+        }
+
+        if (offboarding.status !== 'scheduled') {
+            return res.status(400).json({ message: 'Only scheduled offboardings can be cancelled' });
+        }
+
+        if (!(await cancelOffboarding(req, offboarding))) {
+            return res.status(409).json({ message: 'Offboarding was changed by another request, please reload' });
+        }
+
+        res.json({ message: 'Offboarding cancelled successfully' });
+    } catch (error) {
+        console.error('Cancel offboarding error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
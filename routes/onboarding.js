@@ -0,0 +1,457 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, canUse, scopeFilter, canAccessUser } = require('../middleware/authorize');
+const { EMPLOYMENT_TYPES } = require('../services/employees');
+const {
+    TASK_OWNERS,
+    TASK_STATUSES,
+    findTemplate,
+    saveTemplateTasks,
+    createOnboarding,
+    getOnboarding,
+    refreshOnboardingStatus
+} = require('../services/onboarding');
+const pool = require('../config/database');
+const { inTransaction } = require('../config/transaction');
+
+const router = express.Router();
+
+const templateTaskValidation = [
+    body('tasks.*.title').notEmpty().trim().isLength({ max: 255 }),
+    body('tasks.*.description').optional({ nullable: true }).isString(),
+    body('tasks.*.owner').isIn(TASK_OWNERS),
+    body('tasks.*.due_offset_days').optional().isInt({ min: -365, max: 365 }).toInt(),
+    body('tasks.*.required_document_type').optional({ nullable: true }).isString().trim().isLength({ max: 100 })
+];
+
+const templateValidation = [
+    body('description').optional({ nullable: true }).isString(),
+    body('onboarding_type').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+    body('employment_type').optional({ nullable: true }).isIn(EMPLOYMENT_TYPES),
+    body('is_active').optional().isBoolean().toBoolean(),
+    ...templateTaskValidation
+];
+
+// HR handles HR and IT tasks; managers their reports' manager tasks and new
+// hires their own tasks
+const canWorkOnTask = async (req, task, userId) => {
+    if (canUse(req, 'onboarding:manage')) {
+        return true;
+    }
+
+    if (task.owner === 'employee') {
+        return String(req.user.id) === String(userId);
+    }
+
+    if (task.owner === 'manager') {
+        return req.user.role === 'manager'
+            && String(req.user.id) !== String(userId)
+            && await canAccessUser(req.user, userId);
+    }
+
+    return false;
+};
+
+// Get onboarding templates
+router.get('/onboarding-templates', authenticateToken, authorize('onboarding:manage'), async (req, res) => {
+    try {
+        const templates = await pool.query(`
+            SELECT t.id, t.name, t.description, t.onboarding_type, t.employment_type, t.is_active,
+                   (SELECT COUNT(*) FROM onboarding_template_tasks tt WHERE tt.template_id = t.id)::INTEGER as task_count,
+                   t.created_at, t.updated_at
+            FROM onboarding_templates t
+            ORDER BY t.name ASC
+        `);
+
+        res.json({
+            body: templates.rows
+        });
+    } catch (error) {
+        console.error('Get onboarding templates error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get a single onboarding template with its tasks
+router.get('/onboarding-templates/:id', authenticateToken, authorize('onboarding:manage'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const template = await findTemplate(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ message: 'Onboarding template not found' });
+        }
+
+        res.json({
+            body: template
+        });
+    } catch (error) {
+        console.error('Get onboarding template error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Create onboarding template
+router.post('/onboarding-templates', authenticateToken, authorize('onboarding:manage'), [
+    body('name').notEmpty().trim().isLength({ max: 255 }),
+    body('tasks').isArray({ min: 1, max: 100 }),
+    ...templateValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const templateId = await inTransaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO onboarding_templates (name, description, onboarding_type, employment_type, is_active)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING id
+            `, [
+                req.body.name,
+                req.body.description || null,
+                req.body.onboarding_type || null,
+                req.body.employment_type || null,
+                req.body.is_active !== undefined ? req.body.is_active : true
+            ]);
+
+            await saveTemplateTasks(result.rows[0].id, req.body.tasks, client);
+            return result.rows[0].id;
+        });
+
+        res.status(201).json({
+            message: 'Onboarding template created successfully',
+            body: await findTemplate(templateId)
+        });
+    } catch (error) {
+        console.error('Create onboarding template error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Update onboarding template. A given task list replaces the current one;
+// checklists already created from the template are not changed.
+router.put('/onboarding-templates/:id', authenticateToken, authorize('onboarding:manage'), [
+    param('id').isInt({ min: 1 }),
+    body('name').optional().notEmpty().trim().isLength({ max: 255 }),
+    body('tasks').optional().isArray({ min: 1, max: 100 }),
+    ...templateValidation
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const template = await findTemplate(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({ message: 'Onboarding template not found' });
+        }
+
+        const pick = (field) => (req.body[field] !== undefined ? req.body[field] : template[field]);
+
+        await inTransaction(async (client) => {
+            await client.query(`
+                UPDATE onboarding_templates
+                SET name = $1, description = $2, onboarding_type = $3, employment_type = $4, is_active = $5
+                WHERE id = $6
+            `, [
+                pick('name'),
+                pick('description') || null,
+                pick('onboarding_type') || null,
+                pick('employment_type') || null,
+                pick('is_active'),
+                template.id
+            ]);
+
+            if (req.body.tasks !== undefined) {
+                await saveTemplateTasks(template.id, req.body.tasks, client);
+            }
+        });
+
+        res.json({
+            message: 'Onboarding template updated successfully',
+            body: await findTemplate(template.id)
+        });
+    } catch (error) {
+        console.error('Update onboarding template error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Delete onboarding template (existing checklists are kept)
+router.delete('/onboarding-templates/:id', authenticateToken, authorize('onboarding:manage'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await pool.query('DELETE FROM onboarding_templates WHERE id = $1', [req.params.id]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ message: 'Onboarding template not found' });
+        }
+
+        res.json({ message: 'Onboarding template deleted successfully' });
+    } catch (error) {
+        console.error('Delete onboarding template error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get onboardings with progress
+router.get('/onboardings', authenticateToken, authorize('onboarding:read'), [
+    query('page').optional().isInt({ min: 1 }),
+    query('per_page').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['in_progress', 'completed']),
+    query('overdue').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const perPage = parseInt(req.query.per_page) || 10;
+        const offset = (page - 1) * perPage;
+
+        let whereClause = 'WHERE 1=1';
+        let queryParams = [];
+        let paramIndex = 1;
+
+        if (req.query.status) {
+            whereClause += ` AND o.status = $${paramIndex++}`;
+            queryParams.push(req.query.status);
+        }
+
+        if (req.query.overdue === 'true') {
+            whereClause += ` AND EXISTS (
+                SELECT 1 FROM onboarding_tasks t
+                WHERE t.onboarding_id = o.id AND t.status = 'open' AND t.due_date < CURRENT_DATE
+            )`;
+        }
+
+        // Restrict to onboardings the caller may see
+        const scope = scopeFilter(req.user, 'o.user_id', paramIndex);
+        whereClause += scope.clause;
+        queryParams.push(...scope.params);
+        paramIndex = scope.paramIndex;
+
+        const countResult = await pool.query(
+            `SELECT COUNT(*) as total FROM onboardings o ${whereClause}`,
+            queryParams
+        );
+        const total = parseInt(countResult.rows[0].total);
+
+        const onboardings = await pool.query(`
+            SELECT
+                o.id,
+                o.user_id,
+                u.name as employee,
+                o.template_name,
+                to_char(o.start_date, 'YYYY-MM-DD') as start_date,
+                o.status,
+                o.completed_at,
+                (SELECT COUNT(*) FROM onboarding_tasks t WHERE t.onboarding_id = o.id)::INTEGER as total_tasks,
+                (SELECT COUNT(*) FROM onboarding_tasks t WHERE t.onboarding_id = o.id AND t.status = 'open')::INTEGER as open_tasks,
+                (SELECT COUNT(*) FROM onboarding_tasks t
+                 WHERE t.onboarding_id = o.id AND t.status = 'open' AND t.due_date < CURRENT_DATE)::INTEGER as overdue_tasks
+            FROM onboardings o
+            JOIN users u ON o.user_id = u.id
+            ${whereClause}
+            ORDER BY o.start_date DESC, o.id DESC
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+        `, [...queryParams, perPage, offset]);
+
+        res.json({
+            body: {
+                data: onboardings.rows,
+                meta: {
+                    current_page: page,
+                    per_page: perPage,
+                    total: total,
+                    last_page: Math.ceil(total / perPage)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get onboardings error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get an employee's onboarding checklist
+router.get('/employees/:id/onboarding', authenticateToken, authorize('onboarding:read'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await canAccessUser(req.user, req.params.id))) {
+            return res.status(403).json({ message: 'You do not have access to this employee' });
+        }
+
+        const onboarding = await getOnboarding(req.params.id);
+
+        if (!onboarding) {
+            return res.status(404).json({ message: 'Employee has no onboarding checklist' });
+        }
+
+        res.json({
+            body: onboarding
+        });
+    } catch (error) {
+        console.error('Get onboarding error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Create an onboarding checklist for an existing employee
+router.post('/employees/:id/onboarding', authenticateToken, authorize('onboarding:manage'), [
+    param('id').isInt({ min: 1 }),
+    body('template_id').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const employee = await pool.query('SELECT * FROM users WHERE id = $1', [req.params.id]);
+
+        if (employee.rows.length === 0) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        if (req.body.template_id && !(await findTemplate(req.body.template_id))) {
+            return res.status(400).json({ message: 'Onboarding template not found' });
+        }
+
+        const onboardingId = await inTransaction(client => createOnboarding(employee.rows[0], req.body.template_id || null, client));
+
+        if (!onboardingId) {
+            return res.status(400).json({ message: 'No onboarding template matches this employee' });
+        }
+
+        res.status(201).json({
+            message: 'Onboarding created successfully',
+            body: await getOnboarding(req.params.id)
+        });
+    } catch (error) {
+        console.error('Create onboarding error:', error);
+        if (error.code === '23505') { // PostgreSQL unique violation
+            return res.status(409).json({ message: 'Employee already has an onboarding checklist' });
+        }
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Tick off (or reopen) an onboarding task
+router.put('/onboardings/:id/tasks/:taskId', authenticateToken, authorize('onboarding:read'), [
+    param('id').isInt({ min: 1 }),
+    param('taskId').isInt({ min: 1 }),
+    body('status').isIn(TASK_STATUSES),
+    body('note').optional({ nullable: true }).isString().isLength({ max: 2000 }),
+    body('document_id').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const taskResult = await pool.query(`
+            SELECT t.id, t.owner, t.required_document_type, o.user_id
+            FROM onboarding_tasks t
+            JOIN onboardings o ON t.onboarding_id = o.id
+            WHERE t.id = $1 AND t.onboarding_id = $2
+        `, [req.params.taskId, req.params.id]);
+
+        const task = taskResult.rows[0];
+
+        if (!task || !(await canAccessUser(req.user, task.user_id))) {
+            return res.status(404).json({ message: 'Task not found' });
+        }
+
+        if (!(await canWorkOnTask(req, task, task.user_id))) {
+            return res.status(403).json({ message: `This task is handled by the ${task.owner === 'employee' ? 'new hire' : task.owner}` });
+        }
+
+        // Only HR may waive a required document
+        if (req.body.status === 'skipped' && task.required_document_type && !canUse(req, 'onboarding:manage')) {
+            return res.status(403).json({ message: 'Only HR can skip a task that requires a document' });
+        }
+
+        // Tasks asking for a document are done once one of that type is uploaded
+        let documentId = null;
+        if (req.body.status === 'done' && task.required_document_type) {
+            const document = await pool.query(`
+                SELECT id FROM employee_documents
+                WHERE user_id = $1 AND type = $2 AND status <> 'archived'
+                  AND ($3::BIGINT IS NULL OR id = $3)
+                ORDER BY created_at DESC
+                LIMIT 1
+            `, [task.user_id, task.required_document_type, req.body.document_id || null]);
+
+            if (document.rows.length === 0) {
+                return res.status(400).json({ message: `A document of type "${task.required_document_type}" must be uploaded first` });
+            }
+
+            documentId = document.rows[0].id;
+        }
+
+        const done = req.body.status !== 'open';
+
+        await inTransaction(async (client) => {
+            await client.query(`
+                UPDATE onboarding_tasks
+                SET status = $1,
+                    note = COALESCE($2, note),
+                    document_id = $3,
+                    completed_by = $4,
+                    completed_at = CASE WHEN $5::BOOLEAN THEN CURRENT_TIMESTAMP ELSE NULL END
+                WHERE id = $6
+            `, [req.body.status, req.body.note || null, documentId, done ? req.user.id : null, done, task.id]);
+
+            await refreshOnboardingStatus(req.params.id, client);
+        });
+
+        res.json({
+            message: 'Task updated successfully',
+            body: await getOnboarding(task.user_id)
+        });
+    } catch (error) {
+        console.error('Update onboarding task error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, canAccessUser } = require('../middleware/authorize');
+const { getOrgChart, getReports } = require('../services/hierarchy');
+
+const router = express.Router();
+
+// Get the org chart as a nested tree (optionally starting at one employee)
+router.get('/org-chart', authenticateToken, authorize('employees:read'), [
+    query('root_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const tree = await getOrgChart(req.query.root_id || null);
+
+        if (!tree) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        res.json({
+            body: {
+                data: tree
+            }
+        });
+    } catch (error) {
+        console.error('Get org chart error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Get direct (depth=1) and indirect reports of an employee
+router.get('/employees/:id/reports', authenticateToken, authorize('employees:read'), [
+    param('id').isInt({ min: 1 }),
+    query('depth').optional().isInt({ min: 1, max: 20 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await canAccessUser(req.user, req.params.id))) {
+            return res.status(403).json({ message: 'You do not have access to this employee' });
+        }
+
+        const reports = await getReports(req.params.id, parseInt(req.query.depth) || 1);
+
+        res.json({
+            body: {
+                data: reports
+            }
+        });
+    } catch (error) {
+        console.error('Get reports error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+const { recordAudit } = require('../services/audit');
+const pool = require('../config/database');
+
+const router = express.Router();
+
+// Get available roles and the permission matrix
+router.get('/roles', authenticateToken, authorize('roles:read'), (req, res) => {
+    const permissions = Object.fromEntries(
+        ROLES.map(role => [
+            role,
+            Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role))
+        ])
+    );
+
+    res.json({
+        body: {
+            roles: ROLES,
+            permissions
+        }
+    });
+});
+
+// Assign a role to an employee
+router.put('/employees/:id/role', authenticateToken, authorize('roles:assign'), [
+    param('id').isInt({ min: 1 }),
+    body('role').isIn(ROLES)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const employeeId = req.params.id;
+        const { role } = req.body;
+
+        const current = await pool.query('SELECT id, role FROM users WHERE id = $1', [employeeId]);
+
+        if (current.rows.length === 0) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        // Never leave the system without an active admin
+        const currentRole = (current.rows[0].role || '').toLowerCase();
+        if (currentRole === 'admin' && role !== 'admin') {
+            const admins = await pool.query(
+                `SELECT COUNT(*) as total FROM users WHERE LOWER(role) = 'admin' AND employee_status = 'active'`
+            );
+
+            if (parseInt(admins.rows[0].total) <= 1) {
+                return res.status(400).json({ message: 'Cannot remove the last active admin' });
+            }
+        }
+
+        await pool.query(
+            'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [role, employeeId]
+        );
+
+        await recordAudit(req, {
+            action: 'update',
+            entityType: 'employee',
+            entityId: employeeId,
+            subjectUserId: employeeId,
+            before: { role: current.rows[0].role },
+            after: { role }
+        });
+
+        res.json({
+            message: 'Role assigned successfully',
+            body: {
+                id: parseInt(employeeId),
+                role
+            }
+        });
+    } catch (error) {
+        console.error('Assign role error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const moment = require('moment');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, canAccessUser } = require('../middleware/authorize');
+const { getTimeAccount } = require('../services/timeAccount');
+const pool = require('../config/database');
+
+const router = express.Router();
+
+// Longest period a single time-account report may cover
+const MAX_REPORT_DAYS = 366;
+
+// Get working-time account (target vs. actual, running balance)
+router.get('/employees/:id/time-account', authenticateToken, authorize('time_account:read'), [
+    param('id').isInt({ min: 1 }),
+    query('from').optional().isISO8601({ strict: true }),
+    query('to').optional().isISO8601({ strict: true })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await canAccessUser(req.user, req.params.id))) {
+            return res.status(403).json({ message: 'You do not have access to this employee' });
+        }
+
+        // Defaults to the current month up to today
+        const from = moment(req.query.from || moment().startOf('month')).format('YYYY-MM-DD');
+        const to = moment(req.query.to || moment()).format('YYYY-MM-DD');
+
+        if (moment(to).isBefore(from)) {
+            return res.status(400).json({ message: '"to" must not be before "from"' });
+        }
+
+        if (moment(to).diff(moment(from), 'days') >= MAX_REPORT_DAYS) {
+            return res.status(400).json({ message: `Period cannot exceed ${MAX_REPORT_DAYS} days` });
+        }
+
+        const account = await getTimeAccount(req.params.id, { from, to });
+
+        if (!account) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        res.json({
+            body: account
+        });
+    } catch (error) {
+        console.error('Get time account error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// List manual time-account adjustments
+router.get('/employees/:id/time-account/adjustments', authenticateToken, authorize('time_account:read'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await canAccessUser(req.user, req.params.id))) {
+            return res.status(403).json({ message: 'You do not have access to this employee' });
+        }
+
+        const adjustments = await pool.query(`
+            SELECT
+                a.id,
+                a.type,
+                to_char(a.effective_date, 'YYYY-MM-DD') as effective_date,
+                a.minutes,
+                a.reason,
+                a.created_by,
+                u.name as created_by_user,
+                a.created_at
+            FROM time_account_adjustments a
+            LEFT JOIN users u ON a.created_by = u.id
+            WHERE a.user_id = $1
+            ORDER BY a.effective_date DESC, a.id DESC
+        `, [req.params.id]);
+
+        res.json({
+            body: {
+                data: adjustments.rows
+            }
+        });
+    } catch (error) {
+        console.error('Get time account adjustments error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Set the opening balance of the time account
+router.put('/employees/:id/time-account/opening-balance', authenticateToken, authorize('time_account:adjust'), [
+    param('id').isInt({ min: 1 }),
+    body('minutes').isInt(),
+    body('effective_date').optional().isISO8601({ strict: true }),
+    body('reason').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const employee = await pool.query(
+            `SELECT to_char(COALESCE(contract_start_at, hired_at, CURRENT_DATE), 'YYYY-MM-DD') as account_start
+             FROM users WHERE id = $1`,
+            [req.params.id]
+        );
+
+        if (employee.rows.length === 0) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        const effectiveDate = req.body.effective_date || employee.rows[0].account_start;
+
+        await pool.query(`
+            INSERT INTO time_account_adjustments (user_id, type, effective_date, minutes, reason, created_by)
+            VALUES ($1, 'opening_balance', $2, $3, $4, $5)
+            ON CONFLICT (user_id) WHERE type = 'opening_balance'
+            DO UPDATE SET
+                effective_date = EXCLUDED.effective_date,
+                minutes = EXCLUDED.minutes,
+                reason = EXCLUDED.reason,
+                created_by = EXCLUDED.created_by
+        `, [req.params.id, effectiveDate, req.body.minutes, req.body.reason || null, req.user.id]);
+
+        res.json({
+            message: 'Opening balance updated successfully',
+            body: {
+                effective_date: effectiveDate,
+                minutes: parseInt(req.body.minutes)
+            }
+        });
+    } catch (error) {
+        console.error('Set opening balance error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Add a correction to the time account
+router.post('/employees/:id/time-account/adjustments', authenticateToken, authorize('time_account:adjust'), [
+    param('id').isInt({ min: 1 }),
+    body('effective_date').isISO8601({ strict: true }),
+    body('minutes').isInt(),
+    body('reason').notEmpty().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO time_account_adjustments (user_id, type, effective_date, minutes, reason, created_by)
+            SELECT id, 'correction', $2, $3, $4, $5 FROM users WHERE id = $1
+            RETURNING id
+        `, [req.params.id, req.body.effective_date, req.body.minutes, req.body.reason, req.user.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        res.status(201).json({
+            message: 'Adjustment added successfully',
+            body: {
+                id: result.rows[0].id
+            }
+        });
+    } catch (error) {
+        console.error('Add time account adjustment error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
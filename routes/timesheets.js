@@ -0,0 +1,121 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, scopeFilter, canAccessUser } = require('../middleware/authorize');
+const { buildTimesheets, timesheetsToCsv, writeTimesheetsPdf } = require('../services/timesheet');
+const pool = require('../config/database');
+
+const router = express.Router();
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Most employees a single bulk export may contain
+const MAX_BULK_EMPLOYEES = 500;
+
+// Send timesheets as JSON, CSV or PDF
+const sendTimesheets = (res, timesheets, format, fileName) => {
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+        return res.send(timesheetsToCsv(timesheets));
+    }
+
+    if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+        return writeTimesheetsPdf(timesheets, res);
+    }
+
+    res.json({
+        body: {
+            data: timesheets
+        }
+    });
+};
+
+// Export an employee's monthly timesheet
+router.get('/employees/:id/timesheet', authenticateToken, authorize('timesheets:export'), [
+    param('id').isInt({ min: 1 }),
+    query('month').matches(MONTH_PATTERN),
+    query('format').optional().isIn(['json', 'csv', 'pdf'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        if (!(await canAccessUser(req.user, req.params.id))) {
+            return res.status(403).json({ message: 'You do not have access to this employee' });
+        }
+
+        const timesheets = await buildTimesheets([req.params.id], req.query.month);
+
+        if (timesheets.length === 0) {
+            return res.status(404).json({ message: 'Employee not found' });
+        }
+
+        const { employee } = timesheets[0];
+        const fileName = `timesheet-${employee.employee_id || employee.id}-${req.query.month}`;
+
+        sendTimesheets(res, timesheets, req.query.format || 'json', fileName);
+    } catch (error) {
+        console.error('Export timesheet error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Export the monthly timesheets of a whole department
+router.get('/timesheets', authenticateToken, authorize('timesheets:export_bulk'), [
+    query('month').matches(MONTH_PATTERN),
+    query('department').notEmpty().trim(),
+    query('team').optional().trim(),
+    query('format').optional().isIn(['json', 'csv', 'pdf'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        let whereClause = `WHERE department = $1 AND employee_status <> 'terminated'`;
+        let queryParams = [req.query.department];
+        let paramIndex = 2;
+
+        if (req.query.team) {
+            whereClause += ` AND team = $${paramIndex++}`;
+            queryParams.push(req.query.team);
+        }
+
+        // Restrict to employees the caller may see
+        const scope = scopeFilter(req.user, 'id', paramIndex);
+        whereClause += scope.clause;
+        queryParams.push(...scope.params);
+        paramIndex = scope.paramIndex;
+
+        const employees = await pool.query(
+            `SELECT id FROM users ${whereClause} ORDER BY name ASC LIMIT $${paramIndex}`,
+            [...queryParams, MAX_BULK_EMPLOYEES + 1]
+        );
+
+        if (employees.rows.length === 0) {
+            return res.status(404).json({ message: 'No employees found for this department' });
+        }
+
+        if (employees.rows.length > MAX_BULK_EMPLOYEES) {
+            return res.status(400).json({
+                message: `Too many employees for one export (max ${MAX_BULK_EMPLOYEES}), filter by team`
+            });
+        }
+
+        const timesheets = await buildTimesheets(employees.rows.map(employee => employee.id), req.query.month);
+        const slug = req.query.department.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+        sendTimesheets(res, timesheets, req.query.format || 'json', `timesheets-${slug}-${req.query.month}`);
+    } catch (error) {
+        console.error('Export department timesheets error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, denyTokenAccess, hasPermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+const { createToken, listTokens, revokeToken } = require('../services/personalAccessTokens');
+
+const router = express.Router();
+
+// List the current user's personal access tokens
+router.get('/personal-access-tokens', authenticateToken, denyTokenAccess, authorize('tokens:manage'), async (req, res) => {
+    try {
+        const tokens = await listTokens(req.user.id);
+
+        res.json({
+            body: {
+                data: tokens
+            }
+        });
+    } catch (error) {
+        console.error('Get access tokens error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Create a personal access token (the plain-text token is only returned once)
+router.post('/personal-access-tokens', authenticateToken, denyTokenAccess, authorize('tokens:manage'), [
+    body('name').notEmpty().trim().isLength({ max: 255 }),
+    body('abilities').isArray({ min: 1 }),
+    body('abilities.*').isIn(['*', ...Object.keys(PERMISSIONS)]),
+    body('expires_at').optional({ nullable: true }).isISO8601().toDate()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, abilities, expires_at } = req.body;
+
+        // A token can never do more than its owner's role allows
+        const notAllowed = abilities.filter(ability => ability !== '*' && !hasPermission(req.user.role, ability));
+        if (notAllowed.length > 0) {
+            return res.status(403).json({
+                message: `Your role does not grant the abilities: ${notAllowed.join(', ')}`
+            });
+        }
+
+        if (expires_at && expires_at <= new Date()) {
+            return res.status(400).json({ message: 'Expiry date must be in the future' });
+        }
+
+        const { plainTextToken, token } = await createToken(req.user.id, {
+            name,
+            abilities: [...new Set(abilities)],
+            expiresAt: expires_at
+        });
+
+        res.status(201).json({
+            message: 'Access token created successfully. Copy it now, it will not be shown again.',
+            body: {
+                ...token,
+                plain_text_token: plainTextToken
+            }
+        });
+    } catch (error) {
+        console.error('Create access token error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+// Revoke a personal access token
+router.delete('/personal-access-tokens/:id', authenticateToken, denyTokenAccess, authorize('tokens:manage'), [
+    param('id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const revoked = await revokeToken(req.params.id, req.user.id);
+
+        if (!revoked) {
+            return res.status(404).json({ message: 'Access token not found' });
+        }
+
+        res.json({ message: 'Access token revoked successfully' });
+    } catch (error) {
+        console.error('Revoke access token error:', error);
+        res.status(500).json({ message: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+require('dotenv').config();
+
+const pool = require('../config/database');
+const { DRIVERS, getStorage } = require('../services/storage');
+
+const BATCH_SIZE = 100;
+
+// Parse --from <driver> --to <driver> [--keep-source]
+const parseArgs = (argv) => {
+    const options = { keepSource: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') options.from = argv[++i];
+        else if (argv[i] === '--to') options.to = argv[++i];
+        else if (argv[i] === '--keep-source') options.keepSource = true;
+        else throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+
+    for (const driver of [options.from, options.to]) {
+        if (!DRIVERS.includes(driver)) {
+            throw new Error(`Usage: npm run storage:migrate -- --from <${DRIVERS.join('|')}> --to <${DRIVERS.join('|')}> [--keep-source]`);
+        }
+    }
+
+    if (options.from === options.to) {
+        throw new Error('--from and --to must be different drivers');
+    }
+
+    return options;
+};
+
+// Next batch of distinct files still stored in the source backend. Versions
+// may share a file, so each file is copied once and every row pointing at it
+// is switched together.
+const nextBatch = async (driver, afterKey) => {
+    const result = await pool.query(`
+        SELECT file_path, MAX(mime_type) as mime_type
+        FROM (
+            SELECT file_path, mime_type FROM employee_document_versions WHERE storage_driver = $1
+            UNION ALL
+            SELECT file_path, mime_type FROM employee_documents WHERE storage_driver = $1
+        ) files
+        WHERE file_path > $2
+        GROUP BY file_path
+        ORDER BY file_path
+        LIMIT $3
+    `, [driver, afterKey, BATCH_SIZE]);
+
+    return result.rows;
+};
+
+// Copy every document file from one storage backend to another, point the
+// database rows at the new backend and (unless --keep-source) delete the
+// originals. Files are switched one at a time, so the command can be
+// interrupted and run again.
+async function migrateStorage({ from, to, keepSource = false }) {
+    const source = getStorage(from);
+    const target = getStorage(to);
+
+    console.log(`📦 Moving document files from "${from}" to "${to}"...`);
+
+    let moved = 0;
+    let missing = 0;
+    let afterKey = '';
+
+    for (;;) {
+        const files = await nextBatch(from, afterKey);
+        if (files.length === 0) break;
+
+        for (const file of files) {
+            afterKey = file.file_path;
+
+            const stats = await source.stat(file.file_path);
+            if (!stats) {
+                console.warn(`⚠️  Missing in "${from}", skipped: ${file.file_path}`);
+                missing++;
+                continue;
+            }
+
+            await target.put(file.file_path, await source.createReadStream(file.file_path), {
+                size: stats.size,
+                contentType: file.mime_type
+            });
+
+            const copied = await target.stat(file.file_path);
+            if (!copied || copied.size !== stats.size) {
+                throw new Error(`Copy of ${file.file_path} in "${to}" does not match the source`);
+            }
+
+            const client = await pool.connect();
+
+            try {
+                await client.query('BEGIN');
+                for (const table of ['employee_documents', 'employee_document_versions']) {
+                    await client.query(
+                        `UPDATE ${table} SET storage_driver = $1 WHERE storage_driver = $2 AND file_path = $3`,
+                        [to, from, file.file_path]
+                    );
+                }
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+
+            if (!keepSource) {
+                await source.delete(file.file_path);
+            }
+
+            moved++;
+        }
+
+        console.log(`   ${moved} file(s) moved so far`);
+    }
+
+    console.log(`✅ Moved ${moved} file(s)${missing > 0 ? `, ${missing} missing file(s) left in "${from}"` : ''}`);
+
+    return { moved, missing };
+}
+
+if (require.main === module) {
+    Promise.resolve()
+        .then(() => migrateStorage(parseArgs(process.argv.slice(2))))
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('💥 Storage migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrateStorage };
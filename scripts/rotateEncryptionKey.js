@@ -0,0 +1,43 @@
+require('dotenv').config();
+
+const pool = require('../config/database');
+const { reloadKeys, reencryptEmployees } = require('../services/fieldEncryption');
+
+// Re-encrypt all sensitive employee fields with FIELD_ENCRYPTION_ACTIVE_KEY.
+// To rotate: add the new key to FIELD_ENCRYPTION_KEYS, make it the active key,
+// run this command, then remove the old key once it reports completion.
+async function rotate() {
+    const { activeKeyId } = reloadKeys();
+
+    if (!activeKeyId) {
+        throw new Error('FIELD_ENCRYPTION_KEYS is not configured');
+    }
+
+    console.log(`🔑 Re-encrypting sensitive fields with key "${activeKeyId}"...`);
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        const rewritten = await reencryptEmployees(client);
+        await client.query('COMMIT');
+
+        console.log(`✅ Re-encrypted ${rewritten} employee(s)`);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+if (require.main === module) {
+    rotate()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('💥 Key rotation failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { rotate };
@@ -9,10 +9,35 @@ const employeeRoutes = require('./routes/employees');
 const checkinRoutes = require('./routes/checkins');
 const feedbackRoutes = require('./routes/feedback');
 const documentRoutes = require('./routes/documents');
+const roleRoutes = require('./routes/roles');
+const tokenRoutes = require('./routes/tokens');
+const timeAccountRoutes = require('./routes/timeAccount');
+const leaveRoutes = require('./routes/leave');
+const attendanceCorrectionRoutes = require('./routes/attendanceCorrections');
+const timesheetRoutes = require('./routes/timesheets');
+const departmentRoutes = require('./routes/departments');
+const orgChartRoutes = require('./routes/orgChart');
+const auditRoutes = require('./routes/audit');
+const employeeImportRoutes = require('./routes/employeeImport');
+const invitationRoutes = require('./routes/invitations');
+const onboardingRoutes = require('./routes/onboarding');
+const offboardingRoutes = require('./routes/offboarding');
+const documentTemplateRoutes = require('./routes/documentTemplates');
+const { scheduleJob, startScheduler } = require('./services/scheduler');
+const autoCheckout = require('./services/autoCheckout');
+const offboarding = require('./services/offboarding');
+const documentExpiry = require('./services/documentExpiry');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Trust the reverse proxy so req.ip reflects the client (recorded on sessions)
+// (true, a hop count, or a list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+}
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -32,15 +57,26 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files for uploaded documents
-app.use('/uploads', express.static('uploads'));
-
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api', employeeRoutes);
 app.use('/api', checkinRoutes);
 app.use('/api', feedbackRoutes);
 app.use('/api', documentRoutes);
+app.use('/api', roleRoutes);
+app.use('/api', tokenRoutes);
+app.use('/api', timeAccountRoutes);
+app.use('/api', leaveRoutes);
+app.use('/api', attendanceCorrectionRoutes);
+app.use('/api', timesheetRoutes);
+app.use('/api', departmentRoutes);
+app.use('/api', orgChartRoutes);
+app.use('/api', auditRoutes);
+app.use('/api', employeeImportRoutes);
+app.use('/api', invitationRoutes);
+app.use('/api', onboardingRoutes);
+app.use('/api', offboardingRoutes);
+app.use('/api', documentTemplateRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -67,7 +103,16 @@ app.use('*', (req, res) => {
     res.status(404).json({ message: 'Route not found' });
 });
 
+// Background jobs
+if (process.env.AUTO_CHECKOUT_ENABLED !== 'false') {
+    scheduleJob('auto-checkout', autoCheckout.INTERVAL_MINUTES * 60 * 1000, autoCheckout.closeStaleCheckins);
+}
+scheduleJob('offboarding', offboarding.INTERVAL_MINUTES * 60 * 1000, offboarding.processDueOffboardings);
+scheduleJob('document-expiry', documentExpiry.INTERVAL_MINUTES * 60 * 1000, documentExpiry.processDocumentExpiry);
+
 app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    startScheduler();
 });
\ No newline at end of file
@@ -0,0 +1,198 @@
+const moment = require('moment');
+const pool = require('../config/database');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:([0-5]\d))?$/;
+
+const toMinutes = (time) => {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+// Minutes since the check-in day's midnight; times earlier than the check-in
+// belong to the next day (shifts running past midnight)
+const offsetFromCheckin = (time, checkinMinutes) => {
+    const minutes = toMinutes(time);
+    return minutes < checkinMinutes ? minutes + 24 * 60 : minutes;
+};
+
+// Validate requested times. Returns an error message or null.
+const validateCorrectionTimes = ({ checkin_time, checkout_time, breaks }) => {
+    if (breaks.some(breakInterval => !breakInterval.start || !breakInterval.end)) {
+        return 'Every break needs a start and an end time';
+    }
+
+    const times = [checkin_time, checkout_time, ...breaks.flatMap(b => [b.start, b.end])].filter(Boolean);
+    if (times.some(time => !TIME_PATTERN.test(time))) {
+        return 'Times must use the HH:MM format';
+    }
+
+    const checkin = toMinutes(checkin_time);
+    const checkout = checkout_time ? offsetFromCheckin(checkout_time, checkin) : null;
+
+    if (checkout !== null && checkout === checkin) {
+        return 'Checkout time must be after checkin time';
+    }
+
+    let previousEnd = checkin;
+    const sorted = [...breaks].sort((a, b) => offsetFromCheckin(a.start, checkin) - offsetFromCheckin(b.start, checkin));
+
+    for (const breakInterval of sorted) {
+        const start = offsetFromCheckin(breakInterval.start, checkin);
+        const end = offsetFromCheckin(breakInterval.end, checkin);
+
+        if (end <= start) {
+            return 'Break end must be after break start';
+        }
+        if (start < previousEnd) {
+            return 'Breaks must not overlap';
+        }
+        if (checkout !== null && end > checkout) {
+            return 'Breaks must end before checkout';
+        }
+        previousEnd = end;
+    }
+
+    return null;
+};
+
+// Timestamp of a time on the check-in day (or the next day past midnight)
+const toTimestamp = (date, time, checkinTime) => {
+    const dayOffset = toMinutes(time) < toMinutes(checkinTime) ? 1 : 0;
+    return moment(`${date} ${time.length === 5 ? `${time}:00` : time}`, 'YYYY-MM-DD HH:mm:ss')
+        .add(dayOffset, 'day')
+        .format('YYYY-MM-DD HH:mm:ss');
+};
+
+// Apply an approved correction: rewrite (or create) the check-in, replace its
+// breaks, recompute totals and keep the previous values on the correction.
+// The corrected check-in is no longer flagged as auto-closed.
+// Returns { checkin_id, before, after } with the check-in rows (before is null
+// for a new check-in), or null if the correction is no longer pending.
+const approveCorrection = async (correctionId, reviewerId, note) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const correctionResult = await client.query(`
+            SELECT
+                id,
+                user_id,
+                to_char(checkin_date, 'YYYY-MM-DD') as checkin_date,
+                to_char(checkin_time, 'HH24:MI:SS') as checkin_time,
+                to_char(checkout_time, 'HH24:MI:SS') as checkout_time,
+                breaks
+            FROM attendance_corrections
+            WHERE id = $1 AND status = 'pending'
+            FOR UPDATE
+        `, [correctionId]);
+
+        if (correctionResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const correction = correctionResult.rows[0];
+
+        const existing = await client.query(`
+            SELECT
+                id,
+                to_char(checkin_time, 'HH24:MI:SS') as checkin_time,
+                to_char(checkout_time, 'HH24:MI:SS') as checkout_time,
+                status,
+                on_break,
+                total_working_minutes,
+                total_break_minutes,
+                total_daily_minutes,
+                auto_closed
+            FROM employee_checkins
+            WHERE user_id = $1 AND checkin_date = $2
+            FOR UPDATE
+        `, [correction.user_id, correction.checkin_date]);
+
+        let checkinId;
+        let originalValues = null;
+        let before = null;
+
+        const status = correction.checkout_time ? 'checkout' : 'checkin';
+
+        if (existing.rows.length > 0) {
+            checkinId = existing.rows[0].id;
+
+            const beforeResult = await client.query('SELECT * FROM employee_checkins WHERE id = $1', [checkinId]);
+            before = beforeResult.rows[0];
+
+            const originalBreaks = await client.query(`
+                SELECT started_at, ended_at FROM checkin_breaks
+                WHERE checkin_id = $1
+                ORDER BY started_at ASC
+            `, [checkinId]);
+
+            originalValues = {
+                ...existing.rows[0],
+                breaks: originalBreaks.rows
+            };
+
+            await client.query(`
+                UPDATE employee_checkins
+                SET checkin_time = $1, checkout_time = $2, status = $3, on_break = FALSE, auto_closed = FALSE
+                WHERE id = $4
+            `, [correction.checkin_time, correction.checkout_time, status, checkinId]);
+
+            await client.query('DELETE FROM checkin_breaks WHERE checkin_id = $1', [checkinId]);
+        } else {
+            const inserted = await client.query(`
+                INSERT INTO employee_checkins (user_id, checkin_date, checkin_time, checkout_time, status)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING id
+            `, [correction.user_id, correction.checkin_date, correction.checkin_time, correction.checkout_time, status]);
+
+            checkinId = inserted.rows[0].id;
+        }
+
+        for (const breakInterval of correction.breaks) {
+            await client.query(`
+                INSERT INTO checkin_breaks (checkin_id, started_at, ended_at)
+                VALUES ($1, $2, $3)
+            `, [
+                checkinId,
+                toTimestamp(correction.checkin_date, breakInterval.start, correction.checkin_time),
+                toTimestamp(correction.checkin_date, breakInterval.end, correction.checkin_time)
+            ]);
+        }
+
+        await client.query('SELECT recalculate_checkin_totals($1)', [checkinId]);
+
+        const after = await client.query('SELECT * FROM employee_checkins WHERE id = $1', [checkinId]);
+
+        await client.query(`
+            UPDATE attendance_corrections
+            SET
+                status = 'approved',
+                checkin_id = $1,
+                original_values = $2,
+                reviewed_by = $3,
+                reviewed_at = CURRENT_TIMESTAMP,
+                review_note = $4
+            WHERE id = $5
+        `, [checkinId, originalValues ? JSON.stringify(originalValues) : null, reviewerId, note || null, correction.id]);
+
+        await client.query('COMMIT');
+
+        return {
+            checkin_id: checkinId,
+            before,
+            after: after.rows[0]
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+module.exports = {
+    validateCorrectionTimes,
+    approveCorrection
+};
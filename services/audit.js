@@ -0,0 +1,106 @@
+const pool = require('../config/database');
+const { isEncrypted, decrypt } = require('./fieldEncryption');
+
+// Values of these fields never reach the audit log; changes are recorded as masked
+const MASKED_FIELDS = [
+    'password',
+    'remember_token',
+    'iban',
+    'bic',
+    'tax_id',
+    'social_security_number',
+    'base_salary',
+    'child_allowance'
+];
+
+const MASK = '********';
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+const ENTITY_TYPES = ['employee', 'document', 'checkin', 'feedback'];
+
+const normalizeValue = (value) => {
+    if (value === undefined) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    // Compare encrypted fields by their plaintext (ciphertexts differ on every write)
+    if (isEncrypted(value)) {
+        try {
+            return decrypt(value);
+        } catch (error) {
+            return value;
+        }
+    }
+    return value;
+};
+
+const maskValue = (field, value) => (MASKED_FIELDS.includes(field) && value !== null ? MASK : value);
+
+// Field-level differences between two versions of a record:
+// { field: { old, new } }. Either side may be null (create/delete).
+const diffRecords = (before, after) => {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) {
+            return;
+        }
+
+        const oldValue = normalizeValue(before ? before[field] : null);
+        const newValue = normalizeValue(after ? after[field] : null);
+
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+            return;
+        }
+
+        changes[field] = {
+            old: maskValue(field, oldValue),
+            new: maskValue(field, newValue)
+        };
+    });
+
+    return changes;
+};
+
+// Record a mutation. `req` supplies the acting user and request metadata;
+// pass null for changes made by background jobs. Updates without any field
+// change are skipped. A failure is logged but never fails the request.
+const recordAudit = async (req, { action, entityType, entityId, subjectUserId, before = null, after = null }, db = pool) => {
+    try {
+        const changes = diffRecords(before, after);
+
+        if (action === 'update' && Object.keys(changes).length === 0) {
+            return;
+        }
+
+        const userAgent = req && req.get ? req.get('user-agent') : null;
+
+        await db.query(`
+            INSERT INTO audit_logs (actor_id, action, entity_type, entity_id, subject_user_id, changes, ip_address, user_agent)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+            req && req.user ? req.user.id : null,
+            action,
+            entityType,
+            entityId || null,
+            subjectUserId || null,
+            JSON.stringify(changes),
+            req ? req.ip || null : null,
+            userAgent ? userAgent.substring(0, 500) : null
+        ]);
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+module.exports = {
+    MASKED_FIELDS,
+    ENTITY_TYPES,
+    diffRecords,
+    recordAudit
+};
@@ -0,0 +1,219 @@
+const moment = require('moment');
+const pool = require('../config/database');
+const { dailyTargetMinutes } = require('./timeAccount');
+const { getManager } = require('./hierarchy');
+const { sendMail } = require('./mailer');
+const { recordAudit } = require('./audit');
+
+const TIMESTAMP_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+// Check-ins still open this many hours after checking in are closed automatically
+const CUTOFF_HOURS = parseFloat(process.env.AUTO_CHECKOUT_AFTER_HOURS || '16');
+
+// How the checkout time is chosen:
+//   contracted - check-in time plus the contracted daily hours (and recorded breaks)
+//   fixed      - AUTO_CHECKOUT_TIME (HH:MM) on the check-in day
+const POLICY = process.env.AUTO_CHECKOUT_POLICY || 'contracted';
+const FIXED_TIME = process.env.AUTO_CHECKOUT_TIME || '18:00';
+
+// Who is emailed about an automatic checkout: comma-separated "employee", "manager"
+const NOTIFY = (process.env.AUTO_CHECKOUT_NOTIFY || '').split(',').map(value => value.trim()).filter(Boolean);
+
+const INTERVAL_MINUTES = parseInt(process.env.AUTO_CHECKOUT_INTERVAL_MINUTES) || 15;
+
+// Check-ins closed per run; the rest are picked up by the next run
+const BATCH_SIZE = 200;
+
+const findStaleCheckins = async () => {
+    const result = await pool.query(`
+        SELECT ec.id
+        FROM employee_checkins ec
+        WHERE ec.status <> 'checkout'
+          AND ec.checkin_date + ec.checkin_time + make_interval(secs => $1) <= LOCALTIMESTAMP
+        ORDER BY ec.checkin_date ASC, ec.id ASC
+        LIMIT $2
+    `, [Math.round(CUTOFF_HOURS * 3600), BATCH_SIZE]);
+
+    return result.rows.map(row => row.id);
+};
+
+// Pick the checkout timestamp for a stale check-in. It never goes before the
+// last recorded activity, past the current time or a full day after check-in.
+const chooseCheckout = ({ checkin, breaks, weeklyHours, now }) => {
+    const checkinAt = moment(checkin, TIMESTAMP_FORMAT);
+
+    let checkoutAt;
+    if (POLICY === 'fixed') {
+        checkoutAt = moment(`${checkinAt.format('YYYY-MM-DD')} ${FIXED_TIME}`, 'YYYY-MM-DD HH:mm');
+    } else {
+        const breakMinutes = breaks
+            .filter(b => b.ended_at)
+            .reduce((sum, b) => sum + moment(b.ended_at, TIMESTAMP_FORMAT).diff(moment(b.started_at, TIMESTAMP_FORMAT), 'minutes'), 0);
+        checkoutAt = checkinAt.clone().add(dailyTargetMinutes(weeklyHours) + breakMinutes, 'minutes');
+    }
+
+    const lastActivity = breaks.reduce((latest, b) => {
+        const activity = moment(b.ended_at || b.started_at, TIMESTAMP_FORMAT);
+        return activity.isAfter(latest) ? activity : latest;
+    }, checkinAt);
+
+    return moment.min(
+        moment.max(checkoutAt, lastActivity),
+        moment(now, TIMESTAMP_FORMAT),
+        checkinAt.clone().add(1, 'day').subtract(1, 'minute')
+    );
+};
+
+// Close one stale check-in. Returns the closed check-in, or null if it was
+// closed (or locked) in the meantime.
+const closeCheckin = async (checkinId) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const checkinResult = await client.query(`
+            SELECT
+                ec.id,
+                ec.user_id,
+                to_char(ec.checkin_date, 'YYYY-MM-DD') as checkin_date,
+                to_char(ec.checkin_date + ec.checkin_time, 'YYYY-MM-DD HH24:MI:SS') as checkin,
+                to_char(LOCALTIMESTAMP(0), 'YYYY-MM-DD HH24:MI:SS') as now,
+                u.weekly_hours
+            FROM employee_checkins ec
+            JOIN users u ON ec.user_id = u.id
+            WHERE ec.id = $1 AND ec.status <> 'checkout'
+            FOR UPDATE OF ec SKIP LOCKED
+        `, [checkinId]);
+
+        if (checkinResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const checkin = checkinResult.rows[0];
+
+        const before = await client.query('SELECT * FROM employee_checkins WHERE id = $1', [checkinId]);
+
+        const breaks = await client.query(`
+            SELECT
+                id,
+                to_char(started_at, 'YYYY-MM-DD HH24:MI:SS') as started_at,
+                to_char(ended_at, 'YYYY-MM-DD HH24:MI:SS') as ended_at
+            FROM checkin_breaks
+            WHERE checkin_id = $1
+        `, [checkinId]);
+
+        const checkoutAt = chooseCheckout({
+            checkin: checkin.checkin,
+            breaks: breaks.rows,
+            weeklyHours: checkin.weekly_hours,
+            now: checkin.now
+        });
+
+        // Nobody knows when an unfinished break ended, so it doesn't count
+        await client.query(
+            'UPDATE checkin_breaks SET ended_at = started_at WHERE checkin_id = $1 AND ended_at IS NULL',
+            [checkinId]
+        );
+
+        await client.query(`
+            UPDATE employee_checkins
+            SET
+                checkout_time = $1,
+                status = 'checkout',
+                on_break = FALSE,
+                auto_closed = TRUE,
+                auto_closed_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+        `, [checkoutAt.format('HH:mm:ss'), checkinId]);
+
+        await client.query('SELECT recalculate_checkin_totals($1)', [checkinId]);
+
+        const after = await client.query('SELECT * FROM employee_checkins WHERE id = $1', [checkinId]);
+
+        await client.query('COMMIT');
+
+        return {
+            ...checkin,
+            checkout_time: checkoutAt.format('HH:mm'),
+            before: before.rows[0],
+            after: after.rows[0]
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+const notifyAutoCheckout = async (checkin) => {
+    const employee = await pool.query('SELECT name, email FROM users WHERE id = $1', [checkin.user_id]);
+    if (employee.rows.length === 0) {
+        return;
+    }
+
+    const { name, email } = employee.rows[0];
+    const details = `The check-in of ${name} on ${checkin.checkin_date} was still open and has been closed ` +
+        `automatically with a checkout time of ${checkin.checkout_time}.`;
+
+    if (NOTIFY.includes('employee') && email) {
+        await sendMail({
+            to: email,
+            subject: 'You were checked out automatically',
+            text: `${details}\n\nIf this is not correct, please submit an attendance correction in Kistr.`
+        });
+    }
+
+    if (NOTIFY.includes('manager')) {
+        const manager = await getManager(checkin.user_id);
+        if (manager && manager.email) {
+            await sendMail({
+                to: manager.email,
+                subject: `Automatic checkout for ${name}`,
+                text: `${details}\n\nPlease review it in Kistr.`
+            });
+        }
+    }
+};
+
+// Close all check-ins that are still open after the cutoff. Returns the number closed.
+const closeStaleCheckins = async () => {
+    const ids = await findStaleCheckins();
+    let closed = 0;
+
+    for (const id of ids) {
+        const checkin = await closeCheckin(id);
+        if (!checkin) {
+            continue;
+        }
+
+        closed++;
+
+        await recordAudit(null, {
+            action: 'auto_checkout',
+            entityType: 'checkin',
+            entityId: checkin.id,
+            subjectUserId: checkin.user_id,
+            before: checkin.before,
+            after: checkin.after
+        });
+
+        if (NOTIFY.length > 0) {
+            notifyAutoCheckout(checkin).catch(error => console.error('Auto-checkout notification error:', error));
+        }
+    }
+
+    if (closed > 0) {
+        console.log(`Auto-checkout closed ${closed} open check-in(s)`);
+    }
+
+    return closed;
+};
+
+module.exports = {
+    INTERVAL_MINUTES,
+    chooseCheckout,
+    closeStaleCheckins
+};
@@ -0,0 +1,83 @@
+// Quote a value for CSV output when it contains separators, quotes or line breaks
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    // Keep spreadsheet apps from evaluating text as a formula
+    if (/^[=+\-@\t]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+// Guess the delimiter from the header line (spreadsheet exports in many
+// locales use semicolons)
+const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+// Parse CSV text (RFC 4180 quoting) into an array of rows (arrays of strings).
+// Empty lines are skipped.
+const parseCsv = (text, delimiter = null) => {
+    const input = text.replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+};
+
+module.exports = {
+    escapeCsvValue,
+    toCsvRow,
+    parseCsv
+};
@@ -0,0 +1,182 @@
+const pool = require('../config/database');
+const { sendMail } = require('./mailer');
+const { recordAudit } = require('./audit');
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Days before the expiry date at which reminders are sent
+const REMINDER_DAYS = parseList(process.env.DOCUMENT_EXPIRY_REMINDER_DAYS || '60,30,7')
+    .map(days => parseInt(days))
+    .filter(days => days >= 0);
+
+// Who is reminded: comma-separated "employee", "hr"
+const NOTIFY = parseList(process.env.DOCUMENT_EXPIRY_NOTIFY || 'employee,hr');
+
+// HR recipients; without this, active users with the hr role are mailed
+const HR_EMAILS = parseList(process.env.DOCUMENT_EXPIRY_HR_EMAILS);
+
+const INTERVAL_MINUTES = parseInt(process.env.DOCUMENT_EXPIRY_INTERVAL_MINUTES) || 24 * 60;
+
+// Documents handled per run; the rest are picked up by the next run
+const BATCH_SIZE = 200;
+
+// Documents that reached a reminder lead time which has not been mailed yet
+const findDueReminders = async () => {
+    const result = await pool.query(`
+        SELECT
+            ed.id,
+            ed.user_id,
+            ed.name,
+            ed.type,
+            to_char(ed.expires_at, 'YYYY-MM-DD') as expires_at,
+            ed.expires_at - CURRENT_DATE as days_left,
+            u.name as employee,
+            u.email
+        FROM employee_documents ed
+        JOIN users u ON ed.user_id = u.id
+        WHERE ed.status <> 'archived'
+          AND ed.expires_at >= CURRENT_DATE
+          AND EXISTS (
+              SELECT 1 FROM unnest($1::int[]) AS leads(days)
+              WHERE leads.days >= ed.expires_at - CURRENT_DATE
+                AND NOT EXISTS (
+                    SELECT 1 FROM employee_document_reminders r
+                    WHERE r.document_id = ed.id AND r.expires_at = ed.expires_at AND r.lead_days = leads.days
+                )
+          )
+        ORDER BY ed.expires_at ASC, ed.id ASC
+        LIMIT $2
+    `, [REMINDER_DAYS, BATCH_SIZE]);
+
+    return result.rows;
+};
+
+const getHrEmails = async () => {
+    if (HR_EMAILS.length > 0) {
+        return HR_EMAILS;
+    }
+
+    const result = await pool.query(`
+        SELECT email FROM users
+        WHERE LOWER(TRIM(role)) = 'hr' AND employee_status = 'active' AND email IS NOT NULL
+    `);
+
+    return result.rows.map(row => row.email);
+};
+
+const notifyExpiry = async (document, hrEmails) => {
+    const when = document.days_left === 0 ? 'today' : `in ${document.days_left} day(s)`;
+    const details = `The ${document.type} document "${document.name}" of ${document.employee} ` +
+        `expires on ${document.expires_at} (${when}).`;
+
+    if (NOTIFY.includes('employee') && document.email) {
+        await sendMail({
+            to: document.email,
+            subject: `Your document "${document.name}" expires on ${document.expires_at}`,
+            text: `Hello ${document.employee},\n\n` +
+                `Your ${document.type} document "${document.name}" expires on ${document.expires_at} (${when}). ` +
+                'Please upload a renewed document in Kistr or hand it to HR.'
+        });
+    }
+
+    if (NOTIFY.includes('hr') && hrEmails.length > 0) {
+        await sendMail({
+            to: hrEmails.join(', '),
+            subject: `Document of ${document.employee} expires on ${document.expires_at}`,
+            text: `${details}\n\nPlease make sure it is renewed in time.`
+        });
+    }
+};
+
+// Mail one reminder per document for every lead time reached since the last
+// run (a document first seen a week before expiry gets one mail, not three).
+// The reminder rows are committed only once the mails went out.
+const sendExpiryReminders = async () => {
+    const documents = await findDueReminders();
+    let hrEmails = null;
+    let sent = 0;
+
+    for (const document of documents) {
+        const client = await pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const claimed = await client.query(`
+                INSERT INTO employee_document_reminders (document_id, expires_at, lead_days)
+                SELECT $1, $2, leads.days FROM unnest($3::int[]) AS leads(days)
+                WHERE leads.days >= $4
+                ON CONFLICT (document_id, expires_at, lead_days) DO NOTHING
+                RETURNING lead_days
+            `, [document.id, document.expires_at, REMINDER_DAYS, document.days_left]);
+
+            if (claimed.rows.length > 0) {
+                if (hrEmails === null) {
+                    hrEmails = await getHrEmails();
+                }
+                await notifyExpiry(document, hrEmails);
+                sent++;
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Document expiry reminder error (document ${document.id}):`, error);
+        } finally {
+            client.release();
+        }
+    }
+
+    return sent;
+};
+
+// Archive documents whose expiry date has passed. Returns the number archived.
+const archiveExpiredDocuments = async () => {
+    const result = await pool.query(`
+        WITH expired AS (
+            SELECT id, status FROM employee_documents
+            WHERE expires_at < CURRENT_DATE AND status <> 'archived'
+            ORDER BY expires_at ASC, id ASC
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        UPDATE employee_documents ed
+        SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+        FROM expired
+        WHERE ed.id = expired.id
+        RETURNING ed.id, ed.user_id, expired.status as previous_status, to_char(ed.expires_at, 'YYYY-MM-DD') as expires_at
+    `, [BATCH_SIZE]);
+
+    for (const document of result.rows) {
+        await recordAudit(null, {
+            action: 'archive_expired',
+            entityType: 'document',
+            entityId: document.id,
+            subjectUserId: document.user_id,
+            before: { status: document.previous_status, expires_at: document.expires_at },
+            after: { status: 'archived', expires_at: document.expires_at }
+        });
+    }
+
+    return result.rows.length;
+};
+
+// Daily job: renewal reminders, then archiving of expired documents
+const processDocumentExpiry = async () => {
+    const reminded = await sendExpiryReminders();
+    const archived = await archiveExpiredDocuments();
+
+    if (reminded > 0 || archived > 0) {
+        console.log(`Document expiry: ${reminded} reminder(s) sent, ${archived} document(s) archived`);
+    }
+
+    return { reminded, archived };
+};
+
+module.exports = {
+    REMINDER_DAYS,
+    INTERVAL_MINUTES,
+    sendExpiryReminders,
+    archiveExpiredDocuments,
+    processDocumentExpiry
+};
@@ -0,0 +1,256 @@
+const moment = require('moment');
+const PDFDocument = require('pdfkit');
+const pool = require('../config/database');
+const { ENCRYPTED_EMPLOYEE_FIELDS, decrypt } = require('./fieldEncryption');
+
+// How dates and amounts are written into generated documents
+const TEMPLATE_DATE_FORMAT = process.env.TEMPLATE_DATE_FORMAT || 'DD.MM.YYYY';
+const TEMPLATE_LOCALE = process.env.TEMPLATE_LOCALE || 'de-DE';
+
+// Fields a template can use as {{name}}. `column` defaults to the placeholder
+// name; `value` computes the value from the employee row instead.
+const PLACEHOLDERS = {
+    employee_id: { label: 'Employee ID' },
+    first_name: { label: 'First name' },
+    last_name: { label: 'Last name' },
+    name: { label: 'Full name' },
+    email: { label: 'Email' },
+    dob: { label: 'Date of birth', format: 'date' },
+    nationality: { label: 'Nationality' },
+    address: {
+        label: 'Street and house number',
+        value: employee => [employee.address, employee.house_number].filter(Boolean).join(' ')
+    },
+    postcode: { label: 'Postcode' },
+    city: { label: 'City' },
+    position: { label: 'Position' },
+    department: { label: 'Department' },
+    team: { label: 'Team' },
+    employment_type: { label: 'Employment type' },
+    manager_name: { label: 'Manager' },
+    hired_at: { label: 'Hire date', format: 'date' },
+    contract_start_at: { label: 'Contract start', format: 'date' },
+    contract_end_at: { label: 'Contract end', format: 'date' },
+    notice_period: { label: 'Notice period' },
+    probation_time: { label: 'Probation time' },
+    weekly_hours: { label: 'Weekly hours', format: 'number' },
+    working_time_model: { label: 'Working time model' },
+    paid_vacation: { label: 'Paid vacation days' },
+    salary_type: { label: 'Salary type' },
+    base_salary: { label: 'Base salary', format: 'amount' },
+    company_name: { label: 'Company name', value: () => process.env.COMPANY_NAME },
+    today: { label: 'Date of generation', format: 'date', value: () => new Date() }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+// Placeholders that read encrypted employee fields
+const isSensitivePlaceholder = (name) => ENCRYPTED_EMPLOYEE_FIELDS.includes(PLACEHOLDERS[name].column || name);
+
+// Distinct placeholder names used in a text
+const findPlaceholders = (text) => [...new Set([...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+
+const unknownPlaceholders = (text) => findPlaceholders(text).filter(name => !PLACEHOLDERS[name]);
+
+const listPlaceholders = () => Object.entries(PLACEHOLDERS).map(([name, placeholder]) => ({
+    name,
+    label: placeholder.label,
+    sensitive: isSensitivePlaceholder(name)
+}));
+
+const formatValue = (value, format) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    if (format === 'date') {
+        return moment(value).format(TEMPLATE_DATE_FORMAT);
+    }
+    if (format === 'amount') {
+        return Number(value).toLocaleString(TEMPLATE_LOCALE, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+    if (format === 'number') {
+        return Number(value).toLocaleString(TEMPLATE_LOCALE);
+    }
+    return String(value);
+};
+
+// Placeholder values for an employee, or null when the employee does not exist
+const loadPlaceholderValues = async (userId, db = pool) => {
+    const result = await db.query(`
+        SELECT u.*, m.name as manager_name
+        FROM users u
+        LEFT JOIN users m ON u.reporting_manager_id = m.id
+        WHERE u.id = $1
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const employee = result.rows[0];
+    const values = {};
+
+    Object.entries(PLACEHOLDERS).forEach(([name, placeholder]) => {
+        const column = placeholder.column || name;
+        let value = placeholder.value ? placeholder.value(employee) : employee[column];
+
+        if (ENCRYPTED_EMPLOYEE_FIELDS.includes(column)) {
+            value = decrypt(value);
+        }
+
+        values[name] = formatValue(value, placeholder.format);
+    });
+
+    return values;
+};
+
+// Fill in placeholders. Returns { text, missing } where missing lists the
+// placeholders without a value (left empty in the text).
+const renderText = (text, values) => {
+    const missing = new Set();
+
+    const rendered = text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+        if (values[name] === null || values[name] === undefined) {
+            missing.add(name);
+            return '';
+        }
+        return values[name];
+    });
+
+    return { text: rendered, missing: [...missing] };
+};
+
+// Render a document as a PDF. Lines starting with "# " become headings,
+// blank lines separate paragraphs.
+const renderPdf = ({ title, body }) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 60, info: { Title: title } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(16).text(title);
+    doc.moveDown();
+
+    body.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+        if (line.trim() === '') {
+            doc.moveDown(0.5);
+        } else if (line.startsWith('# ')) {
+            doc.moveDown(0.5);
+            doc.font('Helvetica-Bold').fontSize(12).text(line.substring(2).trim());
+            doc.moveDown(0.25);
+        } else {
+            doc.font('Helvetica').fontSize(11).text(line, { align: 'left' });
+        }
+    });
+
+    doc.end();
+});
+
+const TEMPLATE_COLUMNS = `
+    t.id,
+    t.name,
+    t.document_type,
+    t.current_version,
+    t.is_active,
+    t.created_by,
+    t.created_at,
+    t.updated_at
+`;
+
+// A template with the text of the given version (default: the current one)
+const findTemplate = async (id, version = null, db = pool) => {
+    const result = await db.query(`
+        SELECT ${TEMPLATE_COLUMNS},
+               v.version, v.title, v.body, v.created_by as version_created_by, v.created_at as version_created_at
+        FROM document_templates t
+        JOIN document_template_versions v ON v.template_id = t.id AND v.version = COALESCE($2, t.current_version)
+        WHERE t.id = $1
+    `, [id, version]);
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const template = result.rows[0];
+
+    return {
+        ...template,
+        placeholders: findPlaceholders(`${template.title}\n${template.body}`)
+    };
+};
+
+const listTemplates = async ({ activeOnly = false } = {}) => {
+    const result = await pool.query(`
+        SELECT ${TEMPLATE_COLUMNS}, v.title
+        FROM document_templates t
+        JOIN document_template_versions v ON v.template_id = t.id AND v.version = t.current_version
+        ${activeOnly ? 'WHERE t.is_active = TRUE' : ''}
+        ORDER BY t.name ASC
+    `);
+
+    return result.rows;
+};
+
+const listTemplateVersions = async (templateId) => {
+    const result = await pool.query(`
+        SELECT v.version, v.title, v.created_by, u.name as created_by_name, v.created_at
+        FROM document_template_versions v
+        LEFT JOIN users u ON v.created_by = u.id
+        WHERE v.template_id = $1
+        ORDER BY v.version DESC
+    `, [templateId]);
+
+    return result.rows;
+};
+
+// Create a template with its first version. Run inside a transaction.
+const createTemplate = async (client, { name, document_type, is_active, title, body }, userId) => {
+    const template = await client.query(`
+        INSERT INTO document_templates (name, document_type, is_active, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+    `, [name, document_type, is_active !== undefined ? is_active : true, userId]);
+
+    await client.query(`
+        INSERT INTO document_template_versions (template_id, version, title, body, created_by)
+        VALUES ($1, 1, $2, $3, $4)
+    `, [template.rows[0].id, title, body, userId]);
+
+    return template.rows[0].id;
+};
+
+// Save new template text as the next version and make it current. Run inside
+// a transaction.
+const addTemplateVersion = async (client, templateId, { title, body }, userId) => {
+    const template = await client.query(`
+        UPDATE document_templates SET current_version = current_version + 1
+        WHERE id = $1
+        RETURNING current_version
+    `, [templateId]);
+
+    await client.query(`
+        INSERT INTO document_template_versions (template_id, version, title, body, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [templateId, template.rows[0].current_version, title, body, userId]);
+
+    return template.rows[0].current_version;
+};
+
+module.exports = {
+    PLACEHOLDERS,
+    isSensitivePlaceholder,
+    findPlaceholders,
+    unknownPlaceholders,
+    listPlaceholders,
+    loadPlaceholderValues,
+    renderText,
+    renderPdf,
+    findTemplate,
+    listTemplates,
+    listTemplateVersions,
+    createTemplate,
+    addTemplateVersion
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const pool = require('../config/database');
+
+// SHA-256 of a file on disk (hex)
+const checksumFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+const VERSION_COLUMNS = `
+    v.id,
+    v.document_id,
+    v.version,
+    v.name,
+    v.file_size,
+    v.mime_type,
+    v.checksum,
+    v.content_warnings,
+    v.uploaded_by,
+    u.name as uploaded_by_name,
+    v.restored_from_version,
+    v.created_at
+`;
+
+// Add a version to a document and make it the current one. `file` is
+// { name, driver, key, size, mimetype, checksum, contentWarnings }. Returns the
+// updated document row.
+// Run inside a transaction.
+const addVersion = async (client, documentId, file, uploadedBy, restoredFromVersion = null) => {
+    const document = await client.query(`
+        UPDATE employee_documents
+        SET current_version = current_version + 1,
+            name = $1,
+            storage_driver = $2,
+            file_path = $3,
+            file_size = $4,
+            mime_type = $5,
+            checksum = $6,
+            content_warnings = $7,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $8
+        RETURNING *
+    `, [
+        file.name,
+        file.driver,
+        file.key,
+        file.size,
+        file.mimetype,
+        file.checksum,
+        JSON.stringify(file.contentWarnings || []),
+        documentId
+    ]);
+
+    await client.query(`
+        INSERT INTO employee_document_versions
+            (document_id, version, name, storage_driver, file_path, file_size, mime_type, checksum, content_warnings,
+             uploaded_by, restored_from_version)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+        documentId,
+        document.rows[0].current_version,
+        file.name,
+        file.driver,
+        file.key,
+        file.size,
+        file.mimetype,
+        file.checksum,
+        JSON.stringify(file.contentWarnings || []),
+        uploadedBy,
+        restoredFromVersion
+    ]);
+
+    return document.rows[0];
+};
+
+// Record the first version of a newly inserted document
+const addInitialVersion = (client, document, uploadedBy) => client.query(`
+    INSERT INTO employee_document_versions
+        (document_id, version, name, storage_driver, file_path, file_size, mime_type, checksum, content_warnings, uploaded_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+`, [
+    document.id,
+    document.current_version,
+    document.name,
+    document.storage_driver,
+    document.file_path,
+    document.file_size,
+    document.mime_type,
+    document.checksum,
+    JSON.stringify(document.content_warnings || []),
+    uploadedBy
+]);
+
+const listVersions = async (documentId) => {
+    const result = await pool.query(`
+        SELECT ${VERSION_COLUMNS}
+        FROM employee_document_versions v
+        LEFT JOIN users u ON v.uploaded_by = u.id
+        WHERE v.document_id = $1
+        ORDER BY v.version DESC
+    `, [documentId]);
+
+    return result.rows;
+};
+
+// A single version including where its file is stored
+const findVersion = async (documentId, version) => {
+    const result = await pool.query(`
+        SELECT ${VERSION_COLUMNS}, v.storage_driver, v.file_path
+        FROM employee_document_versions v
+        LEFT JOIN users u ON v.uploaded_by = u.id
+        WHERE v.document_id = $1 AND v.version = $2
+    `, [documentId, version]);
+
+    return result.rows[0] || null;
+};
+
+// Every stored file referenced by a document's versions as
+// { storage_driver, file_path } (restored versions share files)
+const listVersionFiles = async (documentId) => {
+    const result = await pool.query(
+        'SELECT DISTINCT storage_driver, file_path FROM employee_document_versions WHERE document_id = $1',
+        [documentId]
+    );
+
+    return result.rows;
+};
+
+module.exports = {
+    checksumFile,
+    addVersion,
+    addInitialVersion,
+    listVersions,
+    findVersion,
+    listVersionFiles
+};
@@ -0,0 +1,155 @@
+const moment = require('moment');
+const ExcelJS = require('exceljs');
+const pool = require('../config/database');
+const { toCsvRow } = require('./csv');
+const { ENCRYPTED_EMPLOYEE_FIELDS, decrypt } = require('./fieldEncryption');
+
+// Rows fetched from the cursor per round trip
+const BATCH_SIZE = 500;
+
+// Columns available in the directory export
+const EXPORT_COLUMNS = {
+    employee_id: { label: 'Employee ID' },
+    name: { label: 'Name' },
+    first_name: { label: 'First name' },
+    last_name: { label: 'Last name' },
+    email: { label: 'Email' },
+    phone: { label: 'Phone' },
+    employee_status: { label: 'Status' },
+    employment_type: { label: 'Employment type' },
+    position: { label: 'Position' },
+    department: { label: 'Department' },
+    team: { label: 'Team' },
+    role: { label: 'Role' },
+    reporting_manager: { label: 'Reporting manager' },
+    city: { label: 'City' },
+    dob: { label: 'Date of birth', type: 'date' },
+    hired_at: { label: 'Hired at', type: 'date' },
+    contract_start_at: { label: 'Contract start', type: 'date' },
+    contract_end_at: { label: 'Contract end', type: 'date' },
+    weekly_hours: { label: 'Weekly hours', type: 'number' },
+    working_time_model: { label: 'Working time model' },
+    paid_vacation: { label: 'Paid vacation', type: 'number' },
+    salary_type: { label: 'Salary type' },
+    base_salary: { label: 'Base salary', type: 'number' },
+    tax_id: { label: 'Tax ID' },
+    social_security_number: { label: 'Social security number' },
+    iban: { label: 'IBAN' },
+    bic: { label: 'BIC' }
+};
+
+// Columns exported when none are requested (same as the directory listing)
+const DEFAULT_EXPORT_COLUMNS = [
+    'employee_id', 'name', 'email', 'employee_status', 'employment_type', 'position',
+    'department', 'team', 'role', 'city', 'hired_at', 'weekly_hours'
+];
+
+// Columns that need the employees:read_sensitive permission
+const SENSITIVE_EXPORT_COLUMNS = ENCRYPTED_EMPLOYEE_FIELDS;
+
+const formatValue = (column, value) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    const plain = ENCRYPTED_EMPLOYEE_FIELDS.includes(column) ? decrypt(value) : value;
+    const { type } = EXPORT_COLUMNS[column];
+
+    if (type === 'date') {
+        return moment(plain).format('YYYY-MM-DD');
+    }
+    if (type === 'number') {
+        return Number(plain);
+    }
+    return plain;
+};
+
+// Resolve once the response can take more data (or the client went away)
+const waitForDrain = (res) => new Promise(resolve => {
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+// Read matching employees through a server-side cursor and hand them to
+// `onRows` batch by batch. `onRows` may return false to stop early.
+const streamEmployees = async ({ whereClause, params }, columns, onRows) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await client.query(`
+            DECLARE employee_export NO SCROLL CURSOR FOR
+            SELECT ${columns.join(', ')}
+            FROM users
+            ${whereClause}
+            ORDER BY name ASC, id ASC
+        `, params);
+
+        for (;;) {
+            const batch = await client.query(`FETCH ${BATCH_SIZE} FROM employee_export`);
+            if (batch.rows.length === 0 || (await onRows(batch.rows)) === false) {
+                break;
+            }
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Stream the export to an HTTP response as CSV or XLSX
+const writeEmployeeExport = async (res, filters, columns, format) => {
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+        const worksheet = workbook.addWorksheet('Employees');
+        worksheet.columns = columns.map(column => ({ header: EXPORT_COLUMNS[column].label, key: column, width: 20 }));
+
+        await streamEmployees(filters, columns, async (rows) => {
+            if (res.destroyed) {
+                return false;
+            }
+            rows.forEach(row => {
+                worksheet.addRow(columns.map(column => formatValue(column, row[column]))).commit();
+            });
+            // The workbook pipes into the response; hold the next batch back
+            // while the client is slower than the database
+            if (res.writableNeedDrain) {
+                await waitForDrain(res);
+            }
+        });
+
+        worksheet.commit();
+        await workbook.commit();
+        return;
+    }
+
+    res.write(toCsvRow(columns.map(column => EXPORT_COLUMNS[column].label)));
+
+    await streamEmployees(filters, columns, async (rows) => {
+        if (res.destroyed) {
+            return false;
+        }
+        const chunk = rows.map(row => toCsvRow(columns.map(column => formatValue(column, row[column])))).join('');
+        if (!res.write(chunk)) {
+            await waitForDrain(res);
+        }
+    });
+
+    res.end();
+};
+
+module.exports = {
+    EXPORT_COLUMNS,
+    DEFAULT_EXPORT_COLUMNS,
+    SENSITIVE_EXPORT_COLUMNS,
+    writeEmployeeExport
+};
@@ -0,0 +1,319 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const pool = require('../config/database');
+const { parseCsv } = require('./csv');
+const { encryptEmployeeFields } = require('./fieldEncryption');
+const { wouldCreateCycle } = require('./hierarchy');
+const { createOnboarding } = require('./onboarding');
+const { createInvitation } = require('./invitations');
+const {
+    EMPLOYEE_CREATE_FIELDS,
+    validateEmployeeData,
+    resolveEmployeeReferences,
+    insertEmployee
+} = require('./employees');
+
+// Largest number of data rows accepted in one file
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns written on existing employees (everything except identity fields)
+const UPDATE_FIELDS = EMPLOYEE_CREATE_FIELDS.filter(field => field !== 'email');
+
+class ImportError extends Error {}
+
+// Text of an XLSX cell (dates as YYYY-MM-DD, formulas by their result)
+const cellText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString().substring(0, 10);
+    }
+    if (typeof value === 'object') {
+        if (value.richText) {
+            return value.richText.map(part => part.text).join('');
+        }
+        if (value.result !== undefined) {
+            return cellText(value.result);
+        }
+        if (value.text !== undefined) {
+            return String(value.text);
+        }
+        return '';
+    }
+    return String(value);
+};
+
+// Read an uploaded CSV or XLSX file into rows of strings (first row = header)
+const readSpreadsheet = async (file) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (extension === '.xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(file.buffer);
+        } catch (error) {
+            throw new ImportError('The file is not a valid XLSX workbook');
+        }
+        const worksheet = workbook.worksheets[0];
+
+        if (!worksheet) {
+            return [];
+        }
+
+        const rows = [];
+        worksheet.eachRow({ includeEmpty: false }, (row) => {
+            const cells = [];
+            for (let column = 1; column <= worksheet.columnCount; column++) {
+                cells.push(cellText(row.getCell(column).value).trim());
+            }
+            rows.push(cells);
+        });
+        return rows;
+    }
+
+    return parseCsv(file.buffer.toString('utf8')).map(row => row.map(value => value.trim()));
+};
+
+const normalizeHeader = (header) => header.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Map header columns onto employee fields. `mapping` is { "<header>": "<field>" };
+// without one, headers matching a field name (e.g. "First Name") are used.
+const buildColumnMap = (header, mapping) => {
+    const columns = [];
+
+    header.forEach((title, index) => {
+        const field = mapping ? mapping[title] : normalizeHeader(title);
+        if (field && EMPLOYEE_CREATE_FIELDS.includes(field)) {
+            columns.push({ index, header: title, field });
+        }
+    });
+
+    if (mapping) {
+        const unknownFields = Object.values(mapping).filter(field => !EMPLOYEE_CREATE_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            throw new ImportError(`Unknown fields in mapping: ${unknownFields.join(', ')}`);
+        }
+
+        const missingHeaders = Object.keys(mapping).filter(title => !header.includes(title));
+        if (missingHeaders.length > 0) {
+            throw new ImportError(`Columns not found in file: ${missingHeaders.join(', ')}`);
+        }
+    }
+
+    if (!columns.some(column => column.field === 'email')) {
+        throw new ImportError('The file needs an email column');
+    }
+
+    return columns;
+};
+
+// Validate every row. Returns the per-row results and a flat error list
+// ({ row, column, field, message, value }); row numbers match the file.
+const validateRows = async (rows, mapping) => {
+    if (rows.length < 2) {
+        throw new ImportError('The file has no data rows');
+    }
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+        throw new ImportError(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+    }
+
+    const [header, ...dataRows] = rows;
+    const columns = buildColumnMap(header, mapping);
+    const headerOf = Object.fromEntries(columns.map(column => [column.field, column.header]));
+
+    const results = [];
+    const seenEmails = new Map();
+
+    for (const [position, cells] of dataRows.entries()) {
+        const rowNumber = position + 2;
+        const raw = {};
+        columns.forEach(({ index, field }) => {
+            const value = cells[index];
+            if (value !== undefined && value !== '') {
+                raw[field] = value;
+            }
+        });
+
+        const { errors, data } = await validateEmployeeData(raw);
+        const rowErrors = errors.map(error => ({
+            row: rowNumber,
+            column: headerOf[error.path] || null,
+            field: error.path,
+            message: error.msg,
+            value: error.value === undefined ? null : error.value
+        }));
+
+        if (data.email && typeof data.email === 'string') {
+            const email = data.email.toLowerCase();
+            if (seenEmails.has(email)) {
+                rowErrors.push({
+                    row: rowNumber,
+                    column: headerOf.email,
+                    field: 'email',
+                    message: `Duplicate of row ${seenEmails.get(email)}`,
+                    value: raw.email
+                });
+            } else {
+                seenEmails.set(email, rowNumber);
+            }
+        }
+
+        results.push({ row: rowNumber, data, fields: columns.map(column => column.field), errors: rowErrors });
+    }
+
+    // Upsert by email: existing employees are updated
+    const emails = results.filter(result => typeof result.data.email === 'string').map(result => result.data.email.toLowerCase());
+    const existing = await pool.query('SELECT id, LOWER(email) as email FROM users WHERE LOWER(email) = ANY($1)', [emails]);
+    const existingIds = new Map(existing.rows.map(row => [row.email, row.id]));
+
+    for (const result of results) {
+        result.existing_id = typeof result.data.email === 'string' ? existingIds.get(result.data.email.toLowerCase()) || null : null;
+        result.action = result.existing_id ? 'update' : 'create';
+
+        if (result.errors.length > 0) {
+            continue;
+        }
+
+        const references = await resolveEmployeeReferences(result.data);
+        if (references.error) {
+            result.errors.push({
+                row: result.row,
+                column: headerOf[references.field] || null,
+                field: references.field,
+                message: references.error,
+                value: result.data[references.field] || null
+            });
+            continue;
+        }
+
+        if (result.existing_id && references.manager && await wouldCreateCycle(result.existing_id, references.manager.id)) {
+            result.errors.push({
+                row: result.row,
+                column: headerOf.reporting_manager_id || headerOf.reporting_manager || null,
+                field: 'reporting_manager',
+                message: 'This reporting manager would create a reporting cycle',
+                value: references.manager.name
+            });
+            continue;
+        }
+
+        result.references = references;
+    }
+
+    return {
+        results,
+        errors: results.flatMap(result => result.errors)
+    };
+};
+
+const summarize = (results, errors) => {
+    const valid = results.filter(result => result.errors.length === 0);
+
+    return {
+        total_rows: results.length,
+        valid_rows: valid.length,
+        invalid_rows: results.length - valid.length,
+        to_create: valid.filter(result => result.action === 'create').length,
+        to_update: valid.filter(result => result.action === 'update').length,
+        rows: results.map(result => ({
+            row: result.row,
+            email: typeof result.data.email === 'string' ? result.data.email : null,
+            action: result.action,
+            valid: result.errors.length === 0
+        })),
+        errors
+    };
+};
+
+// Whether the file has a manager column (otherwise managers are left as they are)
+const setsManager = (fields) => fields.includes('reporting_manager') || fields.includes('reporting_manager_id');
+
+const updateEmployee = async (client, result) => {
+    const { data, fields, references } = result;
+    const assignments = {};
+
+    UPDATE_FIELDS.filter(field => fields.includes(field)).forEach(field => {
+        assignments[field] = data[field] === undefined ? null : data[field];
+    });
+
+    assignments.department = references.unit.department;
+    assignments.team = references.unit.team;
+    if (setsManager(fields)) {
+        assignments.reporting_manager = references.manager ? references.manager.name : null;
+        assignments.reporting_manager_id = references.manager ? references.manager.id : null;
+    }
+
+    const stored = encryptEmployeeFields(assignments);
+    const columns = Object.keys(stored);
+
+    const before = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [result.existing_id]);
+    const after = await client.query(`
+        UPDATE users
+        SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${columns.length + 1}
+        RETURNING *
+    `, [...columns.map(column => stored[column]), result.existing_id]);
+
+    return { before: before.rows[0], after: after.rows[0] };
+};
+
+// Write the valid rows in one transaction. Returns { created, updated } with
+// { row, before, after } entries for the audit log; created entries also
+// carry the invitation token to email once the import is committed.
+const importRows = async (results, invitedBy) => {
+    const client = await pool.connect();
+    const created = [];
+    const updated = [];
+
+    try {
+        await client.query('BEGIN');
+
+        // One import at a time, so two files can't create the same email
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('employee_import'))`);
+
+        for (const result of results.filter(result => result.errors.length === 0)) {
+            // Another request may have created the employee since validation
+            const existing = await client.query('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [result.data.email]);
+            result.existing_id = existing.rows.length > 0 ? existing.rows[0].id : null;
+
+            if (result.existing_id) {
+                // Validation only saw the managers stored before the import;
+                // earlier rows of this file may have changed them since
+                const { manager } = result.references;
+                if (manager && setsManager(result.fields) && await wouldCreateCycle(result.existing_id, manager.id, client)) {
+                    throw new ImportError(`Row ${result.row}: the reporting manager would create a reporting cycle, nothing was imported`);
+                }
+
+                const { before, after } = await updateEmployee(client, result);
+                updated.push({ row: result.row, before, after });
+            } else {
+                const after = await insertEmployee(result.data, {
+                    unit: result.references.unit,
+                    manager: result.references.manager
+                }, client);
+                await createOnboarding(after, null, client);
+                const invitation = await createInvitation(after.id, invitedBy, client);
+                created.push({ row: result.row, before: null, after, invitationToken: invitation.token });
+            }
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return { created, updated };
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    ImportError,
+    readSpreadsheet,
+    validateRows,
+    summarize,
+    importRows
+};
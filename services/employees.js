@@ -0,0 +1,172 @@
+const { body, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { resolveDepartmentAndTeam } = require('./organization');
+const { resolveManager } = require('./hierarchy');
+const { encrypt } = require('./fieldEncryption');
+
+const EMPLOYMENT_TYPES = ['intern', 'extern', 'internship', 'trainee', 'working_student', 'permanent'];
+
+// Validation rules for a new employee, shared by POST /employees and the import
+const createEmployeeRules = [
+    body('first_name').notEmpty().trim().isLength({ max: 100 }),
+    body('last_name').notEmpty().trim().isLength({ max: 100 }),
+    body('email').isEmail().normalizeEmail(),
+    body('employment_type').isIn(EMPLOYMENT_TYPES),
+    body('dob').isISO8601().toDate(),
+    body('position').notEmpty().trim(),
+    body('department').notEmpty().trim(),
+    body('team').optional().trim(),
+    body('reporting_manager_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('base_salary').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('weekly_hours').isFloat({ min: 0, max: 40 })
+];
+
+// Fields accepted when creating an employee
+const EMPLOYEE_CREATE_FIELDS = [
+    'first_name', 'last_name', 'email', 'dob', 'employment_type', 'position', 'department', 'team',
+    'reporting_manager', 'reporting_manager_id', 'city', 'weekly_hours', 'contract_start_at',
+    'working_time_model', 'salary_type', 'base_salary', 'paid_vacation', 'onboarding_type'
+];
+
+// Fields PUT /employees/:id may change: the create fields except the login
+// email, plus profile, contract, tax and bank details. Email, password,
+// status, role and contract end are changed through their own flows.
+const EMPLOYEE_UPDATE_FIELDS = [
+    ...EMPLOYEE_CREATE_FIELDS.filter(field => field !== 'email'),
+    'gender', 'nationality', 'phone', 'address', 'house_number', 'postcode', 'hired_at',
+    'notice_period', 'probation_time', 'occupation_type', 'tax_id', 'social_security_number',
+    'personal_income_tax_class', 'married', 'health_insurance_type', 'insurance_name', 'child_allowance',
+    'iban', 'bic', 'emergency_person_name', 'emergency_person_contact', 'emergency_person_relation',
+    'linkedin_url'
+];
+
+const optionalText = (field, max) => body(field).optional({ nullable: true }).isString().trim().isLength({ max });
+
+// Validation rules for PUT /employees/:id (every field optional)
+const updateEmployeeRules = [
+    body('first_name').optional().notEmpty().trim().isLength({ max: 100 }),
+    body('last_name').optional().notEmpty().trim().isLength({ max: 100 }),
+    body('employment_type').optional().isIn(EMPLOYMENT_TYPES),
+    body('dob').optional({ nullable: true }).isISO8601({ strict: true }),
+    body('position').optional().notEmpty().trim(),
+    body('department').optional().notEmpty().trim(),
+    body('team').optional({ nullable: true }).trim(),
+    body('reporting_manager_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('base_salary').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('weekly_hours').optional().isFloat({ min: 0, max: 40 }),
+    body('paid_vacation').optional({ nullable: true }).isInt({ min: 0 }),
+    body('contract_start_at').optional({ nullable: true }).isISO8601({ strict: true }),
+    body('hired_at').optional({ nullable: true }).isISO8601({ strict: true }),
+    body('gender').optional({ nullable: true }).isIn(['male', 'female', 'other']),
+    body('married').optional().isBoolean().toBoolean(),
+    body('child_allowance').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('linkedin_url').optional({ nullable: true }).isURL().isLength({ max: 500 }),
+    optionalText('reporting_manager', 100),
+    optionalText('city', 100),
+    optionalText('working_time_model', 100),
+    optionalText('salary_type', 50),
+    optionalText('onboarding_type', 100),
+    optionalText('nationality', 100),
+    optionalText('phone', 20),
+    optionalText('address', 500),
+    optionalText('house_number', 20),
+    optionalText('postcode', 20),
+    optionalText('notice_period', 50),
+    optionalText('probation_time', 50),
+    optionalText('occupation_type', 100),
+    optionalText('tax_id', 50),
+    optionalText('social_security_number', 50),
+    optionalText('personal_income_tax_class', 10),
+    optionalText('health_insurance_type', 100),
+    optionalText('insurance_name', 100),
+    optionalText('iban', 50),
+    optionalText('bic', 20),
+    optionalText('emergency_person_name', 100),
+    optionalText('emergency_person_contact', 50),
+    optionalText('emergency_person_relation', 50)
+];
+
+// Run the create rules against plain data (e.g. an imported row). Returns the
+// validation errors and the sanitized data.
+const validateEmployeeData = async (data) => {
+    const req = { body: { ...data } };
+    await Promise.all(createEmployeeRules.map(rule => rule.run(req)));
+
+    return {
+        errors: validationResult(req).array(),
+        data: req.body
+    };
+};
+
+// Check department, team and reporting manager against the database.
+// Returns { error } or { unit: { department, team }, manager }.
+const resolveEmployeeReferences = async (data, db = pool) => {
+    const unit = await resolveDepartmentAndTeam({ department: data.department, team: data.team }, db);
+    if (unit.error) {
+        return { error: unit.error, field: unit.error.startsWith('Team') ? 'team' : 'department' };
+    }
+
+    const { manager, error } = await resolveManager(data, db);
+    if (error) {
+        return { error, field: data.reporting_manager_id ? 'reporting_manager_id' : 'reporting_manager' };
+    }
+
+    return { unit, manager };
+};
+
+// Next free employee ID (EMP001, EMP002, ...)
+const nextEmployeeId = async (db = pool) => {
+    const result = await db.query(`SELECT nextval('employee_id_seq') as number`);
+    return `EMP${String(result.rows[0].number).padStart(3, '0')}`;
+};
+
+// Insert a validated employee; returns the new row. New employees have no
+// password and stay pending_activation until they accept their invitation.
+const insertEmployee = async (data, { unit, manager }, db = pool) => {
+    const employeeId = await nextEmployeeId(db);
+
+    const result = await db.query(`
+        INSERT INTO users (
+            employee_id, email, employee_status, first_name, last_name, dob,
+            employment_type, position, department, team, reporting_manager,
+            reporting_manager_id, city, weekly_hours, contract_start_at, working_time_model,
+            salary_type, base_salary, paid_vacation, onboarding_type
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+        RETURNING *
+    `, [
+        employeeId,
+        data.email,
+        'pending_activation',
+        data.first_name,
+        data.last_name,
+        data.dob,
+        data.employment_type,
+        data.position,
+        unit.department,
+        unit.team,
+        manager ? manager.name : null,
+        manager ? manager.id : null,
+        data.city || null,
+        data.weekly_hours,
+        data.contract_start_at || null,
+        data.working_time_model || null,
+        data.salary_type || null,
+        encrypt(data.base_salary),
+        data.paid_vacation || null,
+        data.onboarding_type || null
+    ]);
+
+    return result.rows[0];
+};
+
+module.exports = {
+    EMPLOYMENT_TYPES,
+    EMPLOYEE_CREATE_FIELDS,
+    EMPLOYEE_UPDATE_FIELDS,
+    createEmployeeRules,
+    updateEmployeeRules,
+    validateEmployeeData,
+    resolveEmployeeReferences,
+    nextEmployeeId,
+    insertEmployee
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+
+// Encrypted values look like enc:v1:<key id>:<iv>:<auth tag>:<ciphertext> (base64 parts).
+// Keys come from FIELD_ENCRYPTION_KEYS as comma-separated "<key id>:<base64 32-byte key>"
+// pairs; new values are encrypted with FIELD_ENCRYPTION_ACTIVE_KEY (default: the last
+// key listed). Generate a key with:
+//   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+// users columns stored encrypted
+const ENCRYPTED_EMPLOYEE_FIELDS = ['tax_id', 'social_security_number', 'iban', 'bic', 'base_salary'];
+
+let keyring = null;
+
+const loadKeyring = () => {
+    const keys = new Map();
+
+    (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.indexOf(':');
+        const id = entry.substring(0, separator);
+        const key = Buffer.from(entry.substring(separator + 1), 'base64');
+
+        if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id)) {
+            throw new Error('FIELD_ENCRYPTION_KEYS entries must look like "<key id>:<base64 key>"');
+        }
+        if (key.length !== 32) {
+            throw new Error(`Field encryption key "${id}" must be 32 bytes`);
+        }
+
+        keys.set(id, key);
+    });
+
+    const activeKeyId = process.env.FIELD_ENCRYPTION_ACTIVE_KEY || [...keys.keys()].pop() || null;
+
+    if (activeKeyId && !keys.has(activeKeyId)) {
+        throw new Error(`FIELD_ENCRYPTION_ACTIVE_KEY "${activeKeyId}" is not listed in FIELD_ENCRYPTION_KEYS`);
+    }
+
+    return { keys, activeKeyId };
+};
+
+const getKeyring = () => {
+    if (!keyring) {
+        keyring = loadKeyring();
+    }
+    return keyring;
+};
+
+// Re-read the keys from the environment (used by the rotation command)
+const reloadKeys = () => {
+    keyring = loadKeyring();
+    return keyring;
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+const keyIdOf = (value) => (isEncrypted(value) ? value.substring(PREFIX.length).split(':')[0] : null);
+
+const encrypt = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const { keys, activeKeyId } = getKeyring();
+    if (!activeKeyId) {
+        throw new Error('Field encryption is not configured (FIELD_ENCRYPTION_KEYS)');
+    }
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+    return [
+        `${PREFIX}${activeKeyId}`,
+        iv.toString('base64'),
+        cipher.getAuthTag().toString('base64'),
+        ciphertext.toString('base64')
+    ].join(':');
+};
+
+// Plaintext values (rows written before encryption) are returned unchanged
+const decrypt = (value) => {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+
+    const [keyId, iv, tag, ciphertext] = value.substring(PREFIX.length).split(':');
+    const key = getKeyring().keys.get(keyId);
+
+    if (!key) {
+        throw new Error(`Unknown field encryption key "${keyId}"`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Whether a stored value is plaintext or encrypted with a key other than the active one
+const needsReencryption = (value) => {
+    if (value === null || value === undefined) {
+        return false;
+    }
+    return keyIdOf(value) !== getKeyring().activeKeyId;
+};
+
+// Masked display values, e.g. "DE89 **** **** 3000" for an IBAN
+const MASKERS = {
+    iban: (value) => {
+        const compact = value.replace(/\s+/g, '');
+        return compact.length > 8
+            ? `${compact.substring(0, 4)} **** **** ${compact.substring(compact.length - 4)}`
+            : '****';
+    },
+    bic: (value) => (value.length > 4 ? `${value.substring(0, 4)}****` : '****'),
+    base_salary: () => '****'
+};
+
+const maskValue = (field, value) => {
+    if (value === null || value === undefined || value === '') {
+        return value;
+    }
+
+    const plain = String(value);
+    if (MASKERS[field]) {
+        return MASKERS[field](plain);
+    }
+
+    // Show only the last three characters
+    return plain.length > 3 ? `${'*'.repeat(plain.length - 3)}${plain.substring(plain.length - 3)}` : '****';
+};
+
+// Copy of employee data with the sensitive fields encrypted (fields not present are left out)
+const encryptEmployeeFields = (data) => {
+    const encrypted = { ...data };
+    ENCRYPTED_EMPLOYEE_FIELDS.forEach(field => {
+        if (encrypted[field] !== undefined) {
+            encrypted[field] = encrypt(encrypted[field]);
+        }
+    });
+    return encrypted;
+};
+
+// Copy of an employee row with the sensitive fields decrypted, or masked when
+// `reveal` is false
+const presentEmployeeFields = (row, reveal) => {
+    const presented = { ...row };
+    ENCRYPTED_EMPLOYEE_FIELDS.forEach(field => {
+        if (presented[field] !== undefined) {
+            const plain = decrypt(presented[field]);
+            presented[field] = reveal ? plain : maskValue(field, plain);
+        }
+    });
+    return presented;
+};
+
+// Encrypt plaintext values and re-encrypt values under old keys with the
+// active key, in batches. Returns the number of users rewritten.
+const reencryptEmployees = async (db, batchSize = 500) => {
+    const { activeKeyId } = getKeyring();
+    const activePrefix = `${PREFIX}${activeKeyId}:`;
+    const outdated = ENCRYPTED_EMPLOYEE_FIELDS
+        .map(field => `(${field} IS NOT NULL AND LEFT(${field}, ${activePrefix.length}) <> $1)`)
+        .join(' OR ');
+
+    let rewritten = 0;
+    let lastId = 0;
+
+    for (;;) {
+        const rows = await db.query(`
+            SELECT id, ${ENCRYPTED_EMPLOYEE_FIELDS.join(', ')}
+            FROM users
+            WHERE id > $2 AND (${outdated})
+            ORDER BY id ASC
+            LIMIT $3
+        `, [activePrefix, lastId, batchSize]);
+
+        if (rows.rows.length === 0) {
+            return rewritten;
+        }
+
+        if (!activeKeyId) {
+            throw new Error('Field encryption is not configured (FIELD_ENCRYPTION_KEYS)');
+        }
+
+        for (const row of rows.rows) {
+            const values = ENCRYPTED_EMPLOYEE_FIELDS.map(field => (needsReencryption(row[field]) ? encrypt(decrypt(row[field])) : row[field]));
+            const assignments = ENCRYPTED_EMPLOYEE_FIELDS.map((field, index) => `${field} = $${index + 1}`).join(', ');
+
+            await db.query(
+                `UPDATE users SET ${assignments} WHERE id = $${ENCRYPTED_EMPLOYEE_FIELDS.length + 1}`,
+                [...values, row.id]
+            );
+
+            lastId = row.id;
+            rewritten++;
+        }
+    }
+};
+
+module.exports = {
+    ENCRYPTED_EMPLOYEE_FIELDS,
+    reloadKeys,
+    isEncrypted,
+    keyIdOf,
+    encrypt,
+    decrypt,
+    needsReencryption,
+    maskValue,
+    encryptEmployeeFields,
+    presentEmployeeFields,
+    reencryptEmployees
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { allowedFileTypesFor } = require('../config/documentTypes');
+const { scanFile } = require('./virusScan');
+
+// File types recognised from their content. The first MIME type is the one
+// stored; the others are accepted as the client-declared type.
+const FILE_TYPES = {
+    pdf: { mimeTypes: ['application/pdf'], extensions: ['.pdf'] },
+    doc: { mimeTypes: ['application/msword'], extensions: ['.doc'] },
+    docx: {
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extensions: ['.docx']
+    },
+    jpeg: { mimeTypes: ['image/jpeg', 'image/pjpeg'], extensions: ['.jpg', '.jpeg'] },
+    png: { mimeTypes: ['image/png'], extensions: ['.png'] }
+};
+
+// Every MIME type a client may declare for an upload
+const UPLOAD_MIME_TYPES = Object.values(FILE_TYPES).flatMap(fileType => fileType.mimeTypes);
+
+// What to do with files containing active content (scripts, macros,
+// embedded objects): 'flag' keeps them with content_warnings, 'reject'
+// refuses the upload
+const ACTIVE_CONTENT_POLICY = process.env.ACTIVE_CONTENT_POLICY === 'reject' ? 'reject' : 'flag';
+
+const PDF_ACTIVE_CONTENT = [
+    { pattern: /\/(JavaScript|JS)\b/, warning: 'javascript' },
+    { pattern: /\/Launch\b/, warning: 'launch_action' },
+    { pattern: /\/EmbeddedFiles?\b/, warning: 'embedded_file' },
+    { pattern: /\/RichMedia\b/, warning: 'rich_media' },
+    { pattern: /\/XFA\b/, warning: 'xfa_form' }
+];
+
+// OOXML part names (stored uncompressed in the ZIP headers)
+const DOCX_ACTIVE_CONTENT = [
+    { marker: 'vbaProject.bin', warning: 'macros' },
+    { marker: 'word/activeX/', warning: 'activex' },
+    { marker: 'word/embeddings/', warning: 'embedded_object' }
+];
+
+// OLE2 storage names (UTF-16LE directory entries)
+const DOC_ACTIVE_CONTENT = [
+    { marker: 'Macros', warning: 'macros' },
+    { marker: '_VBA_PROJECT', warning: 'macros' },
+    { marker: 'ObjectPool', warning: 'embedded_object' }
+];
+
+class UploadRejectedError extends Error {
+    constructor(message, status = 415) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const startsWith = (buffer, bytes) => buffer.subarray(0, bytes.length).equals(Buffer.from(bytes));
+
+// Executables and scripts, never accepted whatever else the file contains
+const EXECUTABLE_SIGNATURES = [
+    [0x4D, 0x5A], // MZ (Windows PE)
+    [0x7F, 0x45, 0x4C, 0x46], // ELF
+    [0xFE, 0xED, 0xFA, 0xCE], // Mach-O 32-bit
+    [0xFE, 0xED, 0xFA, 0xCF], // Mach-O 64-bit
+    [0xCE, 0xFA, 0xED, 0xFE],
+    [0xCF, 0xFA, 0xED, 0xFE],
+    [0xCA, 0xFE, 0xBA, 0xBE], // Mach-O universal / Java class
+    [0x23, 0x21] // #! script
+];
+
+// A PDF header at the start, after at most a UTF-8 BOM and whitespace
+const isPdf = (buffer) => {
+    let offset = startsWith(buffer, [0xEF, 0xBB, 0xBF]) ? 3 : 0;
+    while (offset < buffer.length && [0x09, 0x0A, 0x0C, 0x0D, 0x20].includes(buffer[offset])) {
+        offset++;
+    }
+    return buffer.subarray(offset, offset + 5).toString('latin1') === '%PDF-';
+};
+
+// File type (a FILE_TYPES key) from the magic bytes, or null
+const detectFileType = (buffer) => {
+    if (EXECUTABLE_SIGNATURES.some(signature => startsWith(buffer, signature))) {
+        return null;
+    }
+    if (isPdf(buffer)) {
+        return 'pdf';
+    }
+    if (startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+        return buffer.includes(Buffer.from('WordDocument', 'utf16le')) ? 'doc' : null;
+    }
+    if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04])) {
+        return buffer.includes('[Content_Types].xml') && buffer.includes('word/document.xml') ? 'docx' : null;
+    }
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) {
+        return 'jpeg';
+    }
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        return 'png';
+    }
+    return null;
+};
+
+// Kinds of active content found in a file (empty when none)
+const findActiveContent = (fileType, buffer) => {
+    let found = [];
+
+    if (fileType === 'pdf') {
+        // Undo #xx escapes in names (/J#61vaScript) before matching
+        const text = buffer.toString('latin1')
+            .replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+        found = PDF_ACTIVE_CONTENT.filter(({ pattern }) => pattern.test(text));
+    } else if (fileType === 'docx') {
+        found = DOCX_ACTIVE_CONTENT.filter(({ marker }) => buffer.includes(marker));
+    } else if (fileType === 'doc') {
+        found = DOC_ACTIVE_CONTENT.filter(({ marker }) => buffer.includes(Buffer.from(marker, 'utf16le')));
+    }
+
+    return [...new Set(found.map(({ warning }) => warning))];
+};
+
+// File type of a stored document from its MIME type
+const fileTypeForMime = (mimeType) => Object.keys(FILE_TYPES)
+    .find(fileType => FILE_TYPES[fileType].mimeTypes.includes(mimeType)) || null;
+
+// Verify an uploaded (multer disk) file before it is stored: the content must
+// match the declared MIME type and extension and be allowed for the document
+// type, and it must pass the virus scan. Returns
+// { fileType, mimeType, checksum, contentWarnings }.
+const inspectUpload = async (file, documentType) => {
+    const buffer = await fs.promises.readFile(file.path);
+    const fileType = detectFileType(buffer);
+
+    if (!fileType) {
+        throw new UploadRejectedError('The file content is not a supported document type');
+    }
+
+    const { mimeTypes, extensions } = FILE_TYPES[fileType];
+
+    if (!mimeTypes.includes(file.mimetype) || !extensions.includes(path.extname(file.originalname).toLowerCase())) {
+        throw new UploadRejectedError(`The file content (${fileType}) does not match its name or declared type`);
+    }
+
+    const allowed = allowedFileTypesFor(documentType);
+    if (!allowed.includes(fileType)) {
+        throw new UploadRejectedError(`Documents of type "${documentType}" must be one of: ${allowed.join(', ')}`);
+    }
+
+    const contentWarnings = findActiveContent(fileType, buffer);
+    if (contentWarnings.length > 0 && ACTIVE_CONTENT_POLICY === 'reject') {
+        throw new UploadRejectedError(`The file contains active content (${contentWarnings.join(', ')})`, 422);
+    }
+
+    let scan;
+    try {
+        scan = await scanFile(file.path);
+    } catch (error) {
+        console.error('Virus scan error:', error);
+        throw new UploadRejectedError('The file could not be scanned for viruses, please try again later', 503);
+    }
+
+    if (scan.infected) {
+        console.warn(`Upload rejected, virus found: ${scan.signature} (${file.originalname})`);
+        throw new UploadRejectedError('The file was rejected by the virus scanner', 422);
+    }
+
+    return {
+        fileType,
+        mimeType: mimeTypes[0],
+        checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+        contentWarnings
+    };
+};
+
+module.exports = {
+    FILE_TYPES,
+    UPLOAD_MIME_TYPES,
+    UploadRejectedError,
+    detectFileType,
+    findActiveContent,
+    fileTypeForMime,
+    inspectUpload
+};
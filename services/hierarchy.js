@@ -0,0 +1,165 @@
+const pool = require('../config/database');
+
+// Deepest reporting chain followed when walking the hierarchy
+const MAX_DEPTH = 20;
+
+// Subquery selecting the ids of everyone reporting (directly or indirectly)
+// to the user id in parameter $paramIndex, including that user. The path
+// guard keeps it finite even if bad data ever forms a cycle.
+const reportsSubquery = (paramIndex) => `
+    WITH RECURSIVE reports AS (
+        SELECT id, ARRAY[id] as path FROM users WHERE id = $${paramIndex}
+        UNION ALL
+        SELECT u.id, r.path || u.id
+        FROM users u
+        JOIN reports r ON u.reporting_manager_id = r.id
+        WHERE NOT u.id = ANY(r.path) AND array_length(r.path, 1) <= ${MAX_DEPTH}
+    )
+    SELECT id FROM reports
+`;
+
+// Resolve an employee's reporting manager
+const getManager = async (userId) => {
+    const result = await pool.query(`
+        SELECT m.id, m.name, m.email
+        FROM users u
+        JOIN users m ON u.reporting_manager_id = m.id
+        WHERE u.id = $1
+    `, [userId]);
+
+    return result.rows[0] || null;
+};
+
+// Direct and indirect reports of a manager, up to `depth` levels down
+const getReports = async (managerId, depth) => {
+    const result = await pool.query(`
+        WITH RECURSIVE reports AS (
+            SELECT id, reporting_manager_id, 1 as level, ARRAY[reporting_manager_id, id] as path
+            FROM users
+            WHERE reporting_manager_id = $1
+            UNION ALL
+            SELECT u.id, u.reporting_manager_id, r.level + 1, r.path || u.id
+            FROM users u
+            JOIN reports r ON u.reporting_manager_id = r.id
+            WHERE r.level < $2 AND NOT u.id = ANY(r.path)
+        )
+        SELECT
+            u.id,
+            u.employee_id,
+            u.name,
+            u.email,
+            u.position,
+            u.department,
+            u.team,
+            u.employee_status,
+            r.reporting_manager_id,
+            r.level
+        FROM reports r
+        JOIN users u ON r.id = u.id
+        ORDER BY r.level ASC, u.name ASC
+    `, [managerId, Math.min(depth, MAX_DEPTH)]);
+
+    return result.rows;
+};
+
+// Whether making managerId the manager of userId would close a reporting loop,
+// i.e. userId is the manager itself or one of its (indirect) managers
+const wouldCreateCycle = async (userId, managerId, db = pool) => {
+    if (String(userId) === String(managerId)) {
+        return true;
+    }
+
+    const result = await db.query(`
+        WITH RECURSIVE chain AS (
+            SELECT id, reporting_manager_id, ARRAY[id] as path FROM users WHERE id = $1
+            UNION ALL
+            SELECT u.id, u.reporting_manager_id, c.path || u.id
+            FROM users u
+            JOIN chain c ON u.id = c.reporting_manager_id
+            WHERE NOT u.id = ANY(c.path)
+        )
+        SELECT 1 FROM chain WHERE id = $2 LIMIT 1
+    `, [managerId, userId]);
+
+    return result.rows.length > 0;
+};
+
+// Resolve a manager given as reporting_manager_id or (legacy) as a name or
+// email in reporting_manager. Returns { error } or { manager } (null to clear).
+const resolveManager = async ({ reporting_manager_id, reporting_manager }, db = pool) => {
+    if (reporting_manager_id !== undefined && reporting_manager_id !== null && reporting_manager_id !== '') {
+        const result = await db.query('SELECT id, name FROM users WHERE id = $1', [reporting_manager_id]);
+        return result.rows.length > 0 ? { manager: result.rows[0] } : { error: 'Reporting manager not found' };
+    }
+
+    if (reporting_manager_id === undefined && reporting_manager) {
+        const result = await db.query(`
+            SELECT id, name FROM users
+            WHERE LOWER(TRIM($1)) IN (LOWER(name), LOWER(email))
+            ORDER BY employee_status = 'active' DESC, id ASC
+            LIMIT 1
+        `, [reporting_manager]);
+        return result.rows.length > 0
+            ? { manager: result.rows[0] }
+            : { error: `Unknown reporting manager "${reporting_manager}"` };
+    }
+
+    return { manager: null };
+};
+
+// Nested org chart of all employees that are not terminated. Employees whose
+// manager is missing or terminated become roots.
+const getOrgChart = async (rootId = null) => {
+    const result = await pool.query(`
+        SELECT id, employee_id, name, position, department, team, reporting_manager_id
+        FROM users
+        WHERE employee_status <> 'terminated'
+        ORDER BY name ASC
+    `);
+
+    const nodes = new Map(result.rows.map(row => [String(row.id), { ...row, reports: [] }]));
+    const roots = [];
+
+    nodes.forEach(node => {
+        const manager = node.reporting_manager_id ? nodes.get(String(node.reporting_manager_id)) : null;
+        if (manager) {
+            manager.reports.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    // Employees on a reporting loop are never reached from a root; cut the
+    // loop and show them as roots so the tree stays finite
+    const reachable = new Set();
+    const visit = (node) => {
+        reachable.add(node);
+        node.reports.forEach(visit);
+    };
+    roots.forEach(visit);
+
+    nodes.forEach(node => {
+        if (!reachable.has(node)) {
+            const manager = nodes.get(String(node.reporting_manager_id));
+            manager.reports = manager.reports.filter(report => report !== node);
+            roots.push(node);
+            visit(node);
+        }
+    });
+
+    if (rootId !== null) {
+        const root = nodes.get(String(rootId));
+        return root ? [root] : null;
+    }
+
+    return roots;
+};
+
+module.exports = {
+    reportsSubquery,
+    getManager,
+    getReports,
+    wouldCreateCycle,
+    resolveManager,
+    getOrgChart
+};
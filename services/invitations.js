@@ -0,0 +1,81 @@
+const pool = require('../config/database');
+const { generateToken, hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+// Invitation links are valid for this many hours
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS) || 72;
+
+// Revoke the user's outstanding invitations; returns how many were revoked
+const revokeInvitations = async (userId, db = pool) => {
+    const result = await db.query(`
+        UPDATE employee_invitations SET revoked_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+    `, [userId]);
+
+    return result.rowCount;
+};
+
+// Issue a new invitation (replacing any outstanding one). Returns the plain
+// token, which only ever leaves the server in the invitation email.
+const createInvitation = async (userId, invitedBy, db = pool) => {
+    await revokeInvitations(userId, db);
+
+    const token = generateToken();
+    const result = await db.query(`
+        INSERT INTO employee_invitations (user_id, token_hash, expires_at, invited_by)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 hour', $4)
+        RETURNING id, expires_at
+    `, [userId, hashToken(token), INVITATION_TTL_HOURS, invitedBy || null]);
+
+    return { token, ...result.rows[0] };
+};
+
+// Email the activation link. Delivery failures are logged, not thrown.
+const sendInvitation = (employee, token) => {
+    const activationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/activate?token=${encodeURIComponent(token)}`;
+
+    return sendMail({
+        to: employee.email,
+        subject: 'Activate your account',
+        text: `Hello ${employee.first_name || employee.name},\n\n` +
+            'An account has been created for you. Use the link below to choose your password and activate it. ' +
+            `The link expires in ${INVITATION_TTL_HOURS} hours.\n\n` +
+            `${activationUrl}\n\n` +
+            'If you were not expecting this email, you can ignore it.'
+    }).catch(error => console.error('Invitation mail error:', error));
+};
+
+// Latest invitation of a user, without the token
+const getLatestInvitation = async (userId) => {
+    const result = await pool.query(`
+        SELECT
+            i.id,
+            i.invited_by,
+            u.name as invited_by_name,
+            i.created_at,
+            i.expires_at,
+            i.accepted_at,
+            i.revoked_at,
+            CASE
+                WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+                WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+                WHEN i.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+                ELSE 'pending'
+            END as status
+        FROM employee_invitations i
+        LEFT JOIN users u ON i.invited_by = u.id
+        WHERE i.user_id = $1
+        ORDER BY i.created_at DESC, i.id DESC
+        LIMIT 1
+    `, [userId]);
+
+    return result.rows[0] || null;
+};
+
+module.exports = {
+    INVITATION_TTL_HOURS,
+    revokeInvitations,
+    createInvitation,
+    sendInvitation,
+    getLatestInvitation
+};
@@ -0,0 +1,245 @@
+const moment = require('moment');
+const pool = require('../config/database');
+const { WORKING_DAYS } = require('../config/workingTime');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+const LEAVE_TYPES = ['vacation', 'sick', 'unpaid', 'special'];
+
+// Leave types that count as fulfilled working time
+const PAID_LEAVE_TYPES = ['vacation', 'sick', 'special'];
+
+// Unused vacation carried into the next year, capped at this many days and
+// forfeited if not taken by the given date (MM-DD) of the next year
+const CARRY_OVER_MAX_DAYS = parseFloat(process.env.LEAVE_CARRY_OVER_MAX_DAYS || '5');
+const CARRY_OVER_EXPIRES = process.env.LEAVE_CARRY_OVER_EXPIRES || '03-31';
+
+// How many previous years to walk back when computing carry-over
+const MAX_CARRY_OVER_YEARS = 10;
+
+const roundToHalfDay = (days) => Math.round(days * 2) / 2;
+
+// Expand a leave request into its working days: Map of date => fraction (1 or 0.5)
+const expandLeaveDays = ({ start_date, end_date, start_half_day, end_half_day }) => {
+    const days = new Map();
+    const start = moment(start_date, DATE_FORMAT);
+    const end = moment(end_date, DATE_FORMAT);
+
+    for (const date = start.clone(); !date.isAfter(end, 'day'); date.add(1, 'day')) {
+        if (!WORKING_DAYS.includes(date.isoWeekday())) {
+            continue;
+        }
+
+        const isFirst = date.isSame(start, 'day');
+        const isLast = date.isSame(end, 'day');
+        const halfDay = (isFirst && start_half_day) || (isLast && end_half_day);
+
+        days.set(date.format(DATE_FORMAT), halfDay ? 0.5 : 1);
+    }
+
+    return days;
+};
+
+const countLeaveDays = (request) => [...expandLeaveDays(request).values()].reduce((sum, fraction) => sum + fraction, 0);
+
+// Sum the leave days of the given requests that fall into a year
+const daysInYear = (requests, year) => requests.reduce((sum, request) => {
+    let total = sum;
+    expandLeaveDays(request).forEach((fraction, date) => {
+        if (date.startsWith(`${year}-`)) {
+            total += fraction;
+        }
+    });
+    return total;
+}, 0);
+
+// Full calendar months of the year covered by the contract
+const fullMonthsEmployed = (employee, year) => {
+    let months = 0;
+
+    for (let month = 0; month < 12; month++) {
+        const monthStart = moment({ year, month, day: 1 });
+        const monthEnd = monthStart.clone().endOf('month');
+        const startedBefore = !employee.contract_start || !moment(employee.contract_start, DATE_FORMAT).isAfter(monthStart, 'day');
+        const endsAfter = !employee.contract_end || !moment(employee.contract_end, DATE_FORMAT).isBefore(monthEnd, 'day');
+
+        if (startedBefore && endsAfter) {
+            months++;
+        }
+    }
+
+    return months;
+};
+
+// Yearly vacation entitlement, pro-rated to the months under contract
+const computeEntitlement = (employee, year) => {
+    const annualDays = parseFloat(employee.paid_vacation) || 0;
+    return roundToHalfDay(annualDays * fullMonthsEmployed(employee, year) / 12);
+};
+
+const loadEmployee = async (userId, db) => {
+    const result = await db.query(`
+        SELECT
+            id,
+            paid_vacation,
+            to_char(COALESCE(contract_start_at, hired_at), 'YYYY-MM-DD') as contract_start,
+            to_char(contract_end_at, 'YYYY-MM-DD') as contract_end
+        FROM users
+        WHERE id = $1
+    `, [userId]);
+
+    return result.rows[0] || null;
+};
+
+const loadVacationRequests = async (userId, year, statuses, db) => {
+    const result = await db.query(`
+        SELECT
+            id,
+            status,
+            to_char(start_date, 'YYYY-MM-DD') as start_date,
+            to_char(end_date, 'YYYY-MM-DD') as end_date,
+            start_half_day,
+            end_half_day
+        FROM leave_requests
+        WHERE user_id = $1
+          AND leave_type = 'vacation'
+          AND status = ANY($2)
+          AND start_date <= make_date($3, 12, 31)
+          AND end_date >= make_date($3, 1, 1)
+    `, [userId, statuses, year]);
+
+    return result.rows;
+};
+
+const calculateBalance = async (employee, year, asOf, depth, db) => {
+    const override = await db.query(
+        'SELECT entitled_days, carried_over_days FROM leave_entitlements WHERE user_id = $1 AND year = $2',
+        [employee.id, year]
+    );
+    const stored = override.rows[0] || {};
+
+    const entitled = stored.entitled_days !== null && stored.entitled_days !== undefined
+        ? parseFloat(stored.entitled_days)
+        : computeEntitlement(employee, year);
+
+    // Carry over what was left at the end of the previous year
+    let carriedOver = 0;
+    if (stored.carried_over_days !== null && stored.carried_over_days !== undefined) {
+        carriedOver = parseFloat(stored.carried_over_days);
+    } else {
+        const contractStartYear = employee.contract_start ? moment(employee.contract_start, DATE_FORMAT).year() : year;
+        if (year > contractStartYear && depth < MAX_CARRY_OVER_YEARS) {
+            const previous = await calculateBalance(employee, year - 1, moment({ year: year - 1, month: 11, day: 31 }), depth + 1, db);
+            carriedOver = Math.min(Math.max(previous.remaining_days, 0), CARRY_OVER_MAX_DAYS);
+        }
+    }
+
+    const requests = await loadVacationRequests(employee.id, year, ['approved', 'pending'], db);
+    const approved = requests.filter(request => request.status === 'approved');
+    const pending = requests.filter(request => request.status === 'pending');
+
+    const takenDays = daysInYear(approved, year);
+    const pendingDays = daysInYear(pending, year);
+
+    // Carried days are used first; whatever is left at the expiry date lapses
+    const carryOverExpiresAt = moment(`${year}-${CARRY_OVER_EXPIRES}`, DATE_FORMAT);
+    let forfeitedDays = 0;
+    if (carriedOver > 0 && asOf.isAfter(carryOverExpiresAt, 'day')) {
+        const takenBeforeExpiry = approved.reduce((sum, request) => {
+            let total = sum;
+            expandLeaveDays(request).forEach((fraction, date) => {
+                if (date.startsWith(`${year}-`) && !moment(date, DATE_FORMAT).isAfter(carryOverExpiresAt, 'day')) {
+                    total += fraction;
+                }
+            });
+            return total;
+        }, 0);
+        forfeitedDays = Math.max(carriedOver - takenBeforeExpiry, 0);
+    }
+
+    const remaining = entitled + carriedOver - forfeitedDays - takenDays;
+
+    return {
+        year,
+        entitled_days: entitled,
+        carried_over_days: carriedOver,
+        carry_over_expires_at: carryOverExpiresAt.format(DATE_FORMAT),
+        forfeited_days: forfeitedDays,
+        taken_days: takenDays,
+        pending_days: pendingDays,
+        remaining_days: remaining,
+        available_days: remaining - pendingDays
+    };
+};
+
+// Vacation balance of an employee for a year, or null if the employee doesn't exist.
+// Pass a transaction client as `db` to read the balance inside a transaction.
+const getLeaveBalance = async (userId, year, db = pool) => {
+    const employee = await loadEmployee(userId, db);
+
+    if (!employee) {
+        return null;
+    }
+
+    const endOfYear = moment({ year, month: 11, day: 31 });
+    const asOf = moment.min(moment(), endOfYear);
+
+    return {
+        user_id: employee.id,
+        annual_days: parseFloat(employee.paid_vacation) || 0,
+        ...(await calculateBalance(employee, year, asOf, 0, db))
+    };
+};
+
+// Paid absences between two dates: Map of date => fraction of the day (0..1)
+const getAbsenceDays = async (userId, from, to) => {
+    const result = await pool.query(`
+        SELECT
+            to_char(start_date, 'YYYY-MM-DD') as start_date,
+            to_char(end_date, 'YYYY-MM-DD') as end_date,
+            start_half_day,
+            end_half_day
+        FROM leave_requests
+        WHERE user_id = $1
+          AND status = 'approved'
+          AND leave_type = ANY($2)
+          AND start_date <= $4
+          AND end_date >= $3
+    `, [userId, PAID_LEAVE_TYPES, from, to]);
+
+    const absences = new Map();
+    result.rows.forEach(request => {
+        expandLeaveDays(request).forEach((fraction, date) => {
+            absences.set(date, Math.min((absences.get(date) || 0) + fraction, 1));
+        });
+    });
+
+    return absences;
+};
+
+// Whether the employee is on approved leave for the whole of the given date
+const isOnFullDayLeave = async (userId, date) => {
+    const result = await pool.query(`
+        SELECT id FROM leave_requests
+        WHERE user_id = $1
+          AND status = 'approved'
+          AND start_date <= $2 AND end_date >= $2
+          AND NOT (start_date = $2 AND start_half_day)
+          AND NOT (end_date = $2 AND end_half_day)
+        LIMIT 1
+    `, [userId, date]);
+
+    return result.rows.length > 0;
+};
+
+module.exports = {
+    LEAVE_TYPES,
+    PAID_LEAVE_TYPES,
+    expandLeaveDays,
+    countLeaveDays,
+    daysInYear,
+    computeEntitlement,
+    getLeaveBalance,
+    getAbsenceDays,
+    isOnFullDayLeave
+};
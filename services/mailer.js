@@ -0,0 +1,109 @@
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+
+// Mail transport from MAIL_TRANSPORT (smtp when only SMTP_HOST is set):
+//   smtp - deliver through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   file - write each message as JSON into MAIL_OUTPUT_DIR (dev and tests)
+//   json - log each message as JSON to the console, with links redacted
+// Mails carry password reset and activation links, so there is no silent
+// fallback: sending fails until a transport is configured.
+const getTransportName = () => {
+    const transport = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+
+    if (!transport) {
+        throw new Error('No mail transport configured: set SMTP_HOST or MAIL_TRANSPORT');
+    }
+
+    return transport;
+};
+
+// Links in mails may carry one-time tokens; never write them to the log
+const redactLinks = (value) => (typeof value === 'string'
+    ? value.replace(/https?:\/\/[^\s"'<>]+/g, '[link redacted]')
+    : value);
+
+const redactMessage = (message) => {
+    const parsed = JSON.parse(message);
+    parsed.text = redactLinks(parsed.text);
+    parsed.html = redactLinks(parsed.html);
+    return JSON.stringify(parsed);
+};
+
+const createTransport = (transport = getTransportName()) => {
+    switch (transport) {
+        case 'smtp':
+            return nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? {
+                    user: process.env.SMTP_USER,
+                    pass: process.env.SMTP_PASS
+                } : undefined
+            });
+        case 'file':
+        case 'json':
+            return nodemailer.createTransport({ jsonTransport: true });
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+    }
+};
+
+let transporter = null;
+
+// Name of the transport in use, so sent messages are handled by what actually
+// sent them and not by whatever the environment says now
+let transporterName = null;
+
+// Allow callers (e.g. tests) to plug in their own nodemailer-compatible transport
+const setTransport = (transport, name = 'custom') => {
+    transporter = transport;
+    transporterName = name;
+};
+
+const getTransport = () => {
+    if (!transporter) {
+        const name = getTransportName();
+        transporter = createTransport(name);
+        transporterName = name;
+    }
+    return transporter;
+};
+
+const writeMessageToFile = (message) => {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || './storage/mail';
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    const filePath = path.join(outputDir, fileName);
+    fs.writeFileSync(filePath, message);
+    return filePath;
+};
+
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+    const info = await getTransport().sendMail({
+        from: process.env.MAIL_FROM || 'Kistr <no-reply@kistr.com>',
+        to,
+        subject,
+        text,
+        html,
+        attachments
+    });
+
+    if (transporterName === 'file' && info.message) {
+        info.filePath = writeMessageToFile(info.message);
+    } else if (transporterName === 'json' && info.message) {
+        console.log('Mail (json transport):', redactMessage(info.message));
+    }
+
+    return info;
+};
+
+module.exports = {
+    createTransport,
+    setTransport,
+    sendMail
+};
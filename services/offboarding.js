@@ -0,0 +1,384 @@
+const moment = require('moment');
+const pool = require('../config/database');
+const { getLeaveBalance } = require('./leave');
+const { getTimeAccount } = require('./timeAccount');
+const { buildTimesheets } = require('./timesheet');
+const { revokeUserSessions } = require('./sessions');
+const { revokeUserTokens } = require('./personalAccessTokens');
+const { recordAudit } = require('./audit');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+const OFFBOARDING_STATUSES = ['scheduled', 'in_progress', 'completed', 'cancelled'];
+const OPEN_STATUSES = ['scheduled', 'in_progress'];
+const TASK_STATUSES = ['open', 'done', 'skipped'];
+
+// Checklist created for every offboarding
+const CHECKLIST = [
+    { key: 'equipment_return', title: 'Collect equipment (laptop, badge, keys)' },
+    { key: 'final_timesheet', title: 'Review and sign off the final timesheet' },
+    { key: 'vacation_payout', title: 'Settle remaining vacation (payout)' }
+];
+
+// Offboardings processed per job run; the rest are picked up by the next run
+const BATCH_SIZE = 100;
+
+const INTERVAL_MINUTES = parseInt(process.env.OFFBOARDING_INTERVAL_MINUTES) || 60;
+
+const OFFBOARDING_COLUMNS = `
+    o.id,
+    o.user_id,
+    u.name as employee,
+    u.employee_id,
+    to_char(o.effective_date, 'YYYY-MM-DD') as effective_date,
+    o.reason,
+    o.status,
+    o.initiated_by,
+    i.name as initiated_by_name,
+    o.access_revoked_at,
+    o.documents_archived_at,
+    o.completed_by,
+    o.completed_at,
+    o.cancelled_at,
+    o.created_at,
+    o.updated_at
+`;
+
+const findOffboarding = async (id, db = pool) => {
+    const result = await db.query(`
+        SELECT ${OFFBOARDING_COLUMNS}, o.exit_summary
+        FROM offboardings o
+        JOIN users u ON o.user_id = u.id
+        LEFT JOIN users i ON o.initiated_by = i.id
+        WHERE o.id = $1
+    `, [id]);
+
+    return result.rows[0] || null;
+};
+
+const listTasks = async (offboardingId, db = pool) => {
+    const result = await db.query(`
+        SELECT t.id, t.task_key, t.title, t.status, t.note, t.completed_by, c.name as completed_by_name, t.completed_at
+        FROM offboarding_tasks t
+        LEFT JOIN users c ON t.completed_by = c.id
+        WHERE t.offboarding_id = $1
+        ORDER BY t.position ASC, t.id ASC
+    `, [offboardingId]);
+
+    return result.rows;
+};
+
+// What is owed at the end: remaining vacation, working-time balance and the
+// final month's timesheet totals
+const calculateSettlement = async (userId, effectiveDate) => {
+    const effective = moment(effectiveDate, DATE_FORMAT);
+    const month = effective.format('YYYY-MM');
+
+    const [vacation, timeAccount, timesheets] = await Promise.all([
+        getLeaveBalance(userId, effective.year()),
+        getTimeAccount(userId, { from: effective.clone().startOf('month').format(DATE_FORMAT), to: effectiveDate }),
+        buildTimesheets([userId], month)
+    ]);
+
+    return {
+        vacation: vacation ? {
+            year: vacation.year,
+            entitled_days: vacation.entitled_days,
+            taken_days: vacation.taken_days,
+            pending_days: vacation.pending_days,
+            remaining_days: vacation.remaining_days,
+            payout_days: Math.max(vacation.remaining_days, 0)
+        } : null,
+        time_account: timeAccount ? {
+            balance_minutes: timeAccount.closing_balance_minutes
+        } : null,
+        final_timesheet: timesheets.length > 0 ? {
+            month,
+            totals: timesheets[0].totals
+        } : null
+    };
+};
+
+// Schedule an employee's termination and create the checklist. Returns the
+// offboarding id. The contract end date is set to the effective date.
+const startOffboarding = async (req, userId, { effectiveDate, reason }) => {
+    const client = await pool.connect();
+    let before;
+    let after;
+    let offboardingId;
+
+    try {
+        await client.query('BEGIN');
+
+        const employee = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        before = employee.rows[0];
+
+        const offboarding = await client.query(`
+            INSERT INTO offboardings (user_id, effective_date, reason, initiated_by, previous_contract_end_at)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id
+        `, [userId, effectiveDate, reason || null, req.user.id, before.contract_end_at]);
+        offboardingId = offboarding.rows[0].id;
+
+        for (const [position, task] of CHECKLIST.entries()) {
+            await client.query(`
+                INSERT INTO offboarding_tasks (offboarding_id, task_key, title, position)
+                VALUES ($1, $2, $3, $4)
+            `, [offboardingId, task.key, task.title, position]);
+        }
+
+        const updated = await client.query(`
+            UPDATE users SET contract_end_at = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING *
+        `, [effectiveDate, userId]);
+        after = updated.rows[0];
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await recordAudit(req, {
+        action: 'update',
+        entityType: 'employee',
+        entityId: userId,
+        subjectUserId: userId,
+        before,
+        after
+    });
+
+    return offboardingId;
+};
+
+// Terminate the employee of a scheduled offboarding whose effective date has
+// come: mark them terminated and revoke all sessions and access tokens.
+// Returns false if the offboarding isn't due (or another run has it).
+const processOffboarding = async (id, req = null) => {
+    const client = await pool.connect();
+    let before;
+    let after;
+
+    try {
+        await client.query('BEGIN');
+
+        const offboarding = await client.query(`
+            SELECT id, user_id FROM offboardings
+            WHERE id = $1 AND status = 'scheduled' AND effective_date <= CURRENT_DATE
+            FOR UPDATE SKIP LOCKED
+        `, [id]);
+
+        if (offboarding.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+
+        const userId = offboarding.rows[0].user_id;
+
+        const employee = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [userId]);
+        before = employee.rows[0];
+
+        const updated = await client.query(`
+            UPDATE users SET employee_status = 'terminated', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [userId]);
+        after = updated.rows[0];
+
+        await revokeUserSessions(userId, 'offboarding', client);
+        await revokeUserTokens(userId, client);
+
+        await client.query(`
+            UPDATE offboardings SET status = 'in_progress', access_revoked_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [id]);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await recordAudit(req, {
+        action: 'update',
+        entityType: 'employee',
+        entityId: after.id,
+        subjectUserId: after.id,
+        before,
+        after
+    });
+
+    return true;
+};
+
+// Scheduled job: process offboardings that have reached their effective date
+const processDueOffboardings = async () => {
+    const due = await pool.query(`
+        SELECT id FROM offboardings
+        WHERE status = 'scheduled' AND effective_date <= CURRENT_DATE
+        ORDER BY effective_date ASC, id ASC
+        LIMIT $1
+    `, [BATCH_SIZE]);
+
+    let processed = 0;
+    for (const { id } of due.rows) {
+        try {
+            if (await processOffboarding(id)) {
+                processed++;
+            }
+        } catch (error) {
+            console.error(`Offboarding ${id} failed:`, error);
+        }
+    }
+
+    return processed;
+};
+
+// Cancel a scheduled offboarding and restore the previous contract end date
+const cancelOffboarding = async (req, offboarding) => {
+    const client = await pool.connect();
+    let before;
+    let after;
+
+    try {
+        await client.query('BEGIN');
+
+        const cancelled = await client.query(`
+            UPDATE offboardings SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'scheduled'
+            RETURNING previous_contract_end_at
+        `, [offboarding.id]);
+
+        if (cancelled.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+
+        const employee = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [offboarding.user_id]);
+        before = employee.rows[0];
+
+        const updated = await client.query(`
+            UPDATE users SET contract_end_at = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING *
+        `, [cancelled.rows[0].previous_contract_end_at, offboarding.user_id]);
+        after = updated.rows[0];
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await recordAudit(req, {
+        action: 'update',
+        entityType: 'employee',
+        entityId: offboarding.user_id,
+        subjectUserId: offboarding.user_id,
+        before,
+        after
+    });
+
+    return true;
+};
+
+// Complete an offboarding: archive the employee's documents and store the
+// exit summary. Returns the summary, or null if the offboarding isn't in progress.
+const completeOffboarding = async (req, offboarding) => {
+    const [settlement, tasks, employee] = await Promise.all([
+        calculateSettlement(offboarding.user_id, offboarding.effective_date),
+        listTasks(offboarding.id),
+        pool.query(`
+            SELECT id, employee_id, name, email, position, department, team,
+                   to_char(COALESCE(contract_start_at, hired_at), 'YYYY-MM-DD') as contract_start
+            FROM users WHERE id = $1
+        `, [offboarding.user_id])
+    ]);
+
+    const client = await pool.connect();
+    let summary;
+
+    try {
+        await client.query('BEGIN');
+
+        const locked = await client.query(
+            `SELECT id FROM offboardings WHERE id = $1 AND status = 'in_progress' FOR UPDATE`,
+            [offboarding.id]
+        );
+
+        if (locked.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const archived = await client.query(`
+            UPDATE employee_documents SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND status <> 'archived'
+            RETURNING id
+        `, [offboarding.user_id]);
+
+        const { contract_start, ...profile } = employee.rows[0];
+
+        summary = {
+            employee: profile,
+            contract_start,
+            effective_date: offboarding.effective_date,
+            tenure_days: contract_start
+                ? moment(offboarding.effective_date, DATE_FORMAT).diff(moment(contract_start, DATE_FORMAT), 'days') + 1
+                : null,
+            reason: offboarding.reason,
+            access_revoked_at: offboarding.access_revoked_at,
+            ...settlement,
+            checklist: tasks.map(task => ({
+                task: task.task_key,
+                title: task.title,
+                status: task.status,
+                note: task.note,
+                completed_by: task.completed_by_name,
+                completed_at: task.completed_at
+            })),
+            documents_archived: archived.rowCount,
+            completed_by: req.user.name,
+            completed_at: new Date().toISOString()
+        };
+
+        await client.query(`
+            UPDATE offboardings
+            SET status = 'completed', exit_summary = $1, documents_archived_at = CURRENT_TIMESTAMP,
+                completed_by = $2, completed_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+        `, [JSON.stringify(summary), req.user.id, offboarding.id]);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return summary;
+};
+
+module.exports = {
+    OFFBOARDING_STATUSES,
+    OPEN_STATUSES,
+    TASK_STATUSES,
+    INTERVAL_MINUTES,
+    OFFBOARDING_COLUMNS,
+    findOffboarding,
+    listTasks,
+    calculateSettlement,
+    startOffboarding,
+    processOffboarding,
+    processDueOffboardings,
+    cancelOffboarding,
+    completeOffboarding
+};
@@ -0,0 +1,175 @@
+const moment = require('moment');
+const pool = require('../config/database');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Who is responsible for a task ("it" tasks are handled by HR staff in the app)
+const TASK_OWNERS = ['hr', 'it', 'manager', 'employee'];
+const TASK_STATUSES = ['open', 'done', 'skipped'];
+
+const findTemplate = async (id, db = pool) => {
+    const template = await db.query(`
+        SELECT id, name, description, onboarding_type, employment_type, is_active, created_at, updated_at
+        FROM onboarding_templates
+        WHERE id = $1
+    `, [id]);
+
+    if (template.rows.length === 0) {
+        return null;
+    }
+
+    const tasks = await db.query(`
+        SELECT id, title, description, owner, due_offset_days, required_document_type, position
+        FROM onboarding_template_tasks
+        WHERE template_id = $1
+        ORDER BY position ASC, id ASC
+    `, [id]);
+
+    return { ...template.rows[0], tasks: tasks.rows };
+};
+
+// Most specific active template for an employee: matching onboarding type
+// beats matching employment type, which beats a catch-all template
+const findTemplateFor = async (employee, db = pool) => {
+    const result = await db.query(`
+        SELECT id FROM onboarding_templates
+        WHERE is_active
+          AND (onboarding_type IS NULL OR LOWER(onboarding_type) = LOWER($1))
+          AND (employment_type IS NULL OR employment_type = $2)
+        ORDER BY (onboarding_type IS NOT NULL) DESC, (employment_type IS NOT NULL) DESC, id ASC
+        LIMIT 1
+    `, [employee.onboarding_type || '', employee.employment_type]);
+
+    return result.rows.length > 0 ? findTemplate(result.rows[0].id, db) : null;
+};
+
+// Replace a template's task list
+const saveTemplateTasks = async (templateId, tasks, db) => {
+    await db.query('DELETE FROM onboarding_template_tasks WHERE template_id = $1', [templateId]);
+
+    for (const [position, task] of tasks.entries()) {
+        await db.query(`
+            INSERT INTO onboarding_template_tasks (template_id, title, description, owner, due_offset_days, required_document_type, position)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [
+            templateId,
+            task.title,
+            task.description || null,
+            task.owner,
+            task.due_offset_days || 0,
+            task.required_document_type || null,
+            position
+        ]);
+    }
+};
+
+// Create an employee's checklist from a template (the given one or the best
+// match). Returns the onboarding id, or null if no template applies.
+const createOnboarding = async (employee, templateId = null, db = pool) => {
+    const template = templateId ? await findTemplate(templateId, db) : await findTemplateFor(employee, db);
+
+    if (!template) {
+        return null;
+    }
+
+    const startValue = employee.contract_start_at || employee.hired_at;
+    const startDate = startValue ? moment(startValue) : moment();
+
+    const onboarding = await db.query(`
+        INSERT INTO onboardings (user_id, template_id, template_name, start_date)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+    `, [employee.id, template.id, template.name, startDate.format(DATE_FORMAT)]);
+    const onboardingId = onboarding.rows[0].id;
+
+    for (const task of template.tasks) {
+        await db.query(`
+            INSERT INTO onboarding_tasks (onboarding_id, title, description, owner, due_date, required_document_type, position)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [
+            onboardingId,
+            task.title,
+            task.description,
+            task.owner,
+            startDate.clone().add(task.due_offset_days, 'days').format(DATE_FORMAT),
+            task.required_document_type,
+            task.position
+        ]);
+    }
+
+    return onboardingId;
+};
+
+// Employee's checklist with progress, or null if they have none
+const getOnboarding = async (userId, db = pool) => {
+    const onboarding = await db.query(`
+        SELECT o.id, o.user_id, u.name as employee, o.template_id, o.template_name,
+               to_char(o.start_date, 'YYYY-MM-DD') as start_date, o.status, o.completed_at, o.created_at
+        FROM onboardings o
+        JOIN users u ON o.user_id = u.id
+        WHERE o.user_id = $1
+    `, [userId]);
+
+    if (onboarding.rows.length === 0) {
+        return null;
+    }
+
+    const tasks = await db.query(`
+        SELECT
+            t.id,
+            t.title,
+            t.description,
+            t.owner,
+            to_char(t.due_date, 'YYYY-MM-DD') as due_date,
+            (t.status = 'open' AND t.due_date < CURRENT_DATE) as overdue,
+            t.required_document_type,
+            t.document_id,
+            t.status,
+            t.note,
+            t.completed_by,
+            c.name as completed_by_name,
+            t.completed_at
+        FROM onboarding_tasks t
+        LEFT JOIN users c ON t.completed_by = c.id
+        WHERE t.onboarding_id = $1
+        ORDER BY t.position ASC, t.id ASC
+    `, [onboarding.rows[0].id]);
+
+    const finished = tasks.rows.filter(task => task.status !== 'open').length;
+
+    return {
+        ...onboarding.rows[0],
+        progress: {
+            total: tasks.rows.length,
+            finished,
+            open: tasks.rows.length - finished,
+            overdue: tasks.rows.filter(task => task.overdue).length,
+            percent: tasks.rows.length > 0 ? Math.round(finished * 100 / tasks.rows.length) : 100
+        },
+        tasks: tasks.rows
+    };
+};
+
+// Mark the onboarding completed once no task is open (and reopen it otherwise)
+const refreshOnboardingStatus = async (onboardingId, db = pool) => {
+    await db.query(`
+        UPDATE onboardings o
+        SET status = CASE WHEN open_tasks.count = 0 THEN 'completed' ELSE 'in_progress' END,
+            completed_at = CASE WHEN open_tasks.count = 0 THEN COALESCE(o.completed_at, CURRENT_TIMESTAMP) ELSE NULL END
+        FROM (
+            SELECT COUNT(*) as count FROM onboarding_tasks WHERE onboarding_id = $1 AND status = 'open'
+        ) open_tasks
+        WHERE o.id = $1
+    `, [onboardingId]);
+};
+
+module.exports = {
+    TASK_OWNERS,
+    TASK_STATUSES,
+    findTemplate,
+    findTemplateFor,
+    saveTemplateTasks,
+    createOnboarding,
+    getOnboarding,
+    refreshOnboardingStatus
+};
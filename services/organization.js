@@ -0,0 +1,59 @@
+const pool = require('../config/database');
+
+// Department by name (case-insensitive), or null
+const findDepartmentByName = async (name, db = pool) => {
+    const result = await db.query(
+        'SELECT id, name FROM departments WHERE LOWER(name) = LOWER($1)',
+        [String(name).trim()]
+    );
+
+    return result.rows[0] || null;
+};
+
+// Team by name within a department (case-insensitive), or null
+const findTeamByName = async (name, departmentId, db = pool) => {
+    const result = await db.query(
+        'SELECT id, name, department_id FROM teams WHERE department_id = $1 AND LOWER(name) = LOWER($2)',
+        [departmentId, String(name).trim()]
+    );
+
+    return result.rows[0] || null;
+};
+
+// Check a department/team pair against the departments and teams tables.
+// Returns { error } or { department, team } with the stored spelling
+// (team is null when none was given).
+const resolveDepartmentAndTeam = async ({ department, team }, db = pool) => {
+    if (!department) {
+        return team ? { error: 'A team requires a department' } : { department: null, team: null };
+    }
+
+    const departmentRecord = await findDepartmentByName(department, db);
+    if (!departmentRecord) {
+        return { error: `Unknown department "${department}"` };
+    }
+
+    if (!team) {
+        return { department: departmentRecord.name, team: null };
+    }
+
+    const teamRecord = await findTeamByName(team, departmentRecord.id, db);
+    if (!teamRecord) {
+        return { error: `Team "${team}" does not belong to department "${departmentRecord.name}"` };
+    }
+
+    return { department: departmentRecord.name, team: teamRecord.name };
+};
+
+// Whether a user id exists (for manager and team lead assignments)
+const userExists = async (userId, db = pool) => {
+    const result = await db.query('SELECT id FROM users WHERE id = $1', [userId]);
+    return result.rows.length > 0;
+};
+
+module.exports = {
+    findDepartmentByName,
+    findTeamByName,
+    resolveDepartmentAndTeam,
+    userExists
+};
@@ -0,0 +1,116 @@
+const pool = require('../config/database');
+const { generateToken, hashToken } = require('./tokens');
+
+// personal_access_tokens is polymorphic; all tokens we issue belong to users
+const TOKENABLE_TYPE = 'users';
+
+const parseAbilities = (abilities) => {
+    try {
+        const parsed = JSON.parse(abilities || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+// Whether a token's abilities cover the given ability ('*' grants everything)
+const tokenCan = (abilities, ability) => abilities.includes('*') || abilities.includes(ability);
+
+// Plain-text tokens look like "<id>|<secret>"; only the secret's hash is stored
+const isPersonalAccessToken = (token) => /^\d+\|[A-Za-z0-9_-]+$/.test(token);
+
+const createToken = async (userId, { name, abilities, expiresAt }) => {
+    const secret = generateToken(40);
+
+    const result = await pool.query(`
+        INSERT INTO personal_access_tokens (tokenable_type, tokenable_id, name, token, abilities, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, name, abilities, expires_at, created_at
+    `, [TOKENABLE_TYPE, userId, name, hashToken(secret), JSON.stringify(abilities), expiresAt || null]);
+
+    const record = result.rows[0];
+
+    return {
+        plainTextToken: `${record.id}|${secret}`,
+        token: {
+            ...record,
+            abilities: parseAbilities(record.abilities)
+        }
+    };
+};
+
+// Resolve a plain-text token to its (unexpired) record, or null
+const findToken = async (plainTextToken) => {
+    if (!isPersonalAccessToken(plainTextToken)) {
+        return null;
+    }
+
+    const [id, secret] = plainTextToken.split('|');
+
+    const result = await pool.query(`
+        SELECT id, tokenable_id, name, abilities
+        FROM personal_access_tokens
+        WHERE id = $1 AND token = $2 AND tokenable_type = $3
+          AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    `, [id, hashToken(secret), TOKENABLE_TYPE]);
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    return {
+        ...result.rows[0],
+        abilities: parseAbilities(result.rows[0].abilities)
+    };
+};
+
+// Record usage, at most once a minute per token to avoid a write per request
+const touchToken = (id) => pool.query(`
+    UPDATE personal_access_tokens SET last_used_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')
+`, [id]);
+
+const listTokens = async (userId) => {
+    const result = await pool.query(`
+        SELECT id, name, abilities, last_used_at, expires_at, created_at
+        FROM personal_access_tokens
+        WHERE tokenable_type = $1 AND tokenable_id = $2
+        ORDER BY created_at DESC
+    `, [TOKENABLE_TYPE, userId]);
+
+    return result.rows.map(row => ({
+        ...row,
+        abilities: parseAbilities(row.abilities),
+        expired: row.expires_at !== null && row.expires_at < new Date()
+    }));
+};
+
+const revokeToken = async (id, userId) => {
+    const result = await pool.query(
+        'DELETE FROM personal_access_tokens WHERE id = $1 AND tokenable_type = $2 AND tokenable_id = $3',
+        [id, TOKENABLE_TYPE, userId]
+    );
+
+    return result.rowCount > 0;
+};
+
+// Revoke every token of a user (deactivation, offboarding, ...)
+const revokeUserTokens = async (userId, db = pool) => {
+    const result = await db.query(
+        'DELETE FROM personal_access_tokens WHERE tokenable_type = $1 AND tokenable_id = $2',
+        [TOKENABLE_TYPE, userId]
+    );
+
+    return result.rowCount;
+};
+
+module.exports = {
+    tokenCan,
+    isPersonalAccessToken,
+    createToken,
+    findToken,
+    touchToken,
+    listTokens,
+    revokeToken,
+    revokeUserTokens
+};
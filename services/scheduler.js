@@ -0,0 +1,49 @@
+// Minimal in-process job scheduler. Each job runs on a fixed interval; a run
+// is skipped while the previous one is still in progress.
+const jobs = [];
+
+const runJob = async (job) => {
+    if (job.running) {
+        return;
+    }
+
+    job.running = true;
+    try {
+        await job.task();
+    } catch (error) {
+        console.error(`Scheduled job "${job.name}" failed:`, error);
+    } finally {
+        job.running = false;
+    }
+};
+
+// Register a job; it starts with startScheduler()
+const scheduleJob = (name, intervalMs, task) => {
+    jobs.push({ name, intervalMs, task, running: false, timer: null });
+};
+
+// Start all registered jobs (set JOBS_ENABLED=false to run them elsewhere)
+const startScheduler = () => {
+    if (process.env.JOBS_ENABLED === 'false') {
+        return;
+    }
+
+    jobs.forEach(job => {
+        job.timer = setInterval(() => runJob(job), job.intervalMs);
+        job.timer.unref();
+        runJob(job);
+    });
+};
+
+const stopScheduler = () => {
+    jobs.forEach(job => {
+        clearInterval(job.timer);
+        job.timer = null;
+    });
+};
+
+module.exports = {
+    scheduleJob,
+    startScheduler,
+    stopScheduler
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { generateToken, hashToken } = require('./tokens');
+
+// Lifetime of access tokens (any jsonwebtoken expiresIn value) and refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+    { userId: user.id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const accessTokenExpiresIn = (accessToken) => {
+    const { exp, iat } = jwt.decode(accessToken);
+    return exp - iat;
+};
+
+const insertRefreshToken = async (client, sessionId) => {
+    const refreshToken = generateToken(48);
+
+    await client.query(`
+        INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 day')
+    `, [sessionId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]);
+
+    return refreshToken;
+};
+
+const buildTokenPair = (user, sessionId, refreshToken) => {
+    const accessToken = signAccessToken(user, sessionId);
+
+    return {
+        token: accessToken,
+        refresh_token: refreshToken,
+        token_type: 'Bearer',
+        expires_in: accessTokenExpiresIn(accessToken),
+        session_id: sessionId
+    };
+};
+
+// Start a new session (token family) for a freshly authenticated user
+const createSession = async (user, { ip, userAgent }) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const sessionId = crypto.randomUUID();
+
+        await client.query(`
+            INSERT INTO sessions (id, user_id, ip_address, user_agent, payload, last_activity, expires_at)
+            VALUES ($1, $2, $3, $4, '', EXTRACT(EPOCH FROM CURRENT_TIMESTAMP)::INTEGER,
+                    CURRENT_TIMESTAMP + $5 * INTERVAL '1 day')
+        `, [sessionId, user.id, ip || null, userAgent || null, REFRESH_TOKEN_TTL_DAYS]);
+
+        const refreshToken = await insertRefreshToken(client, sessionId);
+
+        await client.query('COMMIT');
+
+        return buildTokenPair(user, sessionId, refreshToken);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Exchange a refresh token for a new token pair. Presenting an already
+// rotated token revokes the whole session, since it has likely been stolen.
+// Resolves to { tokens } on success or { error } describing the failure.
+const rotateRefreshToken = async (refreshToken, { ip, userAgent }) => {
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(`
+            SELECT
+                rt.id,
+                rt.session_id,
+                rt.used_at,
+                rt.expires_at < CURRENT_TIMESTAMP AS expired,
+                s.revoked_at,
+                u.id AS user_id,
+                u.email,
+                u.employee_status
+            FROM refresh_tokens rt
+            JOIN sessions s ON rt.session_id = s.id
+            JOIN users u ON s.user_id = u.id
+            WHERE rt.token_hash = $1
+            FOR UPDATE OF rt, s
+        `, [hashToken(refreshToken)]);
+
+        if (result.rows.length === 0) {
+            await client.query('COMMIT');
+            return { error: 'invalid' };
+        }
+
+        const token = result.rows[0];
+
+        if (token.used_at) {
+            await revokeSession(token.session_id, 'refresh_token_reuse', null, client);
+            await client.query('COMMIT');
+            return { error: 'reused' };
+        }
+
+        if (token.revoked_at || token.expired || token.employee_status !== 'active') {
+            await client.query('COMMIT');
+            return { error: 'invalid' };
+        }
+
+        await client.query(
+            'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [token.id]
+        );
+
+        await client.query(`
+            UPDATE sessions
+            SET last_activity = EXTRACT(EPOCH FROM CURRENT_TIMESTAMP)::INTEGER,
+                ip_address = COALESCE($2, ip_address),
+                user_agent = COALESCE($3, user_agent)
+            WHERE id = $1
+        `, [token.session_id, ip || null, userAgent || null]);
+
+        const newRefreshToken = await insertRefreshToken(client, token.session_id);
+
+        await client.query('COMMIT');
+
+        return {
+            tokens: buildTokenPair({ id: token.user_id, email: token.email }, token.session_id, newRefreshToken)
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Revoke a single session, optionally only if it belongs to the given user
+const revokeSession = async (sessionId, reason, userId = null, db = pool) => {
+    const result = await db.query(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+        WHERE id = $1 AND revoked_at IS NULL AND ($3::BIGINT IS NULL OR user_id = $3)
+    `, [sessionId, reason, userId]);
+
+    return result.rowCount > 0;
+};
+
+// Revoke every active session of a user (password change, deactivation, ...)
+const revokeUserSessions = async (userId, reason, db = pool) => {
+    const result = await db.query(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+        WHERE user_id = $1 AND revoked_at IS NULL
+    `, [userId, reason]);
+
+    return result.rowCount;
+};
+
+const isSessionActive = async (sessionId, userId) => {
+    const result = await pool.query(`
+        SELECT id FROM sessions
+        WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    `, [sessionId, userId]);
+
+    return result.rows.length > 0;
+};
+
+const listActiveSessions = async (userId) => {
+    const result = await pool.query(`
+        SELECT
+            id,
+            ip_address,
+            user_agent,
+            created_at,
+            TO_TIMESTAMP(last_activity) AS last_activity_at,
+            expires_at
+        FROM sessions
+        WHERE user_id = $1 AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+        ORDER BY last_activity DESC
+    `, [userId]);
+
+    return result.rows;
+};
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    isSessionActive,
+    listActiveSessions
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+// Signed download links are valid for this many seconds
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS) || 300;
+
+const getSecret = () => {
+    const secret = process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('DOWNLOAD_URL_SECRET or JWT_SECRET must be set to sign download URLs');
+    }
+    return secret;
+};
+
+const sign = (documentId, userId, expires) => crypto
+    .createHmac('sha256', getSecret())
+    .update(`document:${documentId}:${userId}:${expires}`)
+    .digest('base64url');
+
+// Query parameters of a short-lived download link for a document, issued
+// to (and logged against) the given user
+const signDownload = (documentId, userId) => {
+    const expires = Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS;
+
+    return {
+        uid: String(userId),
+        expires: String(expires),
+        signature: sign(documentId, userId, expires)
+    };
+};
+
+// Check the uid/expires/signature query parameters of a signed link
+const verifyDownload = (documentId, { uid, expires, signature }) => {
+    if (!uid || !expires || typeof signature !== 'string' || !/^\d+$/.test(expires)) {
+        return false;
+    }
+
+    if (parseInt(expires) < Math.floor(Date.now() / 1000)) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(documentId, uid, expires));
+    const given = Buffer.from(signature);
+
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = {
+    DOWNLOAD_URL_TTL_SECONDS,
+    signDownload,
+    verifyDownload
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Storage backends. Each document row records the driver its file lives in,
+// so files can be moved between backends (scripts/migrateStorage.js).
+//   local - STORAGE_LOCAL_ROOT (default ./uploads)
+//   s3    - S3_BUCKET, S3_REGION, S3_ENDPOINT (e.g. MinIO), S3_FORCE_PATH_STYLE,
+//           S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PREFIX
+const DRIVERS = {
+    local: () => createLocalStorage({
+        root: process.env.STORAGE_LOCAL_ROOT || './uploads'
+    }),
+    s3: () => createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== undefined ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX || ''
+    })
+};
+
+const instances = {};
+
+// Driver new files are written to (STORAGE_DRIVER)
+const getDefaultDriver = () => process.env.STORAGE_DRIVER || 'local';
+
+const getStorage = (driver = getDefaultDriver()) => {
+    if (!DRIVERS[driver]) {
+        throw new Error(`Unknown storage driver "${driver}"`);
+    }
+
+    if (!instances[driver]) {
+        instances[driver] = DRIVERS[driver]();
+    }
+
+    return instances[driver];
+};
+
+// New unique key in a folder, keeping the original file extension
+const generateKey = (folder, originalName) => {
+    const uniqueSuffix = Date.now() + '-' + crypto.randomBytes(6).toString('hex');
+    return `${folder}/${uniqueSuffix}${path.extname(originalName).toLowerCase()}`;
+};
+
+// Copy a file from local disk (e.g. a multer upload) into the default
+// backend. Returns { driver, key, size }.
+const storeFile = async (filePath, { folder, originalName, contentType }) => {
+    const storage = getStorage();
+    const key = generateKey(folder, originalName);
+    const { size } = await fs.promises.stat(filePath);
+
+    await storage.put(key, fs.createReadStream(filePath), { size, contentType });
+
+    return { driver: storage.name, key, size };
+};
+
+// Store an in-memory file (e.g. a generated PDF) in the default backend.
+// Returns { driver, key, size }.
+const storeBuffer = async (buffer, { folder, originalName, contentType }) => {
+    const storage = getStorage();
+    const key = generateKey(folder, originalName);
+
+    await storage.put(key, Readable.from(buffer), { size: buffer.length, contentType });
+
+    return { driver: storage.name, key, size: buffer.length };
+};
+
+// Delete a stored file; failures are logged so a missing object never
+// blocks removing its database row
+const deleteStoredFile = async (driver, key) => {
+    try {
+        await getStorage(driver).delete(key);
+    } catch (error) {
+        console.error(`Delete stored file error (${driver}:${key}):`, error);
+    }
+};
+
+module.exports = {
+    DRIVERS: Object.keys(DRIVERS),
+    getDefaultDriver,
+    getStorage,
+    generateKey,
+    storeFile,
+    storeBuffer,
+    deleteStoredFile
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Files on the local filesystem below `root`
+const createLocalStorage = ({ root }) => {
+    const rootPath = path.resolve(root);
+
+    // Absolute path of a key; keys may not point outside the root
+    const resolve = (key) => {
+        const filePath = path.resolve(rootPath, key);
+        if (!filePath.startsWith(rootPath + path.sep)) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+        return filePath;
+    };
+
+    const put = async (key, stream) => {
+        const filePath = resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await pipeline(stream, fs.createWriteStream(filePath));
+    };
+
+    const stat = async (key) => {
+        try {
+            const stats = await fs.promises.stat(resolve(key));
+            return { size: stats.size, lastModified: stats.mtime };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    // `end` is inclusive, as in HTTP ranges
+    const createReadStream = async (key, { start, end } = {}) => fs.createReadStream(resolve(key), { start, end });
+
+    const remove = async (key) => {
+        try {
+            await fs.promises.unlink(resolve(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    };
+
+    return {
+        name: 'local',
+        put,
+        stat,
+        createReadStream,
+        delete: remove
+    };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,75 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+const isNotFound = (error) => error.name === 'NotFound'
+    || error.name === 'NoSuchKey'
+    || (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+// Objects in an S3 bucket. `endpoint` points the client at an S3-compatible
+// server such as MinIO (which needs path-style addressing).
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix = '' }) => {
+    if (!bucket) {
+        throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+    }
+
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: forcePathStyle !== undefined ? forcePathStyle : Boolean(endpoint),
+        // Without explicit keys the default AWS credential chain is used
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    const objectKey = (key) => `${prefix}${key}`;
+
+    const put = async (key, stream, { size, contentType } = {}) => {
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: objectKey(key),
+            Body: stream,
+            ContentLength: size,
+            ContentType: contentType || undefined
+        }));
+    };
+
+    const stat = async (key) => {
+        try {
+            const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+            return { size: head.ContentLength, lastModified: head.LastModified };
+        } catch (error) {
+            if (isNotFound(error)) {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    // `end` is inclusive, as in HTTP ranges
+    const createReadStream = async (key, { start, end } = {}) => {
+        const object = await client.send(new GetObjectCommand({
+            Bucket: bucket,
+            Key: objectKey(key),
+            Range: start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined
+        }));
+        return object.Body;
+    };
+
+    const remove = async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    };
+
+    return {
+        name: 's3',
+        put,
+        stat,
+        createReadStream,
+        delete: remove
+    };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,184 @@
+const moment = require('moment');
+const pool = require('../config/database');
+const { WORKING_DAYS } = require('../config/workingTime');
+const { getAbsenceDays } = require('./leave');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Contracted weekly hours are spread evenly over the working days
+const dailyTargetMinutes = (weeklyHours) => Math.round((parseFloat(weeklyHours) || 0) * 60 / WORKING_DAYS.length);
+
+const isWorkingDay = (date) => WORKING_DAYS.includes(date.isoWeekday());
+
+// Minutes the employee is expected to work on a given date
+const targetMinutesFor = (date, employee) => {
+    if (!isWorkingDay(date)) {
+        return 0;
+    }
+    if (employee.contract_start && date.isBefore(employee.contract_start, 'day')) {
+        return 0;
+    }
+    if (employee.contract_end && date.isAfter(employee.contract_end, 'day')) {
+        return 0;
+    }
+    return dailyTargetMinutes(employee.weekly_hours);
+};
+
+const loadEmployee = async (userId) => {
+    const result = await pool.query(`
+        SELECT
+            id,
+            weekly_hours,
+            to_char(COALESCE(contract_start_at, hired_at), 'YYYY-MM-DD') as contract_start,
+            to_char(contract_end_at, 'YYYY-MM-DD') as contract_end,
+            (SELECT to_char(MIN(checkin_date), 'YYYY-MM-DD') FROM employee_checkins WHERE user_id = users.id) as first_checkin
+        FROM users
+        WHERE id = $1
+    `, [userId]);
+
+    return result.rows[0] || null;
+};
+
+const sumInto = (bucket, day) => {
+    bucket.target_minutes += day.target_minutes;
+    bucket.actual_minutes += day.actual_minutes;
+    bucket.absence_minutes += day.absence_minutes;
+    bucket.adjustment_minutes += day.adjustment_minutes;
+    bucket.difference_minutes += day.difference_minutes;
+    bucket.balance_minutes = day.balance_minutes;
+    bucket.to = day.date;
+};
+
+const emptyBucket = (keyName, value, date) => ({
+    [keyName]: value,
+    from: date,
+    to: date,
+    target_minutes: 0,
+    actual_minutes: 0,
+    absence_minutes: 0,
+    adjustment_minutes: 0,
+    difference_minutes: 0,
+    balance_minutes: 0
+});
+
+// Group day rows into weekly or monthly buckets, keeping the running balance
+// at the end of each bucket
+const groupDays = (days, keyName, keyFn) => {
+    const buckets = [];
+    let current = null;
+
+    days.forEach(day => {
+        const value = keyFn(moment(day.date, DATE_FORMAT));
+        if (!current || current[keyName] !== value) {
+            current = emptyBucket(keyName, value, day.date);
+            buckets.push(current);
+        }
+        sumInto(current, day);
+    });
+
+    return buckets;
+};
+
+// Compare contracted and worked time for an employee between two dates
+// (inclusive), carrying the running balance from the start of the account.
+// Returns null when the employee does not exist.
+const getTimeAccount = async (userId, { from, to }) => {
+    const employee = await loadEmployee(userId);
+
+    if (!employee) {
+        return null;
+    }
+
+    const rangeStart = moment(from, DATE_FORMAT);
+    const rangeEnd = moment(to, DATE_FORMAT);
+
+    // The account runs from the contract start (or first check-in) onwards
+    const accountStartValue = employee.contract_start || employee.first_checkin || from;
+    const accountStart = moment.min(moment(accountStartValue, DATE_FORMAT), rangeStart);
+
+    const [checkins, adjustments, absences] = await Promise.all([
+        pool.query(`
+            SELECT to_char(checkin_date, 'YYYY-MM-DD') as date, total_working_minutes
+            FROM employee_checkins
+            WHERE user_id = $1 AND checkin_date BETWEEN $2 AND $3
+        `, [userId, accountStart.format(DATE_FORMAT), to]),
+        pool.query(`
+            SELECT to_char(effective_date, 'YYYY-MM-DD') as date, SUM(minutes) as minutes
+            FROM time_account_adjustments
+            WHERE user_id = $1 AND effective_date <= $2
+            GROUP BY effective_date
+        `, [userId, to]),
+        // Approved paid leave counts as fulfilled time
+        getAbsenceDays(userId, accountStart.format(DATE_FORMAT), to)
+    ]);
+
+    const workedByDate = new Map(checkins.rows.map(row => [row.date, parseInt(row.total_working_minutes) || 0]));
+    const adjustmentsByDate = new Map(adjustments.rows.map(row => [row.date, parseInt(row.minutes) || 0]));
+
+    // Adjustments dated before the account start still count towards it
+    let balance = adjustments.rows
+        .filter(row => moment(row.date, DATE_FORMAT).isBefore(accountStart, 'day'))
+        .reduce((sum, row) => sum + (parseInt(row.minutes) || 0), 0);
+
+    let openingBalance = null;
+    const days = [];
+
+    for (const date = accountStart.clone(); !date.isAfter(rangeEnd, 'day'); date.add(1, 'day')) {
+        const key = date.format(DATE_FORMAT);
+
+        if (openingBalance === null && !date.isBefore(rangeStart, 'day')) {
+            openingBalance = balance;
+        }
+
+        const target = targetMinutesFor(date, employee);
+        const actual = workedByDate.get(key) || 0;
+        const absence = Math.round(target * Math.min(absences.get(key) || 0, 1));
+        const adjustment = adjustmentsByDate.get(key) || 0;
+        const difference = actual + absence - target;
+
+        balance += difference + adjustment;
+
+        if (openingBalance !== null) {
+            days.push({
+                date: key,
+                target_minutes: target,
+                actual_minutes: actual,
+                absence_minutes: absence,
+                adjustment_minutes: adjustment,
+                difference_minutes: difference,
+                balance_minutes: balance
+            });
+        }
+    }
+
+    const totals = {
+        target_minutes: 0,
+        actual_minutes: 0,
+        absence_minutes: 0,
+        adjustment_minutes: 0,
+        difference_minutes: 0
+    };
+    days.forEach(day => Object.keys(totals).forEach(field => {
+        totals[field] += day[field];
+    }));
+
+    return {
+        user_id: employee.id,
+        weekly_hours: parseFloat(employee.weekly_hours) || 0,
+        daily_target_minutes: dailyTargetMinutes(employee.weekly_hours),
+        from,
+        to,
+        opening_balance_minutes: openingBalance || 0,
+        closing_balance_minutes: balance,
+        totals,
+        days,
+        weeks: groupDays(days, 'week', date => date.format('GGGG-[W]WW')),
+        months: groupDays(days, 'month', date => date.format('YYYY-MM'))
+    };
+};
+
+module.exports = {
+    dailyTargetMinutes,
+    targetMinutesFor,
+    getTimeAccount
+};
@@ -0,0 +1,328 @@
+const moment = require('moment');
+const PDFDocument = require('pdfkit');
+const pool = require('../config/database');
+const { targetMinutesFor } = require('./timeAccount');
+const { expandLeaveDays, PAID_LEAVE_TYPES } = require('./leave');
+const { toCsvRow } = require('./csv');
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Format minutes as H:MM (negative values keep their sign)
+const formatMinutes = (minutes) => {
+    const sign = minutes < 0 ? '-' : '';
+    const absolute = Math.abs(minutes);
+    return `${sign}${Math.floor(absolute / 60)}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+const loadEmployees = async (userIds) => {
+    const result = await pool.query(`
+        SELECT
+            id,
+            employee_id,
+            name,
+            department,
+            team,
+            position,
+            weekly_hours,
+            to_char(COALESCE(contract_start_at, hired_at), 'YYYY-MM-DD') as contract_start,
+            to_char(contract_end_at, 'YYYY-MM-DD') as contract_end
+        FROM users
+        WHERE id = ANY($1)
+        ORDER BY name ASC
+    `, [userIds]);
+
+    return result.rows;
+};
+
+// Build the monthly timesheets (month as YYYY-MM) of the given employees
+const buildTimesheets = async (userIds, month) => {
+    const monthStart = moment(`${month}-01`, DATE_FORMAT);
+    const monthEnd = monthStart.clone().endOf('month');
+    const from = monthStart.format(DATE_FORMAT);
+    const to = monthEnd.format(DATE_FORMAT);
+
+    const employees = await loadEmployees(userIds);
+    if (employees.length === 0) {
+        return [];
+    }
+
+    const ids = employees.map(employee => employee.id);
+
+    const [checkins, breaks, leaves] = await Promise.all([
+        pool.query(`
+            SELECT
+                id,
+                user_id,
+                to_char(checkin_date, 'YYYY-MM-DD') as date,
+                to_char(checkin_time, 'HH24:MI') as checkin_time,
+                to_char(checkout_time, 'HH24:MI') as checkout_time,
+                status,
+                total_working_minutes,
+                total_break_minutes
+            FROM employee_checkins
+            WHERE user_id = ANY($1) AND checkin_date BETWEEN $2 AND $3
+        `, [ids, from, to]),
+        pool.query(`
+            SELECT
+                cb.checkin_id,
+                to_char(cb.started_at, 'HH24:MI') as start_time,
+                to_char(cb.ended_at, 'HH24:MI') as end_time
+            FROM checkin_breaks cb
+            JOIN employee_checkins ec ON cb.checkin_id = ec.id
+            WHERE ec.user_id = ANY($1) AND ec.checkin_date BETWEEN $2 AND $3
+            ORDER BY cb.started_at ASC
+        `, [ids, from, to]),
+        pool.query(`
+            SELECT
+                user_id,
+                leave_type,
+                to_char(start_date, 'YYYY-MM-DD') as start_date,
+                to_char(end_date, 'YYYY-MM-DD') as end_date,
+                start_half_day,
+                end_half_day
+            FROM leave_requests
+            WHERE user_id = ANY($1) AND status = 'approved'
+              AND start_date <= $3 AND end_date >= $2
+        `, [ids, from, to])
+    ]);
+
+    return employees.map(employee => {
+        const employeeCheckins = new Map(
+            checkins.rows
+                .filter(checkin => String(checkin.user_id) === String(employee.id))
+                .map(checkin => [checkin.date, checkin])
+        );
+
+        const absences = new Map();
+        leaves.rows
+            .filter(leave => String(leave.user_id) === String(employee.id))
+            .forEach(leave => {
+                expandLeaveDays(leave).forEach((fraction, date) => {
+                    absences.set(date, { leave_type: leave.leave_type, fraction });
+                });
+            });
+
+        const totals = {
+            worked_minutes: 0,
+            break_minutes: 0,
+            target_minutes: 0,
+            absence_minutes: 0,
+            balance_minutes: 0
+        };
+
+        const days = [];
+        for (const date = monthStart.clone(); !date.isAfter(monthEnd, 'day'); date.add(1, 'day')) {
+            const key = date.format(DATE_FORMAT);
+            const checkin = employeeCheckins.get(key);
+            const absence = absences.get(key) || null;
+            const target = targetMinutesFor(date, employee);
+
+            // Paid leave counts as fulfilled target time
+            const absenceMinutes = absence && PAID_LEAVE_TYPES.includes(absence.leave_type)
+                ? Math.round(target * absence.fraction)
+                : 0;
+            const worked = checkin ? parseInt(checkin.total_working_minutes) || 0 : 0;
+            const breakMinutes = checkin ? parseInt(checkin.total_break_minutes) || 0 : 0;
+
+            const day = {
+                date: key,
+                weekday: date.format('ddd'),
+                checkin_time: checkin ? checkin.checkin_time : null,
+                checkout_time: checkin ? checkin.checkout_time : null,
+                open: checkin ? checkin.status !== 'checkout' : false,
+                breaks: checkin ? breaks.rows.filter(b => String(b.checkin_id) === String(checkin.id)).map(b => ({ start: b.start_time, end: b.end_time })) : [],
+                break_minutes: breakMinutes,
+                worked_minutes: worked,
+                target_minutes: target,
+                absence: absence ? absence.leave_type : null,
+                absence_fraction: absence ? absence.fraction : 0,
+                absence_minutes: absenceMinutes,
+                balance_minutes: worked + absenceMinutes - target
+            };
+
+            Object.keys(totals).forEach(field => {
+                totals[field] += day[field];
+            });
+
+            days.push(day);
+        }
+
+        return {
+            employee: {
+                id: employee.id,
+                employee_id: employee.employee_id,
+                name: employee.name,
+                department: employee.department,
+                team: employee.team,
+                position: employee.position,
+                weekly_hours: parseFloat(employee.weekly_hours) || 0
+            },
+            month,
+            days,
+            totals
+        };
+    });
+};
+
+const CSV_HEADER = [
+    'Employee ID', 'Employee', 'Department', 'Date', 'Weekday', 'Check-in', 'Check-out',
+    'Breaks', 'Break (h)', 'Worked (h)', 'Target (h)', 'Absence', 'Balance (h)'
+];
+
+const formatBreaks = (breaks) => breaks.map(b => `${b.start}-${b.end || 'open'}`).join(' ');
+
+const formatAbsence = (day) => day.absence
+    ? `${day.absence}${day.absence_fraction < 1 ? ' (half day)' : ''}`
+    : '';
+
+// One CSV with a row per employee and day, followed by a total row per employee
+const timesheetsToCsv = (timesheets) => {
+    let csv = toCsvRow(CSV_HEADER);
+
+    timesheets.forEach(({ employee, days, totals }) => {
+        days.forEach(day => {
+            csv += toCsvRow([
+                employee.employee_id,
+                employee.name,
+                employee.department,
+                day.date,
+                day.weekday,
+                day.checkin_time,
+                day.checkout_time,
+                formatBreaks(day.breaks),
+                formatMinutes(day.break_minutes),
+                formatMinutes(day.worked_minutes),
+                formatMinutes(day.target_minutes),
+                formatAbsence(day),
+                formatMinutes(day.balance_minutes)
+            ]);
+        });
+
+        csv += toCsvRow([
+            employee.employee_id,
+            employee.name,
+            employee.department,
+            'Total',
+            '',
+            '',
+            '',
+            '',
+            formatMinutes(totals.break_minutes),
+            formatMinutes(totals.worked_minutes),
+            formatMinutes(totals.target_minutes),
+            formatMinutes(totals.absence_minutes),
+            formatMinutes(totals.balance_minutes)
+        ]);
+    });
+
+    return csv;
+};
+
+const PDF_COLUMNS = [
+    { label: 'Date', width: 58 },
+    { label: 'Day', width: 30 },
+    { label: 'In', width: 38 },
+    { label: 'Out', width: 38 },
+    { label: 'Breaks', width: 110 },
+    { label: 'Break', width: 40 },
+    { label: 'Worked', width: 42 },
+    { label: 'Target', width: 42 },
+    { label: 'Absence', width: 70 },
+    { label: 'Balance', width: 47 }
+];
+
+const ROW_HEIGHT = 14;
+
+const drawRow = (doc, values, y, options = {}) => {
+    let x = doc.page.margins.left;
+
+    if (options.fill) {
+        const tableWidth = PDF_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+        doc.save().rect(x, y, tableWidth, ROW_HEIGHT).fill('#eeeeee').restore();
+    }
+
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor('#000000');
+
+    PDF_COLUMNS.forEach((column, index) => {
+        doc.text(values[index] || '', x + 2, y + 3, { width: column.width - 4, lineBreak: false, ellipsis: true });
+        x += column.width;
+    });
+};
+
+const drawTimesheetPage = (doc, { employee, month, days, totals }) => {
+    const left = doc.page.margins.left;
+    const tableWidth = PDF_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+
+    doc.font('Helvetica-Bold').fontSize(16)
+        .text(`Timesheet ${moment(`${month}-01`, DATE_FORMAT).format('MMMM YYYY')}`, left, doc.page.margins.top);
+
+    doc.moveDown(0.5).font('Helvetica').fontSize(10)
+        .text(`Employee: ${employee.name}${employee.employee_id ? ` (${employee.employee_id})` : ''}`)
+        .text(`Department: ${employee.department || '-'}${employee.team ? ` / ${employee.team}` : ''}`)
+        .text(`Position: ${employee.position || '-'}`)
+        .text(`Contracted hours: ${employee.weekly_hours} h/week`);
+
+    let y = doc.y + 12;
+
+    drawRow(doc, PDF_COLUMNS.map(column => column.label), y, { bold: true, fill: true });
+    y += ROW_HEIGHT;
+
+    days.forEach(day => {
+        drawRow(doc, [
+            day.date,
+            day.weekday,
+            day.checkin_time,
+            day.checkout_time || (day.open ? 'open' : ''),
+            formatBreaks(day.breaks),
+            day.break_minutes ? formatMinutes(day.break_minutes) : '',
+            day.worked_minutes ? formatMinutes(day.worked_minutes) : '',
+            day.target_minutes ? formatMinutes(day.target_minutes) : '',
+            formatAbsence(day),
+            day.target_minutes || day.worked_minutes ? formatMinutes(day.balance_minutes) : ''
+        ], y, { fill: ['Sat', 'Sun'].includes(day.weekday) });
+        y += ROW_HEIGHT;
+    });
+
+    doc.moveTo(left, y).lineTo(left + tableWidth, y).stroke();
+
+    drawRow(doc, [
+        'Total', '', '', '', '',
+        formatMinutes(totals.break_minutes),
+        formatMinutes(totals.worked_minutes),
+        formatMinutes(totals.target_minutes),
+        totals.absence_minutes ? formatMinutes(totals.absence_minutes) : '',
+        formatMinutes(totals.balance_minutes)
+    ], y, { bold: true });
+
+    // Signature block
+    const signatureY = Math.max(y + 60, doc.page.height - doc.page.margins.bottom - 60);
+    const signatureWidth = 200;
+
+    [
+        { label: 'Date, signature employee', x: left },
+        { label: 'Date, signature supervisor', x: left + tableWidth - signatureWidth }
+    ].forEach(({ label, x }) => {
+        doc.moveTo(x, signatureY).lineTo(x + signatureWidth, signatureY).stroke();
+        doc.font('Helvetica').fontSize(8).text(label, x, signatureY + 4, { width: signatureWidth });
+    });
+};
+
+// Render timesheets as a PDF (one page per employee) into a writable stream
+const writeTimesheetsPdf = (timesheets, stream) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, autoFirstPage: false });
+    doc.pipe(stream);
+
+    timesheets.forEach(timesheet => {
+        doc.addPage();
+        drawTimesheetPage(doc, timesheet);
+    });
+
+    doc.end();
+};
+
+module.exports = {
+    formatMinutes,
+    buildTimesheets,
+    timesheetsToCsv,
+    writeTimesheetsPdf
+};
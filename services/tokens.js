@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Generate a URL-safe random token suitable for emailing or handing out once
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// Tokens are only ever stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+    generateToken,
+    hashToken
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const net = require('net');
+
+// Optional virus scan of uploads with a local clamd, reached through
+// CLAMAV_SOCKET (unix socket) or CLAMAV_HOST / CLAMAV_PORT. Without either,
+// uploads are not scanned.
+const CLAMAV_TIMEOUT_MS = parseInt(process.env.CLAMAV_TIMEOUT_MS) || 30000;
+
+const isScanEnabled = () => Boolean(process.env.CLAMAV_SOCKET || process.env.CLAMAV_HOST);
+
+const connect = () => (process.env.CLAMAV_SOCKET
+    ? net.createConnection(process.env.CLAMAV_SOCKET)
+    : net.createConnection(parseInt(process.env.CLAMAV_PORT) || 3310, process.env.CLAMAV_HOST));
+
+// Stream a file to clamd (INSTREAM). Resolves to { scanned, infected, signature };
+// rejects when clamd cannot be reached or reports an error.
+const scanFile = (filePath) => new Promise((resolve, reject) => {
+    if (!isScanEnabled()) {
+        return resolve({ scanned: false, infected: false, signature: null });
+    }
+
+    const socket = connect();
+    let reply = '';
+
+    const fail = (error) => {
+        socket.destroy();
+        reject(error);
+    };
+
+    socket.setTimeout(CLAMAV_TIMEOUT_MS);
+    socket.on('timeout', () => fail(new Error('ClamAV scan timed out')));
+    socket.on('error', fail);
+    socket.on('data', (chunk) => {
+        reply += chunk.toString();
+    });
+
+    socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+
+        // Each chunk is prefixed with its length; a zero length ends the stream
+        fs.createReadStream(filePath)
+            .on('error', fail)
+            .on('data', (chunk) => {
+                const length = Buffer.alloc(4);
+                length.writeUInt32BE(chunk.length);
+                socket.write(length);
+                socket.write(chunk);
+            })
+            .on('end', () => socket.write(Buffer.alloc(4)));
+    });
+
+    // clamd answers "stream: OK" or "stream: <signature> FOUND" and closes the connection
+    socket.on('end', () => {
+        const result = reply.replace(/\0/g, '').trim();
+        const found = result.match(/^stream: (.+) FOUND$/);
+
+        if (found) {
+            resolve({ scanned: true, infected: true, signature: found[1] });
+        } else if (result === 'stream: OK') {
+            resolve({ scanned: true, infected: false, signature: null });
+        } else {
+            reject(new Error(`Unexpected ClamAV reply: ${result}`));
+        }
+    });
+});
+
+module.exports = {
+    isScanEnabled,
+    scanFile
+};